@@ -149,7 +149,7 @@
         // Select (persist checked state)
         const checkCell = row.insertCell();
         checkCell.innerHTML =
-          `<input type="checkbox" class="select-for-update" data-variant-id="${variantId}" onchange="toggleSelect(this)">`;
+          `<input type="checkbox" class="select-for-update" data-variant-id="${variantId}" data-requires="shopify:write" onchange="toggleSelect(this)">`;
         const cb = checkCell.querySelector('input');
         if (selectedIds.has(variantId)) cb.checked = true;
 
@@ -220,6 +220,7 @@
   }
 
   function makeEditable(span, variantId, field) {
+    if (!window.userCan('shopify:write')) return; // read-only for roles that can't edit variants
     let raw = span.textContent.trim();
     if (field === 'price') raw = raw.replace(/[^0-9.,\-]/g, '').replace(/,/g, '');
 
@@ -444,12 +445,21 @@
     saveBtn.textContent = 'Saving...';
 
     try {
-      const response = await fetch('/api/products/update', {
+      const send = (allowInvalidHS) => fetch('/api/products/update', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ updates })
+        body: JSON.stringify({ updates, allowInvalidHS })
       });
-      const result = await response.json();
+      let response = await send(false);
+      let result = await response.json();
+
+      // HS codes the HTS schedule doesn't know (or has retired) need an explicit override
+      if (response.status === 422 && Array.isArray(result.invalidHS)) {
+        const lines = result.invalidHS.map(p => `• ${p.code}: ${p.message}`).join('\n');
+        if (!confirm(`These HS codes failed the HTS check:\n${lines}\n\nSave anyway?`)) throw new Error(result.error);
+        response = await send(true);
+        result = await response.json();
+      }
       if (!response.ok) throw new Error(result.error);
 
       showStatus(`Successfully updated ${result.updated} variants`, 'success');
@@ -0,0 +1,34 @@
+// public/permissions.js - Hide the actions the signed-in user's role can't perform
+// Mark any element with data-requires="<permission>" (see utils/permissions.js); it stays hidden unless
+// /api/me grants that permission, including rows rendered later. The server enforces the same checks.
+(() => {
+  'use strict';
+
+  const style = document.createElement('style');
+  style.textContent = '[data-requires]:not([data-allowed]) { display: none !important; }';
+  document.head.appendChild(style);
+
+  let granted = null; // Set of permission names once /api/me answers
+
+  function mark(root) {
+    const els = root.matches('[data-requires]') ? [root] : [];
+    els.push(...root.querySelectorAll('[data-requires]'));
+    els.forEach(el => el.toggleAttribute('data-allowed', granted.has(el.dataset.requires)));
+  }
+
+  window.userCan = permission => !!granted && granted.has(permission);
+
+  // Resolves with the user (or null) once permissions are known
+  window.whenUserLoaded = fetch('/api/me', { credentials: 'include', cache: 'no-store' })
+    .then(res => (res.ok ? res.json() : {}))
+    .catch(() => ({}))
+    .then(({ user = null, permissions = [] }) => {
+      granted = new Set(permissions);
+      window.currentUser = user;
+      mark(document.documentElement);
+      new MutationObserver(records => {
+        records.forEach(r => r.addedNodes.forEach(node => node.nodeType === 1 && mark(node)));
+      }).observe(document.documentElement, { childList: true, subtree: true });
+      return user;
+    });
+})();
@@ -5,8 +5,14 @@
   const orderInput = document.getElementById('orderId');
   const btnPreview = document.getElementById('btnPreview');
   const btnApply = document.getElementById('btnApply');
+  const btnUndo = document.getElementById('btnUndo');
+  const btnDryRun = document.getElementById('btnDryRun');
+  const rebuildCustomsEl = document.getElementById('rebuildCustoms');
   const statusEl = document.getElementById('status');
   const diffBox = document.getElementById('diffBox');
+  const skuCatalogInfo = document.getElementById('skuCatalogInfo');
+  const btnSkuCatalogSync = document.getElementById('btnSkuCatalogSync');
+  const skuPlanTbody = document.getElementById('skuPlanTbody');
 
   // Bulk controls
   const bulkDaysEl = document.getElementById('bulkDays');
@@ -14,9 +20,13 @@
   const bulkMaxPagesEl = document.getElementById('bulkMaxPages');
   const btnBulkPreview = document.getElementById('btnBulkPreview');
   const btnBulkApply = document.getElementById('btnBulkApply');
+  const btnBulkUndo = document.getElementById('btnBulkUndo');
+  const btnBulkDryRun = document.getElementById('btnBulkDryRun');
+  const bulkAllowInvalidHS = document.getElementById('bulkAllowInvalidHS');
   const bulkStatus = document.getElementById('bulkStatus');
   const bulkTbody = document.getElementById('bulkTbody');
   const bulkSelectAll = document.getElementById('bulkSelectAll');
+  const bulkDutyFilter = document.getElementById('bulkDutyFilter');
 
   // Export buttons
   const btnExportMismatches = document.getElementById('btnExportMismatches');
@@ -32,6 +42,8 @@
     statusEl.className = `status show ${kind === 'ok' ? 'ok' : 'err'}`;
   };
 
+  const escapeHTML = v => String(v ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
   // Always include cookies; robust JSON parsing; friendly network errors
   async function fetchJSON(url, opts = {}) {
     try {
@@ -52,17 +64,73 @@
     }
   }
 
+  // ---- background jobs: poll until finished, reporting progress along the way
+  const sleep = ms => new Promise(r => setTimeout(r, ms));
+  const ACTIVE_JOB = ['queued', 'running'];
+
+  async function waitForJob(jobId, onUpdate, intervalMs = 2000) {
+    for (;;) {
+      const data = await fetchJSON(`/api/jobs/${encodeURIComponent(jobId)}`);
+      if (!data._ok) throw new Error(typeof data.error === 'string' ? data.error : `HTTP ${data._status}`);
+      const job = data.job;
+      onUpdate?.(job);
+      if (!ACTIVE_JOB.includes(job.status)) {
+        if (job.status !== 'completed') throw new Error(job.error || `Job ${job.status}`);
+        return job;
+      }
+      await sleep(intervalMs);
+    }
+  }
+
+  async function fetchJobResult(jobId) {
+    const data = await fetchJSON(`/api/jobs/${encodeURIComponent(jobId)}/result`);
+    if (!data._ok) throw new Error(typeof data.error === 'string' ? data.error : `HTTP ${data._status}`);
+    return data;
+  }
+
+  async function cancelJob(jobId) {
+    const data = await fetchJSON(`/api/jobs/${encodeURIComponent(jobId)}/cancel`, { method: 'POST' });
+    if (!data._ok) throw new Error(typeof data.error === 'string' ? data.error : `HTTP ${data._status}`);
+    return data.job;
+  }
+
+  const jobProgressText = (job) => {
+    const p = job.progress || {};
+    const counts = p.total ? `${p.done}/${p.total}` : `${p.done}`;
+    return `${job.status} · ${counts}${p.failed ? ` (${p.failed} failed)` : ''}${job.message ? ` · ${job.message}` : ''}`;
+  };
+
+  const DUTY_BADGES = {
+    over:    '<span style="color:#991b1b; font-weight:600;">over</span>',
+    near:    '<span style="color:#92400e; font-weight:600;">near</span>',
+    under:   '<span style="color:#166534;">under</span>',
+    unknown: '<span style="color:#6b7280;">no threshold</span>'
+  };
+
+  // Candidates matching the de minimis filter ('' = all, 'flagged' = over or near)
+  function filterByDuty(candidates) {
+    const f = bulkDutyFilter?.value || '';
+    if (!f) return candidates;
+    return candidates.filter(c => {
+      const st = c.duty?.status || 'unknown';
+      return f === 'flagged' ? (st === 'over' || st === 'near') : st === f;
+    });
+  }
+
 function renderBulkTable(candidates) {
   bulkTbody.innerHTML = '';
+  if (bulkSelectAll) bulkSelectAll.checked = false;
   (candidates || []).forEach(c => {
     const tr = document.createElement('tr');
     const itemsList = (c.items || []).map(i => `${i.name} (qty: ${i.quantity})`).join('<br>');
+    const duty = c.duty || {};
     
     tr.innerHTML = `
       <td style="padding:.5rem;"><input type="checkbox" class="bulk-row" data-id="${c.orderId}"></td>
       <td style="padding:.5rem;">#${c.orderNumber || c.orderId}</td>
-      <td style="padding:.5rem;">${(c.shipTo?.city || '')}, ${(c.shipTo?.state || '')}</td>
+      <td style="padding:.5rem;">${(c.shipTo?.city || '')}, ${(c.shipTo?.state || '')}${c.shipTo?.country ? ` (${c.shipTo.country})` : ''}</td>
       <td style="padding:.5rem;">${c.changes}</td>
+      <td style="padding:.5rem;" title="${duty.message || ''}">${duty.declaredTotal ?? ''}${duty.threshold != null ? ` / ${duty.threshold}` : ''}<br>${DUTY_BADGES[duty.status || 'unknown']}</td>
       <td style="padding:.5rem; font-family:ui-monospace, SFMono-Regular, Menlo, monospace; font-size:.85rem;">
         <div style="margin-bottom:0.5rem; color:#666;">Items: ${itemsList}</div>
         ${Array.isArray(c.diff) ? c.diff.map(d => {
@@ -75,14 +143,38 @@ function renderBulkTable(candidates) {
     bulkTbody.appendChild(tr);
   });
   btnBulkApply.disabled = !(candidates && candidates.length);
+  if (btnBulkDryRun) btnBulkDryRun.disabled = btnBulkApply.disabled;
 }
 
 // ---- EVENTS: bulk scan
 let scanResults = []; // Store results for CSV download
+let scanJobId = null;
+const btnBulkCancel = document.getElementById('btnBulkCancel');
+
+function renderScanResult(data) {
+  document.getElementById('foundCount').textContent = data.totalCandidates || 0;
+  document.getElementById('totalScanned').textContent = data.totalScanned || 0;
+  
+  // Show the scan log
+  if (data.scanLog && data.scanLog.length > 0) {
+    document.getElementById('scanLog').style.display = 'block';
+    document.getElementById('scanLogContent').innerHTML = data.scanLog.join('<br>');
+  }
+  
+  scanResults = data.candidates || [];
+  
+  renderBulkTable(filterByDuty(scanResults));
+  const perProfile = Object.entries(data.byProfile || {}).map(([id, n]) => `${n} ${id}`).join(', ');
+  const flags = data.dutyFlags || {};
+  const dutyNote = flags.over || flags.near ? ` ${flags.over || 0} over / ${flags.near || 0} near the duty threshold.` : '';
+  showBulk(`Scan complete! Found ${data.totalCandidates} orders needing updates. (${data.intlOrders || 0} international${perProfile ? `: ${perProfile}` : ''}; ${data.domesticOrders || 0} domestic skipped)${dutyNote}`, 'ok');
+  
+  document.getElementById('bulkActions').style.display = scanResults.length > 0 ? 'block' : 'none';
+}
 
-// In shipstation-order-editor.js, update the bulk preview handler
 btnBulkPreview?.addEventListener('click', async () => {
   btnBulkApply.disabled = true;
+  if (btnBulkDryRun) btnBulkDryRun.disabled = true;
   if (bulkSelectAll) bulkSelectAll.checked = false;
   bulkTbody.innerHTML = '';
   scanResults = [];
@@ -91,9 +183,6 @@ btnBulkPreview?.addEventListener('click', async () => {
   const pageSize = Number(bulkPageSizeEl?.value || 200);
   const maxPages = Number(bulkMaxPagesEl?.value || 2);
   
-  const estimatedTime = maxPages * pageSize * 0.05;
-  const warning = estimatedTime > 30 ? ` (Est. ${Math.round(estimatedTime)} seconds)` : '';
-  
   // Show timer and log
   document.getElementById('bulkTimer').style.display = 'block';
   document.getElementById('scanLog').style.display = 'block';
@@ -113,35 +202,42 @@ btnBulkPreview?.addEventListener('click', async () => {
       maxPages: String(maxPages)
     }).toString();
     
-    showBulk(`Scanning ${days} days of orders${warning}...`, 'ok');
-    
-    const data = await fetchJSON(`/api/shipstation/orders/scan?${qs}`);
-    if (!data._ok) throw new Error(typeof data.error === 'string' ? data.error : `HTTP ${data._status}`);
-    
-    clearInterval(timerInterval);
-    const totalTime = Math.round((Date.now() - startTime) / 1000);
-    document.getElementById('scanTime').textContent = totalTime;
-    document.getElementById('foundCount').textContent = data.totalCandidates || 0;
-    document.getElementById('totalScanned').textContent = data.totalScanned || 0;
+    const queued = await fetchJSON(`/api/shipstation/orders/scan?${qs}`);
+    if (!queued._ok) throw new Error(typeof queued.error === 'string' ? queued.error : `HTTP ${queued._status}`);
+    scanJobId = queued.jobId;
+    if (btnBulkCancel) btnBulkCancel.style.display = '';
+    showBulk(`Scanning ${days} days of orders in the background (job ${scanJobId.slice(0, 8)})…`, 'ok');
+    loadJobs();
     
-    // Show the scan log
-    if (data.scanLog && data.scanLog.length > 0) {
-      document.getElementById('scanLogContent').innerHTML = data.scanLog.join('<br>');
-    }
-    
-    scanResults = data.candidates || [];
-    
-    renderBulkTable(scanResults);
-    showBulk(`Scan complete! Found ${data.totalCandidates} orders needing updates. (${data.usOrders || 0} US, ${data.nonUsOrders || 0} non-US)`, 'ok');
-    
-    if (scanResults.length > 0) {
-      document.getElementById('bulkActions').style.display = 'block';
-    }
+    let lastMessage = null;
+    await waitForJob(scanJobId, (job) => {
+      document.getElementById('totalScanned').textContent = job.progress?.done || 0;
+      if (job.message && job.message !== lastMessage) {
+        lastMessage = job.message;
+        document.getElementById('scanLogContent').innerHTML += '<br>' + job.message;
+      }
+    });
     
+    renderScanResult(await fetchJobResult(scanJobId));
   } catch (e) {
-    clearInterval(timerInterval);
     showBulk(e.message || 'Scan failed', 'err');
     document.getElementById('scanLogContent').innerHTML += '<br>ERROR: ' + e.message;
+  } finally {
+    clearInterval(timerInterval);
+    document.getElementById('scanTime').textContent = Math.round((Date.now() - startTime) / 1000);
+    if (btnBulkCancel) btnBulkCancel.style.display = 'none';
+    scanJobId = null;
+    loadJobs();
+  }
+});
+
+btnBulkCancel?.addEventListener('click', async () => {
+  if (!scanJobId) return;
+  try {
+    await cancelJob(scanJobId);
+    showBulk('Cancelling scan…', 'ok');
+  } catch (e) {
+    showBulk(e.message || 'Cancel failed', 'err');
   }
 });
 
@@ -155,11 +251,12 @@ document.getElementById('btnDownloadScanCSV')?.addEventListener('click', () => {
     'Order ID', 'Order Number', 'Ship To City', 'Ship To State', 
     'Product Items', 'Product SKUs',
     'Current Customs Description', 'New Customs Description', 
-    'Current HS', 'New HS', 'Changes'
+    'Current HS', 'New HS', 'Changes',
+    'Declared Total', 'Duty Threshold', 'Duty Status'
   ];
   const rows = [headers];
   
-  scanResults.forEach(order => {
+  filterByDuty(scanResults).forEach(order => {
     // Get product items for this order
     const itemNames = (order.items || []).map(i => `${i.name} (qty: ${i.quantity})`).join('; ');
     const itemSkus = (order.items || []).map(i => i.sku || 'no-sku').join('; ');
@@ -176,7 +273,10 @@ document.getElementById('btnDownloadScanCSV')?.addEventListener('click', () => {
         change.to || '',    // New customs description
         change.harmonizedCode || '',
         change.harmonizedCodeNew || '',
-        order.changes
+        order.changes,
+        order.duty?.declaredTotal ?? '',
+        order.duty?.threshold ?? '',
+        order.duty?.status || ''
       ]);
     });
   });
@@ -205,10 +305,48 @@ document.getElementById('btnDownloadScanCSV')?.addEventListener('click', () => {
   showBulk('CSV downloaded!', 'ok');
 });
 
+  bulkDutyFilter?.addEventListener('change', () => renderBulkTable(filterByDuty(scanResults)));
+
   bulkSelectAll?.addEventListener('change', () => {
     document.querySelectorAll('.bulk-row').forEach(cb => { cb.checked = bulkSelectAll.checked; });
   });
 
+  // Bulk dry run: same job as Apply with dryRun; the per-order payloads and diffs download as JSON
+  btnBulkDryRun?.addEventListener('click', async () => {
+    const ids = Array.from(document.querySelectorAll('.bulk-row:checked')).map(cb => cb.dataset.id);
+    if (!ids.length) return showBulk('Select at least one order.', 'err');
+
+    showBulk(`Dry-running ${ids.length} orders…`, 'ok');
+    btnBulkDryRun.disabled = true;
+    try {
+      const queued = await fetchJSON('/api/shipstation/orders/bulk-update', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ orderIds: ids, allowInvalidHS: !!bulkAllowInvalidHS?.checked, dryRun: true })
+      });
+      if (!queued._ok) throw new Error(typeof queued.error === 'string' ? queued.error : `HTTP ${queued._status}`);
+      loadJobs();
+      await waitForJob(queued.jobId, job => showBulk(`Dry run: ${jobProgressText(job)}`, 'ok'));
+      const resp = await fetchJobResult(queued.jobId);
+
+      const blob = new Blob([JSON.stringify(resp.results || [], null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `shipstation_dry_run_${new Date().toISOString().slice(0,10)}.json`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+      showBulk(`Dry run done: ${resp.updated || 0} orders would be updated, ${resp.failed || 0} failed. Payloads downloaded; nothing was written.`, resp.failed ? 'err' : 'ok');
+    } catch (e) {
+      showBulk(e.message || 'Dry run failed', 'err');
+    } finally {
+      btnBulkDryRun.disabled = false;
+      loadJobs();
+    }
+  });
+
   btnBulkApply?.addEventListener('click', async () => {
     const ids = Array.from(document.querySelectorAll('.bulk-row:checked')).map(cb => cb.dataset.id);
     if (!ids.length) return showBulk('Select at least one order.', 'err');
@@ -216,39 +354,113 @@ document.getElementById('btnDownloadScanCSV')?.addEventListener('click', () => {
     showBulk(`Applying fixes to ${ids.length} orders…`, 'ok');
     btnBulkApply.disabled = true;
     try {
-      const resp = await fetchJSON('/api/shipstation/orders/bulk-update', {
+      const queued = await fetchJSON('/api/shipstation/orders/bulk-update', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ orderIds: ids })
+        body: JSON.stringify({ orderIds: ids, allowInvalidHS: !!bulkAllowInvalidHS?.checked })
       });
-      if (!resp._ok) throw new Error(typeof resp.error === 'string' ? resp.error : `HTTP ${resp._status}`);
+      if (!queued._ok) throw new Error(typeof queued.error === 'string' ? queued.error : `HTTP ${queued._status}`);
+      loadJobs();
+      await waitForJob(queued.jobId, job => showBulk(`Applying fixes: ${jobProgressText(job)}`, 'ok'));
+      const resp = await fetchJobResult(queued.jobId);
       const ok = resp.updated || 0;
       const fail = resp.failed || 0;
-      showBulk(`Done. Updated ${ok} orders, ${fail} failed. See console for details.`, 'ok');
+      const hsBlocked = (resp.results || []).filter(r => r.invalidHS).length;
+      const hsNote = hsBlocked ? ` ${hsBlocked} blocked by invalid HS codes (tick "Allow invalid HS" to write them anyway).` : '';
+      const conflicts = (resp.results || []).filter(r => r.conflict).length;
+      const conflictNote = conflicts ? ` ${conflicts} skipped because their customs were edited in ShipStation meanwhile (scan again).` : '';
+      showBulk(`Done. Updated ${ok} orders, ${fail} failed.${hsNote}${conflictNote} See console for details.`, 'ok');
       console.log('Bulk results:', resp.results);
+      lastBatchId = ok > 0 ? resp.batchId : null;
+      if (btnBulkUndo) btnBulkUndo.style.display = lastBatchId ? '' : 'none';
     } catch (e) {
       showBulk(e.message || 'Bulk update failed', 'err');
     } finally {
       btnBulkApply.disabled = false;
+      loadJobs();
+    }
+  });
+
+  // ---- EVENTS: rollback
+  let lastBatchId = null;
+  let lastAuditId = null;
+
+  async function rollback(body) {
+    const resp = await fetchJSON('/api/shipstation/rollback', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    if (!resp._ok) throw new Error(typeof resp.error === 'string' ? resp.error : `HTTP ${resp._status}`);
+    return resp;
+  }
+
+  btnBulkUndo?.addEventListener('click', async () => {
+    if (!lastBatchId) return;
+    if (!confirm('Restore the customs items and SKUs these orders had before the last batch?')) return;
+    btnBulkUndo.disabled = true;
+    try {
+      // A batch rollback runs as a background job
+      const queued = await rollback({ batchId: lastBatchId });
+      loadJobs();
+      await waitForJob(queued.jobId, job => showBulk(`Rolling back: ${jobProgressText(job)}`, 'ok'));
+      const resp = await fetchJobResult(queued.jobId);
+      const failures = (resp.results || []).filter(r => !r.ok).map(r => `#${r.orderNumber}: ${r.error}`);
+      showBulk(`Rolled back ${resp.restored} orders, ${resp.failed} failed.${failures.length ? ' ' + failures.join(' · ') : ''}`, resp.failed ? 'err' : 'ok');
+      // The rollback is its own batch, so "undo" now re-applies the original fixes
+      lastBatchId = resp.restored > 0 ? resp.batchId : null;
+      btnBulkUndo.style.display = lastBatchId ? '' : 'none';
+    } catch (e) {
+      showBulk(e.message || 'Rollback failed', 'err');
+    } finally {
+      btnBulkUndo.disabled = false;
+      loadJobs();
+    }
+  });
+
+  btnUndo?.addEventListener('click', async () => {
+    if (!lastAuditId) return;
+    btnUndo.disabled = true;
+    try {
+      const resp = await rollback({ auditId: lastAuditId });
+      const r = (resp.results || [])[0] || {};
+      if (!r.ok) throw new Error(r.error || 'Rollback failed');
+      show(`Rolled back order ${r.orderNumber || r.orderId}.`, 'ok');
+      lastAuditId = r.rollbackAuditId || null;
+      btnUndo.style.display = lastAuditId ? '' : 'none';
+    } catch (e) {
+      show(e.message || 'Rollback failed', 'err');
+    } finally {
+      btnUndo.disabled = false;
     }
   });
 
   // ---- EVENTS: single preview/apply
   let lastOrderId = null;
+  let lastRebuild = false;
 
   btnPreview?.addEventListener('click', async () => {
     btnApply.disabled = true;
+    if (btnDryRun) btnDryRun.disabled = true;
     const id = (orderInput?.value || '').trim();
     if (!id) return show('Enter a ShipStation orderId or orderNumber.', 'err');
+    const rebuild = !!rebuildCustomsEl?.checked;
 
     try {
-      const data = await fetchJSON(`/api/shipstation/orders/${encodeURIComponent(id)}/preview`);
+      const data = await fetchJSON(`/api/shipstation/orders/${encodeURIComponent(id)}/preview${rebuild ? '?rebuild=true' : ''}`);
       if (!data._ok) throw new Error(typeof data.error === 'string' ? data.error : `HTTP ${data._status}`);
       lastOrderId = id;
-      renderDiffAndAnalysis(data.diff, data.analysis);
+      lastRebuild = rebuild;
+      renderDiffAndAnalysis(data.diff, data.analysis, data.valuation, data.replaced);
+      renderSkuPlan(data.skuPlan, data.customsSkuPlan);
       const changesPlanned = (data.diff?.length || 0); // focus on customs Desc/HS only
       btnApply.disabled = changesPlanned === 0;
-      show(`Preview ready. ${changesPlanned} change(s) planned.`, 'ok');
+      if (btnDryRun) btnDryRun.disabled = changesPlanned === 0;
+      const invalidCount = (data.invalidHS || []).length;
+      if (data.duty && (data.duty.status === 'over' || data.duty.status === 'near')) {
+        diffBox.textContent = `// ⚠ ${data.duty.message}\n` + diffBox.textContent;
+      }
+      show(`Preview ready. ${changesPlanned} change(s) planned.${invalidCount ? ` ⚠ ${invalidCount} line(s) have HS codes that fail the HTS check.` : ''}`, invalidCount ? 'err' : 'ok');
     } catch (e) {
       show(e.message || 'Preview failed', 'err');
       diffBox.textContent = '// error';
@@ -259,17 +471,56 @@ document.getElementById('btnDownloadScanCSV')?.addEventListener('click', () => {
     e.preventDefault();
     if (!lastOrderId) return;
     try {
-      const data = await fetchJSON(`/api/shipstation/orders/${encodeURIComponent(lastOrderId)}/update`, {
+      const send = (allowInvalidHS) => fetchJSON(`/api/shipstation/orders/${encodeURIComponent(lastOrderId)}/update`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' }
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ allowInvalidHS, rebuild: lastRebuild })
       });
+      let data = await send(false);
+      if (data._status === 422 && Array.isArray(data.invalidHS)) {
+        const lines = data.invalidHS.map(p => `• line #${p.index + 1} ${p.code}: ${p.message}`).join('\n');
+        if (!confirm(`These HS codes failed the HTS check:\n${lines}\n\nWrite them anyway?`)) throw new Error(data.error);
+        data = await send(true);
+      }
+      if (data._status === 409 && data.conflict) {
+        throw new Error(`${data.error}${data.conflict.changedFields?.length ? ` (changed: ${data.conflict.changedFields.join(', ')})` : ''}. Preview the order again before applying.`);
+      }
       if (!data._ok) throw new Error(typeof data.error === 'string' ? data.error : `HTTP ${data._status}`);
-      show(`Updated order ${data.updatedOrderId}. Descriptions changed: ${data.changedDescriptions}.`, 'ok');
+      const mergedNote = data.merged
+        ? ` It was edited in ShipStation meanwhile (${data.merged.changedFields.join(', ') || 'no field changes'}); those edits were kept.`
+        : '';
+      show(`Updated order ${data.updatedOrderId}. Descriptions changed: ${data.changedDescriptions}.${mergedNote}`, 'ok');
+      lastAuditId = data.auditId || null;
+      if (btnUndo) btnUndo.style.display = lastAuditId ? '' : 'none';
     } catch (e) {
       show(e.message || 'Update failed', 'err');
     }
   });
 
+  // Dry run: the exact payload the update would post, with every field it changes
+  btnDryRun?.addEventListener('click', async () => {
+    if (!lastOrderId) return;
+    btnDryRun.disabled = true;
+    try {
+      const data = await fetchJSON(`/api/shipstation/orders/${encodeURIComponent(lastOrderId)}/update`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ dryRun: true, rebuild: lastRebuild })
+      });
+      if (!data._ok) throw new Error(typeof data.error === 'string' ? data.error : `HTTP ${data._status}`);
+      const short = v => (v === undefined ? '—' : JSON.stringify(v));
+      const lines = [`// Dry run: ${data.changes.length} field(s) would change; nothing was written.`];
+      data.changes.forEach(c => lines.push(`${c.path}: ${short(c.from)} -> ${short(c.to)}`));
+      if (data.payload) lines.push('', '// Payload that would be sent:', JSON.stringify(data.payload, null, 2));
+      diffBox.textContent = lines.join('\n');
+      show(`Dry run ready: ${data.changes.length} field(s) would change.`, 'ok');
+    } catch (e) {
+      show(e.message || 'Dry run failed', 'err');
+    } finally {
+      btnDryRun.disabled = false;
+    }
+  });
+
   // ---- EVENTS: exports (CSV)
   btnExportMismatches?.addEventListener('click', () => {
     const qs = new URLSearchParams({
@@ -333,7 +584,7 @@ document.getElementById('btnExport50')?.addEventListener('click', () => {
   // Show status
   const statusEl = document.getElementById('bulkExportStatus');
   if (statusEl) {
-    statusEl.textContent = 'Generating CSV for 50 US orders... This may take a moment.';
+    statusEl.textContent = 'Generating CSV for 50 international orders... This may take a moment.';
     statusEl.className = 'status show ok';
   }
   
@@ -346,127 +597,384 @@ document.getElementById('btnExport50')?.addEventListener('click', () => {
     }
   }, 2000);
 });
-// Add handler for ALL orders export
-// Replace the export ALL handler with this version that includes a live timer:
-document.getElementById('btnExportAllOrders')?.addEventListener('click', () => {
+// Export ALL runs as a background job; the CSV downloads when it completes
+document.getElementById('btnExportAllOrders')?.addEventListener('click', async () => {
   const days = document.getElementById('allExportDays').value || 30;
   const maxOrders = document.getElementById('allExportMax').value || 2000;
   
   const qs = new URLSearchParams({
     days: String(days),
-    limit: String(maxOrders),
-    all: 'true'
+    limit: String(maxOrders)
   }).toString();
   
-  // UI elements
   const statusEl = document.getElementById('allExportStatus');
-  const btn = document.getElementById('btnExportAll');
-  
-  // Estimate based on 40 API calls per minute
-  const estimatedMinutes = Math.round(maxOrders * 1.5 / 60);
-  const estimatedSeconds = estimatedMinutes * 60;
-  
-  // Start timer
+  const btn = document.getElementById('btnExportAllOrders');
   const startTime = Date.now();
-  let timerInterval;
   
-  // Timer update function
-  const updateTimer = () => {
+  const renderProgress = (job) => {
     const elapsed = Math.floor((Date.now() - startTime) / 1000);
     const minutes = Math.floor(elapsed / 60);
     const seconds = elapsed % 60;
-    
-    // Calculate estimated remaining
-    const progress = Math.min(elapsed / estimatedSeconds, 1);
-    const remainingSeconds = Math.max(0, estimatedSeconds - elapsed);
-    const remainingMin = Math.floor(remainingSeconds / 60);
-    const remainingSec = remainingSeconds % 60;
-    
-    // Update status display
-    if (statusEl) {
-      let statusHTML = `
-        <div style="font-weight: 600; margin-bottom: 8px;">
-          ⏱️ Exporting ALL US Orders...
-        </div>
-        <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 12px; font-size: 0.9em;">
-          <div>
-            <strong>Elapsed:</strong> ${minutes}:${seconds.toString().padStart(2, '0')}
-          </div>
-          <div>
-            <strong>Est. Remaining:</strong> ${remainingMin}:${remainingSec.toString().padStart(2, '0')}
-          </div>
-        </div>
-        <div style="margin-top: 8px;">
-          <div style="background: #e5e7eb; border-radius: 4px; height: 8px; overflow: hidden;">
-            <div style="background: linear-gradient(90deg, #667eea, #764ba2); height: 100%; width: ${Math.round(progress * 100)}%; transition: width 1s;"></div>
-          </div>
+    const p = job.progress || {};
+    const pct = p.total ? Math.round(p.done / p.total * 100) : 0;
+    statusEl.innerHTML = `
+      <div style="font-weight: 600; margin-bottom: 8px;">
+        ⏱️ Exporting ALL International Orders… (${job.status})
+      </div>
+      <div style="font-size: 0.9em;"><strong>Elapsed:</strong> ${minutes}:${seconds.toString().padStart(2, '0')}</div>
+      <div style="margin-top: 8px;">
+        <div style="background: #e5e7eb; border-radius: 4px; height: 8px; overflow: hidden;">
+          <div style="background: linear-gradient(90deg, #667eea, #764ba2); height: 100%; width: ${pct}%; transition: width 1s;"></div>
         </div>
-        <div style="margin-top: 6px; font-size: 0.85em; color: #6b7280;">
-          Processing ~${Math.round(progress * maxOrders)} of ${maxOrders} orders (estimate)
-        </div>
-      `;
-      statusEl.innerHTML = statusHTML;
-      statusEl.className = 'status show ok';
-    }
+      </div>
+      <div style="margin-top: 6px; font-size: 0.85em; color: #6b7280;">${job.message || ''}</div>
+    `;
+    statusEl.className = 'status show ok';
+  };
+  
+  if (btn) btn.disabled = true;
+  try {
+    const queued = await fetchJSON(`/api/shipstation/orders/export-all.csv?${qs}`);
+    if (!queued._ok) throw new Error(typeof queued.error === 'string' ? queued.error : `HTTP ${queued._status}`);
+    loadJobs();
     
-    // Stop timer after reasonable max time (2 hours)
-    if (elapsed > 7200) {
-      clearInterval(timerInterval);
-      if (statusEl) {
-        statusEl.innerHTML = 'Export is taking longer than expected. Check browser downloads or console for status.';
-        statusEl.className = 'status show err';
+    // Polling keeps going if the tab stays open; otherwise download it from the jobs list later
+    await waitForJob(queued.jobId, renderProgress, 5000);
+    statusEl.innerHTML = `
+      <div style="font-weight: 600;">✅ Export Complete!</div>
+      <div style="margin-top: 4px; font-size: 0.9em;">Downloading the CSV…</div>
+    `;
+    statusEl.className = 'status show ok';
+    window.location.href = `/api/jobs/${encodeURIComponent(queued.jobId)}/result`;
+  } catch (e) {
+    statusEl.textContent = e.message || 'Export failed';
+    statusEl.className = 'status show err';
+  } finally {
+    if (btn) btn.disabled = false;
+    loadJobs();
+  }
+});
+
+  // ---- background jobs list
+  const jobsTbody = document.getElementById('jobsTbody');
+  const JOB_LABELS = {
+    'shipstation-scan': 'Scan',
+    'shipstation-bulk-update': 'Bulk update',
+    'shipstation-export-all': 'Export ALL',
+    'shipstation-webhook': 'Webhook',
+    'shipstation-review-apply': 'Review apply',
+    'shipstation-rollback': 'Rollback'
+  };
+  let jobsTimer = null;
+
+  async function loadJobs() {
+    if (!jobsTbody) return;
+    const data = await fetchJSON('/api/jobs?limit=15');
+    if (!data._ok) return;
+    const jobs = data.jobs || [];
+    jobsTbody.innerHTML = '';
+    jobs.forEach(job => {
+      const tr = document.createElement('tr');
+      const actions = [];
+      // The server says which jobs this user may cancel, resume or read (their own, unless admin)
+      if (job.canManage && ACTIVE_JOB.includes(job.status)) actions.push(`<button class="btn btn-secondary" data-action="cancel">Cancel</button>`);
+      if (job.canManage && (job.status === 'failed' || job.status === 'cancelled')) actions.push(`<button class="btn btn-secondary" data-action="resume">Resume</button>`);
+      if (job.canManage && job.status === 'completed' && job.resultFile) actions.push(`<a class="btn btn-secondary" href="/api/jobs/${job.id}/result">⬇ CSV</a>`);
+      if (job.canManage && job.status === 'completed' && job.type === 'shipstation-scan') actions.push(`<button class="btn btn-secondary" data-action="load">Load results</button>`);
+      tr.innerHTML = `
+        <td style="padding:.4rem;">${JOB_LABELS[job.type] || job.type}${job.userEmail ? `<br><small>${escapeHTML(job.userEmail)}</small>` : ''}</td>
+        <td style="padding:.4rem;">${new Date(job.createdAt.replace(' ', 'T') + 'Z').toLocaleString()}</td>
+        <td style="padding:.4rem;">${jobProgressText(job)}${job.error ? `<br><span style="color:#991b1b">${job.error}</span>` : ''}</td>
+        <td style="padding:.4rem; white-space:nowrap;">${actions.join(' ')}</td>
+      `;
+      tr.dataset.id = job.id;
+      jobsTbody.appendChild(tr);
+    });
+
+    // Keep refreshing while anything is still queued or running
+    clearTimeout(jobsTimer);
+    if (jobs.some(j => ACTIVE_JOB.includes(j.status))) jobsTimer = setTimeout(loadJobs, 5000);
+  }
+
+  jobsTbody?.addEventListener('click', async (e) => {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+    const id = btn.closest('tr').dataset.id;
+    try {
+      if (btn.dataset.action === 'cancel') {
+        await cancelJob(id);
+      } else if (btn.dataset.action === 'resume') {
+        const data = await fetchJSON(`/api/jobs/${encodeURIComponent(id)}/resume`, { method: 'POST' });
+        if (!data._ok) throw new Error(typeof data.error === 'string' ? data.error : `HTTP ${data._status}`);
+      } else if (btn.dataset.action === 'load') {
+        renderScanResult(await fetchJobResult(id));
       }
+    } catch (err) {
+      showBulk(err.message || 'Job action failed', 'err');
     }
-  };
-  
-  // Start the timer
-  timerInterval = setInterval(updateTimer, 1000);
-  updateTimer(); // Initial call
-  
-  // Disable button
-  if (btn) {
-    btn.disabled = false;
-    btn.innerHTML = '📥 Export ALL US Orders (40+ min)';  // Update this text to match
+    loadJobs();
+  });
+
+  document.getElementById('btnRefreshJobs')?.addEventListener('click', loadJobs);
+  loadJobs();
+
+  // ---- webhook orders: what ORDER_NOTIFY did with each order; queued ones can be previewed here
+  const webhookTbody = document.getElementById('webhookTbody');
+  const webhookOutcome = document.getElementById('webhookOutcome');
+
+  async function loadWebhookOrders() {
+    if (!webhookTbody) return;
+    const [events, data] = await Promise.all([
+      fetchJSON('/api/shipstation/webhooks?limit=1'),
+      fetchJSON(`/api/shipstation/webhooks/orders?limit=50&outcome=${encodeURIComponent(webhookOutcome.value)}`)
+    ]);
+    if (events._ok) {
+      document.getElementById('webhookAutoApply').textContent = events.autoApply
+        ? 'Auto-apply is on: high-confidence fixes are written straight away.'
+        : 'Auto-apply is off: every fix is queued.';
+    }
+    if (!data._ok) return;
+    webhookTbody.innerHTML = '';
+    (data.orders || []).forEach(o => {
+      const tr = document.createElement('tr');
+      tr.dataset.orderNumber = o.orderNumber || o.orderId;
+      tr.innerHTML = `
+        <td style="padding:.4rem;">#${escapeHTML(o.orderNumber || o.orderId)}</td>
+        <td style="padding:.4rem;">${escapeHTML(o.outcome)}${o.changes ? ` (${o.changes} change${o.changes === 1 ? '' : 's'})` : ''}</td>
+        <td style="padding:.4rem;">${escapeHTML(o.reason || '')}</td>
+        <td style="padding:.4rem;">${new Date(o.createdAt.replace(' ', 'T') + 'Z').toLocaleString()}</td>
+        <td style="padding:.4rem;">${o.outcome === 'applied' ? '' : '<button class="btn btn-secondary" data-action="preview">Preview</button>'}</td>
+      `;
+      webhookTbody.appendChild(tr);
+    });
   }
-  
-  // Start download
-  const downloadUrl = `/api/shipstation/orders/export-all.csv?${qs}`;
-  
-  // Create hidden iframe for download (allows page to stay responsive)
-  window.location.href = downloadUrl;
 
-  
-  // Clean up after estimated time + buffer
-  setTimeout(() => {
-    clearInterval(timerInterval);
-    
-    if (statusEl) {
-      statusEl.innerHTML = `
-        <div style="font-weight: 600;">✅ Export Complete!</div>
-        <div style="margin-top: 4px; font-size: 0.9em;">Check your downloads folder for the CSV file.</div>
+  webhookTbody?.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-action="preview"]');
+    if (!btn) return;
+    orderInput.value = btn.closest('tr').dataset.orderNumber;
+    orderInput.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    btnPreview.click();
+  });
+
+  webhookOutcome?.addEventListener('change', loadWebhookOrders);
+  document.getElementById('btnRefreshWebhooks')?.addEventListener('click', loadWebhookOrders);
+  loadWebhookOrders();
+
+  // ---- review queue: per-line approve/reject of persisted proposals, then apply the approved lines
+  const reviewTbody = document.getElementById('reviewTbody');
+  const reviewStatus = document.getElementById('reviewStatus');
+  const DECISION_BADGES = { pending: '•', approved: '✓', rejected: '✗' };
+
+  function reviewLineText(d) {
+    const hs = d.harmonizedCodeNew && d.harmonizedCodeNew !== d.harmonizedCode
+      ? `[HS ${d.harmonizedCode || ''} → ${d.harmonizedCodeNew}] ` : '';
+    const value = d.valueNew != null && d.valueNew !== d.value ? ` [value ${d.value ?? '—'} → ${d.valueNew}]` : '';
+    const origin = d.countryOfOriginNew && d.countryOfOriginNew !== d.countryOfOrigin
+      ? ` [origin ${d.countryOfOrigin || '—'} → ${d.countryOfOriginNew}]` : '';
+    return `${hs}"${d.from}" → "${d.to}"${value}${origin}`;
+  }
+
+  async function loadReviewQueue() {
+    if (!reviewTbody) return;
+    const data = await fetchJSON(`/api/shipstation/review-queue?limit=100&status=${encodeURIComponent(reviewStatus.value)}`);
+    if (!data._ok) return;
+    const counts = data.counts || {};
+    document.getElementById('reviewCounts').textContent = Object.entries(counts)
+      .filter(([, n]) => n).map(([status, n]) => `${n} ${status}`).join(' · ');
+
+    reviewTbody.innerHTML = (data.items || []).length ? '' : '<tr><td colspan="4" style="padding:.4rem;">Nothing here</td></tr>';
+    (data.items || []).forEach(item => {
+      const open = !['applied', 'stale'].includes(item.status);
+      const lines = item.lines.map(l => `
+        <div data-line="${l.index}" style="margin-bottom:.25rem;">
+          <span title="${l.decision}">${DECISION_BADGES[l.decision] || ''}</span>
+          #${l.index + 1} ${escapeHTML(reviewLineText(l.change))}
+          ${open ? `<button class="btn btn-secondary" data-action="line" data-decision="approved" data-requires="orders:write">✓</button>
+          <button class="btn btn-secondary" data-action="line" data-decision="rejected" data-requires="orders:write">✗</button>` : ''}
+        </div>`).join('');
+      const actions = [];
+      if (open) {
+        actions.push('<button class="btn btn-secondary" data-action="all" data-decision="approved" data-requires="orders:write">Approve all</button>');
+        actions.push('<button class="btn btn-secondary" data-action="all" data-decision="rejected" data-requires="orders:write">Reject all</button>');
+      }
+      if (['approved', 'failed'].includes(item.status)) actions.push('<button class="btn" data-action="apply" data-requires="orders:write">Apply</button>');
+      if (item.status !== 'applied') actions.push('<button class="btn btn-secondary" data-action="refresh" data-requires="orders:write">Refresh</button>');
+
+      const tr = document.createElement('tr');
+      tr.dataset.id = item.id;
+      tr.innerHTML = `
+        <td style="padding:.4rem; vertical-align:top;">#${escapeHTML(item.orderNumber || item.orderId)}<br><small>${escapeHTML(item.source || '')} · ${escapeHTML(item.shipTo?.country || '')}</small></td>
+        <td style="padding:.4rem; vertical-align:top;">${escapeHTML(item.status)}${item.error ? `<br><span style="color:#991b1b">${escapeHTML(item.error)}</span>` : ''}</td>
+        <td style="padding:.4rem; font-family:ui-monospace, SFMono-Regular, Menlo, monospace; font-size:.85rem;">${lines}</td>
+        <td style="padding:.4rem; vertical-align:top; white-space:nowrap;">${actions.join(' ')}</td>
       `;
-      statusEl.className = 'status show ok';
+      reviewTbody.appendChild(tr);
+    });
+  }
+
+  async function applyReviewItems(ids) {
+    const queued = await fetchJSON('/api/shipstation/review-queue/apply', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ids })
+    });
+    if (!queued._ok) throw new Error(typeof queued.error === 'string' ? queued.error : `HTTP ${queued._status}`);
+    loadJobs();
+    await waitForJob(queued.jobId, job => showBulk(`Applying reviewed orders: ${jobProgressText(job)}`, 'ok'));
+    const resp = await fetchJobResult(queued.jobId);
+    const failed = (resp.results || []).length - (resp.applied || 0) - (resp.stale || 0);
+    const staleNote = resp.stale ? ` ${resp.stale} changed in ShipStation since review (refresh them).` : '';
+    showBulk(`Done. Applied ${resp.applied || 0} orders, ${failed} failed.${staleNote}`, resp.applied === ids.length ? 'ok' : 'err');
+  }
+
+  reviewTbody?.addEventListener('click', async (e) => {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+    const id = btn.closest('tr').dataset.id;
+    const post = (path, body) => fetchJSON(`/api/shipstation/review-queue/${encodeURIComponent(id)}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body || {})
+    });
+    btn.disabled = true;
+    try {
+      let data;
+      if (btn.dataset.action === 'line') {
+        data = await post('/decision', { decision: btn.dataset.decision, lines: [Number(btn.closest('[data-line]').dataset.line)] });
+      } else if (btn.dataset.action === 'all') {
+        data = await post('/decision', { decision: btn.dataset.decision });
+      } else if (btn.dataset.action === 'refresh') {
+        data = await post('/refresh');
+        if (data._ok && data.removed) showBulk(`Removed from the queue: ${data.reason}`, 'ok');
+      } else if (btn.dataset.action === 'apply') {
+        await applyReviewItems([Number(id)]);
+      }
+      if (data && !data._ok) throw new Error(typeof data.error === 'string' ? data.error : `HTTP ${data._status}`);
+    } catch (err) {
+      showBulk(err.message || 'Review action failed', 'err');
     }
-    
-    if (btn) {
+    loadReviewQueue();
+  });
+
+  document.getElementById('btnApplyApproved')?.addEventListener('click', async (e) => {
+    const btn = e.currentTarget;
+    btn.disabled = true;
+    try {
+      const data = await fetchJSON('/api/shipstation/review-queue?status=approved&limit=500');
+      if (!data._ok) throw new Error(typeof data.error === 'string' ? data.error : `HTTP ${data._status}`);
+      const ids = (data.items || []).map(i => i.id);
+      if (!ids.length) return showBulk('No approved entries to apply.', 'err');
+      await applyReviewItems(ids);
+    } catch (err) {
+      showBulk(err.message || 'Apply failed', 'err');
+    } finally {
       btn.disabled = false;
-      btn.innerHTML = '📥 Export ALL US Orders (40+ min)';
+      loadReviewQueue();
     }
-    
-    // Remove iframe
-    if (iframe && iframe.parentNode) {
-      iframe.parentNode.removeChild(iframe);
+  });
+
+  reviewStatus?.addEventListener('change', loadReviewQueue);
+  document.getElementById('btnRefreshReview')?.addEventListener('click', loadReviewQueue);
+  loadReviewQueue();
+
+  // ---- SKU matches: confirm/correct proposed SKUs, stored as name → SKU aliases
+  function renderSkuPlan(skuPlan = [], customsSkuPlan = []) {
+    if (!skuPlanTbody) return;
+    const rows = [
+      ...skuPlan.map(p => ({ line: `Item #${p.index + 1}`, name: p.itemName, ...p })),
+      ...customsSkuPlan.map(p => ({ line: `Customs #${p.index + 1}`, name: p.description, ...p }))
+    ];
+    skuPlanTbody.innerHTML = rows.length ? '' : '<tr><td colspan="6" style="padding:.4rem;">No lines</td></tr>';
+    rows.forEach(r => {
+      const tr = document.createElement('tr');
+      const conf = typeof r.confidence === 'number' ? ` (${Math.round(r.confidence * 100)}%)` : '';
+      tr.innerHTML = `
+        <td style="padding:.4rem; white-space:nowrap;">${r.line}</td>
+        <td style="padding:.4rem;">${escapeHTML(r.name)}${r.matchedName && r.matchedName !== r.name ? `<br><small>≈ ${escapeHTML(r.matchedName)}</small>` : ''}</td>
+        <td style="padding:.4rem;">${escapeHTML(r.after || '—')}</td>
+        <td style="padding:.4rem;" data-role="source">${escapeHTML(r.source || r.status)}${conf}</td>
+        <td style="padding:.4rem;"><input class="input" style="width:140px" value="${escapeHTML(r.after)}"></td>
+        <td style="padding:.4rem;"><button type="button" class="btn btn-secondary" data-action="confirm" data-requires="orders:write">Confirm</button></td>
+      `;
+      tr.dataset.name = r.name || '';
+      skuPlanTbody.appendChild(tr);
+    });
+  }
+
+  skuPlanTbody?.addEventListener('click', async (e) => {
+    const btn = e.target.closest('button[data-action="confirm"]');
+    if (!btn) return;
+    const tr = btn.closest('tr');
+    const sku = tr.querySelector('input').value.trim();
+    if (!sku) return show('Enter a SKU to confirm.', 'err');
+    btn.disabled = true;
+    try {
+      const data = await fetchJSON('/api/shipstation/sku-aliases', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: tr.dataset.name, sku })
+      });
+      if (!data._ok) throw new Error(typeof data.error === 'string' ? data.error : `HTTP ${data._status}`);
+      tr.querySelector('[data-role="source"]').textContent = 'alias ✓';
+      show(`Saved alias "${data.name}" → ${data.sku}. Preview again to apply it.`, 'ok');
+    } catch (err) {
+      show(err.message || 'Saving alias failed', 'err');
+    } finally {
+      btn.disabled = false;
     }
-  }, (estimatedSeconds + 60) * 1000); // Add 1 min buffer
-});
+  });
+
+  // ---- SKU catalog (local copy of ShipStation products + Shopify variants used to fill SKUs)
+  function renderSkuCatalog(c) {
+    if (!skuCatalogInfo) return;
+    const synced = c.lastSyncedAt ? new Date(c.lastSyncedAt.replace(' ', 'T') + 'Z').toLocaleString() : 'never';
+    skuCatalogInfo.textContent = `SKU catalog: ${c.entries} SKUs (${c.shipstation} ShipStation, ${c.shopify} Shopify) · last synced ${synced}` +
+      `${c.syncing ? ' · syncing…' : ''}${c.shopifyError ? ` · Shopify refresh failed: ${c.shopifyError}` : ''}`;
+  }
+
+  async function loadSkuCatalog() {
+    const data = await fetchJSON('/api/shipstation/sku-catalog');
+    if (data._ok) renderSkuCatalog(data);
+  }
+
+  btnSkuCatalogSync?.addEventListener('click', async () => {
+    btnSkuCatalogSync.disabled = true;
+    if (skuCatalogInfo) skuCatalogInfo.textContent = 'SKU catalog: syncing…';
+    try {
+      const data = await fetchJSON('/api/shipstation/sku-catalog/sync', { method: 'POST' });
+      if (!data._ok) throw new Error(typeof data.error === 'string' ? data.error : `HTTP ${data._status}`);
+      renderSkuCatalog(data);
+    } catch (e) {
+      show(e.message || 'SKU catalog sync failed', 'err');
+      loadSkuCatalog();
+    } finally {
+      btnSkuCatalogSync.disabled = false;
+    }
+  });
+  loadSkuCatalog();
+
   // -------- renderer ----------
-  function renderDiffAndAnalysis(diff, analysis) {
+  function renderDiffAndAnalysis(diff, analysis, valuation, replaced) {
     const lines = [];
+    if (Array.isArray(replaced)) {
+      lines.push(`// Rebuild: these ${replaced.length} customs line(s) will be discarded:`);
+      replaced.forEach(r => lines.push(`//   #${r.index + 1} [HS ${r.hs || ''}] "${r.description}" qty ${r.quantity ?? '—'} value ${r.value ?? '—'}`));
+      lines.push('');
+    }
+    if (valuation) {
+      lines.push(`// Declared value (${valuation.valueSource}): customs total ${valuation.customsTotal} → ${valuation.customsTotalNew}` +
+        `, merchandise paid ${valuation.merchandiseTotal}${valuation.discount ? `, discounts ${valuation.discount}` : ''}` +
+        `${valuation.reconciled ? ' — reconciled to order total' : ''}`);
+      lines.push('');
+    }
     if (Array.isArray(analysis) && analysis.length) {
       lines.push('// Analysis of customs items:');
       analysis.forEach(a => {
         const hsNote = a.hsNew && a.hsNew !== a.hs ? ` HS ${a.hs} → ${a.hsNew}` : ` HS ${a.hs}`;
-        lines.push(`#${a.index + 1}${hsNote} rule=${a.rule} FROM: "${a.from}"  ->  TO: "${a.mapped}"  ${a.willChange ? '🎯 CHANGE' : '— no change'}`);
+        const hsFlag = a.hsInvalid ? ` ⚠ HS ${a.hsStatus}: ${a.hsMessage}` : '';
+        const srcNote = a.hsSource ? ` hs=${a.hsSource}${a.originSource !== a.hsSource ? ` origin=${a.originSource}` : ''}` : '';
+        lines.push(`#${a.index + 1}${hsNote} rule=${a.rule}${srcNote}${a.profile ? ` [${a.profile}]` : ''} FROM: "${a.from}"  ->  TO: "${a.mapped}"  ${a.willChange ? '🎯 CHANGE' : '— no change'}${hsFlag}`);
       });
       lines.push('');
     }
@@ -479,7 +987,8 @@ document.getElementById('btnExportAllOrders')?.addEventListener('click', () => {
         const hsLabel = d.harmonizedCodeNew && d.harmonizedCodeNew !== d.harmonizedCode
           ? `[HS ${d.harmonizedCode} → ${d.harmonizedCodeNew}]`
           : `[HS ${d.harmonizedCode || ''}]`;
-        lines.push(`#${d.index + 1} ${hsLabel}  "${d.from}"  ->  "${d.to}"`);
+        const valueLabel = d.valueNew !== d.value ? `  [value ${d.value ?? '—'} → ${d.valueNew} (${d.valueBasis})]` : '';
+        lines.push(`#${d.index + 1}${d.generated ? ' + new' : ''} ${hsLabel}  "${d.from}"  ->  "${d.to}"${valueLabel}`);
       });
     }
     diffBox.textContent = lines.join('\n'); 
@@ -4,6 +4,10 @@ const express = require('express');
 const router = express.Router();
 const fs = require('fs');
 const path = require('path');
+const { verifyCredentials } = require('../utils/users');
+const { beginLoginAttempt, finishLoginAttempt } = require('../utils/login-throttle');
+const { requireAuthApi } = require('../utils/auth-middleware');
+const { permissionsFor } = require('../utils/permissions');
 
 // Load HTML templates
 const loginHTML = fs.readFileSync(path.join(__dirname, '../views/login.html'), 'utf8');
@@ -13,14 +17,40 @@ router.get('/login', (req, res) => {
   res.send(loginHTML);
 });
 
-// Login API endpoint (demo auth)
+// Login API endpoint (throttled per IP and per email; req.ip honours the 'trust proxy' setting in server.js)
 router.post('/api/login', async (req, res) => {
-  const { email, password } = req.body;
-  if (email !== 'info@hemlockandoak.com' || password !== 'TestPassword123') {
-    return res.status(401).json({ error: 'Invalid credentials' });
+  try {
+    const { email, password } = req.body || {};
+    const attempt = { email, ip: req.ip, userAgent: req.get('user-agent') };
+
+    const throttle = await beginLoginAttempt(attempt);
+    if (throttle.locked) {
+      await finishLoginAttempt({ ...attempt, outcome: 'locked' });
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(429).json({
+        error: `Too many failed sign-in attempts. Try again in ${Math.ceil(throttle.retryAfter / 60)} minute(s).`
+      });
+    }
+
+    const user = await verifyCredentials(email, password);
+    await finishLoginAttempt({ ...attempt, outcome: user ? 'ok' : 'invalid' });
+    // Same answer for an unknown email, a wrong password and a disabled account
+    if (!user) return res.status(401).json({ error: 'Invalid email or password' });
+
+    // New session id on login so a pre-login session id can't be reused
+    req.session.regenerate(err => {
+      if (err) return res.status(500).json({ error: 'Could not start a session' });
+      req.session.userId = user.id;
+      res.json({ success: true });
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
   }
-  req.session.userId = 1;
-  res.json({ success: true });
+});
+
+// The signed-in user (for showing who is logged in and what they may do)
+router.get('/api/me', requireAuthApi, (req, res) => {
+  res.json({ user: req.user, permissions: permissionsFor(req.user.role) });
 });
 
 // Logout
@@ -0,0 +1,297 @@
+// Customs rules routes (editor page, CRUD API, offline simulation, HTS schedule, value policy, duty thresholds)
+
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const path = require('path');
+const { requireAuth, requireAuthApi, requirePermissionApi } = require('../utils/auth-middleware');
+const { pickCustomsDescription, identifyProductFromTitle } = require('../utils/customs-rules');
+const { simulateRulesOnCSV } = require('../utils/rule-simulation');
+const {
+  listCustomsRules,
+  refreshCustomsRules,
+  createCustomsRule,
+  updateCustomsRule,
+  deleteCustomsRule
+} = require('../utils/customs-rules-store');
+const { importHTSSchedule, refreshHTSSchedule, checkHSCode, getHTSStatus } = require('../utils/hts-schedule');
+const { getCustomsProfile } = require('../utils/customs-profiles');
+const {
+  listDutyThresholds,
+  refreshDutyThresholds,
+  createDutyThreshold,
+  updateDutyThreshold,
+  deleteDutyThreshold
+} = require('../utils/duty-thresholds');
+const { getValuationPolicy, loadValuationPolicy, saveValuationPolicy, VALUE_SOURCES } = require('../utils/customs-valuation');
+const {
+  listFuzzyDictionary,
+  createFuzzyDictionaryEntry,
+  updateFuzzyDictionaryEntry,
+  deleteFuzzyDictionaryEntry,
+  getFuzzyScorer,
+  saveFuzzyScorer,
+  FUZZY_SCORERS
+} = require('../utils/fuzzy-dictionary');
+const { refreshSkuAliases } = require('../utils/sku-aliases');
+
+// Load stored rules, HTS schedule, value policy and duty thresholds on startup. Built-in defaults stay active
+// until each resolves (HS checks report 'unchecked').
+[refreshCustomsRules, refreshHTSSchedule, loadValuationPolicy, refreshDutyThresholds].forEach(load => load().catch(console.error));
+
+// Load HTML templates
+const customsRulesHTML = fs.readFileSync(path.join(__dirname, '../views/customs-rules.html'), 'utf8');
+const ruleSimulationHTML = fs.readFileSync(path.join(__dirname, '../views/rule-simulation.html'), 'utf8');
+
+const exportsDir = path.join(__dirname, '../exports');
+
+// Anyone signed in can read the rules and run simulations; changing them is for admins
+const requireRulesEdit = requirePermissionApi('rules:edit');
+
+// Rules editor page
+router.get('/customs-rules', requireAuth, (req, res) => {
+  res.send(customsRulesHTML);
+});
+
+// Rule simulation page
+router.get('/customs-rules/simulate', requireAuth, (req, res) => {
+  res.send(ruleSimulationHTML);
+});
+
+// API: List rules (in evaluation order)
+router.get('/api/customs-rules', requireAuthApi, async (req, res) => {
+  try {
+    const rules = await listCustomsRules();
+    res.json({ rules });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// API: Create rule
+router.post('/api/customs-rules', requireRulesEdit, async (req, res) => {
+  try {
+    const rule = await createCustomsRule(req.body || {});
+    res.status(201).json({ rule });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// API: Update rule
+router.put('/api/customs-rules/:id', requireRulesEdit, async (req, res) => {
+  try {
+    const rule = await updateCustomsRule(Number(req.params.id), req.body || {});
+    if (!rule) return res.status(404).json({ error: `Rule ${req.params.id} not found` });
+    res.json({ rule });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// API: Delete rule
+router.delete('/api/customs-rules/:id', requireRulesEdit, async (req, res) => {
+  try {
+    const deleted = await deleteCustomsRule(Number(req.params.id));
+    if (!deleted) return res.status(404).json({ error: `Rule ${req.params.id} not found` });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// API: Try a title/HS against the active rules
+router.post('/api/customs-rules/test', requireAuthApi, (req, res) => {
+  const { title = '', hs = '' } = req.body || {};
+  res.json({
+    productType: identifyProductFromTitle(title),
+    pick: pickCustomsDescription(hs, title)
+  });
+});
+
+// API: CSV exports saved on the server that can be replayed
+router.get('/api/customs-rules/simulate/files', requireAuthApi, async (req, res) => {
+  try {
+    const names = await fs.promises.readdir(exportsDir).catch(() => []);
+    const files = [];
+    for (const name of names.filter(n => n.endsWith('.csv'))) {
+      const stat = await fs.promises.stat(path.join(exportsDir, name));
+      files.push({ name, size: stat.size, modified: stat.mtime.toISOString() });
+    }
+    files.sort((a, b) => b.modified.localeCompare(a.modified));
+    res.json({ files });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// API: Replay the active rules over an export CSV (uploaded as text/csv, or ?file= from exports/)
+router.post(
+  '/api/customs-rules/simulate',
+  requireAuthApi,
+  express.text({ type: ['text/csv', 'text/plain'], limit: '25mb' }),
+  async (req, res) => {
+    try {
+      let csvText = typeof req.body === 'string' ? req.body : '';
+      if (req.query.file) {
+        const name = path.basename(String(req.query.file));
+        csvText = await fs.promises.readFile(path.join(exportsDir, name), 'utf8').catch(() => null);
+        if (csvText == null) return res.status(404).json({ error: `Export not found: ${name}` });
+      }
+      if (!csvText.trim()) return res.status(400).json({ error: 'Upload a CSV body (text/csv) or pass ?file=<export name>' });
+
+      const report = simulateRulesOnCSV(csvText, { maxRowsPerGroup: Number(req.query.samples || 25) });
+      res.json(report);
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// API: Declared customs value policy
+router.get('/api/customs-valuation', requireAuthApi, (req, res) => {
+  res.json({ policy: getValuationPolicy(), valueSources: VALUE_SOURCES });
+});
+
+// API: Update the value policy (fields not sent keep their current setting)
+router.put('/api/customs-valuation', requireRulesEdit, async (req, res) => {
+  try {
+    const policy = await saveValuationPolicy(req.body || {});
+    res.json({ policy });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// API: De minimis / duty thresholds
+router.get('/api/duty-thresholds', requireAuthApi, async (req, res) => {
+  try {
+    const thresholds = await listDutyThresholds();
+    res.json({ thresholds });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+router.post('/api/duty-thresholds', requireRulesEdit, async (req, res) => {
+  try {
+    const threshold = await createDutyThreshold(req.body || {});
+    res.status(201).json({ threshold });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+router.put('/api/duty-thresholds/:id', requireRulesEdit, async (req, res) => {
+  try {
+    const threshold = await updateDutyThreshold(Number(req.params.id), req.body || {});
+    if (!threshold) return res.status(404).json({ error: `Threshold ${req.params.id} not found` });
+    res.json({ threshold });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+router.delete('/api/duty-thresholds/:id', requireRulesEdit, async (req, res) => {
+  try {
+    const deleted = await deleteDutyThreshold(Number(req.params.id));
+    if (!deleted) return res.status(404).json({ error: `Threshold ${req.params.id} not found` });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// API: Fuzzy-matching dictionary (synonyms, stopwords, distinctive tokens)
+router.get('/api/fuzzy-dictionary', requireAuthApi, async (req, res) => {
+  try {
+    const entries = await listFuzzyDictionary();
+    res.json({ entries });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+router.post('/api/fuzzy-dictionary', requireRulesEdit, async (req, res) => {
+  try {
+    const entry = await createFuzzyDictionaryEntry(req.body || {});
+    res.status(201).json({ entry });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+router.put('/api/fuzzy-dictionary/:id', requireRulesEdit, async (req, res) => {
+  try {
+    const entry = await updateFuzzyDictionaryEntry(Number(req.params.id), req.body || {});
+    if (!entry) return res.status(404).json({ error: `Dictionary entry ${req.params.id} not found` });
+    res.json({ entry });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+router.delete('/api/fuzzy-dictionary/:id', requireRulesEdit, async (req, res) => {
+  try {
+    const deleted = await deleteFuzzyDictionaryEntry(Number(req.params.id));
+    if (!deleted) return res.status(404).json({ error: `Dictionary entry ${req.params.id} not found` });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// API: Fuzzy-matching scorer (similarity algorithm + accent folding)
+router.get('/api/fuzzy-scorer', requireAuthApi, (req, res) => {
+  res.json({ settings: getFuzzyScorer(), scorers: FUZZY_SCORERS });
+});
+
+router.put('/api/fuzzy-scorer', requireRulesEdit, async (req, res) => {
+  try {
+    const settings = await saveFuzzyScorer(req.body || {});
+    // Alias lookups are keyed by normalized name, which depends on accent folding
+    await refreshSkuAliases();
+    res.json({ settings });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// API: Imported HTS schedule (counts + last import)
+router.get('/api/hts', requireAuthApi, async (req, res) => {
+  try {
+    res.json(await getHTSStatus());
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// API: Check one code ?code= &profile= (US, GB, EU, ...)
+router.get('/api/hts/check', requireAuthApi, (req, res) => {
+  const profile = req.query.profile ? getCustomsProfile(req.query.profile) : null;
+  if (req.query.profile && !profile) return res.status(400).json({ error: `Unknown customs profile: ${req.query.profile}` });
+  res.json(checkHSCode(req.query.code, { profile }));
+});
+
+// API: Import a US HTS schedule (USITC CSV or JSON export as the body); ?source= names the file.
+// server.js leaves this body to the parser here, so multi-MB JSON exports aren't cut off at 100kb.
+router.post(
+  '/api/hts/import',
+  requireRulesEdit,
+  express.text({ type: ['text/csv', 'text/plain', 'application/json'], limit: '50mb' }),
+  async (req, res) => {
+    try {
+      const text = typeof req.body === 'string' ? req.body : '';
+      if (!text.trim()) {
+        return res.status(400).json({ error: 'Upload the HTS file as the request body (text/csv, text/plain or application/json)' });
+      }
+
+      const summary = await importHTSSchedule(text, { source: req.query.source, req });
+      res.json({ import: summary, status: await getHTSStatus() });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,101 @@
+// Background job routes (status polling, cancel/resume, result download)
+
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const path = require('path');
+const { requireAuthApi } = require('../utils/auth-middleware');
+const { can } = require('../utils/permissions');
+const { getJob, listJobs, cancelJob, resumeJob, jobPermission } = require('../utils/job-queue');
+
+const exportsDir = path.join(__dirname, '../exports');
+
+// Cancel / resume / result: the job's owner while they still hold the permission it was started under,
+// or a jobs:manage user. Jobs nobody started (webhooks) belong to whoever holds their permission.
+function canManageJob(user, job) {
+  const needed = jobPermission(job);
+  if (needed && !can(user, needed)) return false;
+  if (can(user, 'jobs:manage')) return true;
+  return job.userId == null ? !!needed : job.userId === user.id;
+}
+
+// The job, or null after answering 404 / 403
+async function manageableJob(req, res, opts) {
+  const job = await getJob(req.params.id, opts);
+  if (!job) {
+    res.status(404).json({ error: `Job ${req.params.id} not found` });
+    return null;
+  }
+  if (!canManageJob(req.user, job)) {
+    res.status(403).json({ error: 'You can only manage jobs you started' });
+    return null;
+  }
+  return job;
+}
+
+// API: Recent jobs ?type= &status= &limit=
+router.get('/api/jobs', requireAuthApi, async (req, res) => {
+  try {
+    const { type, status, limit } = req.query;
+    const jobs = await listJobs({ type, status, limit });
+    res.json({ jobs: jobs.map(job => ({ ...job, canManage: canManageJob(req.user, job) })) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// API: One job's status + progress
+router.get('/api/jobs/:id', requireAuthApi, async (req, res) => {
+  try {
+    const job = await getJob(req.params.id);
+    if (!job) return res.status(404).json({ error: `Job ${req.params.id} not found` });
+    res.json({ job: { ...job, canManage: canManageJob(req.user, job) } });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// API: Result of a completed job (JSON, or the CSV file it wrote)
+router.get('/api/jobs/:id/result', requireAuthApi, async (req, res) => {
+  try {
+    const job = await manageableJob(req, res, { withResult: true });
+    if (!job) return;
+    if (job.status !== 'completed') return res.status(409).json({ error: `Job is ${job.status}` });
+
+    if (job.resultFile) {
+      const name = path.basename(job.resultFile);
+      const filepath = path.join(exportsDir, name);
+      if (!fs.existsSync(filepath)) return res.status(410).json({ error: `Result file is gone: ${name}` });
+      return res.download(filepath, name);
+    }
+    res.json(job.result ?? {});
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// API: Cancel a queued or running job
+router.post('/api/jobs/:id/cancel', requireAuthApi, async (req, res) => {
+  try {
+    if (!(await manageableJob(req, res))) return;
+    const job = await cancelJob(req.params.id);
+    if (!job) return res.status(404).json({ error: `Job ${req.params.id} not found` });
+    res.json({ job });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// API: Resume a failed or cancelled job from its last checkpoint
+router.post('/api/jobs/:id/resume', requireAuthApi, async (req, res) => {
+  try {
+    if (!(await manageableJob(req, res))) return;
+    const job = await resumeJob(req.params.id);
+    if (!job) return res.status(404).json({ error: `Job ${req.params.id} not found` });
+    res.json({ job });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
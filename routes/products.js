@@ -5,7 +5,10 @@ const router = express.Router();
 const fs = require('fs');
 const path = require('path');
 const { ShopifyAPI } = require('../shopify-api.js');
-const { requireAuth, requireAuthApi } = require('../utils/auth-middleware');
+const { requireAuth, requireAuthApi, requirePermissionApi } = require('../utils/auth-middleware');
+const { checkHSCode } = require('../utils/hts-schedule');
+const { invalidHSError } = require('../utils/shipstation-helpers');
+const { saveShopifyCatalog, getShopifyCatalogStatus } = require('../utils/shopify-catalog');
 
 // Initialize Shopify API
 const shopify = new ShopifyAPI();
@@ -40,11 +43,22 @@ router.get('/api/products', requireAuthApi, async (req, res) => {
 });
 
 // API: Update products
-router.post('/api/products/update', requireAuthApi, async (req, res) => {
-  const { updates } = req.body || {};
+router.post('/api/products/update', requirePermissionApi('shopify:write'), async (req, res) => {
+  const { updates, allowInvalidHS } = req.body || {};
   if (!Array.isArray(updates)) {
     return res.status(400).json({ error: 'Invalid update data' });
   }
+
+  // HS codes are checked against the imported HTS schedule; clearing a code is always allowed
+  const invalid = updates
+    .filter(u => u && u.harmonized_system_code)
+    .map(u => ({ variantId: u.id, ...checkHSCode(u.harmonized_system_code) }))
+    .filter(check => check.blocking);
+  if (invalid.length && allowInvalidHS !== true) {
+    const err = invalidHSError(invalid);
+    return res.status(err.status).json({ error: err.message, invalidHS: invalid });
+  }
+
   try {
     const result = await shopify.updateVariants(updates);
     const updatedCount =
@@ -60,4 +74,24 @@ router.post('/api/products/update', requireAuthApi, async (req, res) => {
   }
 });
 
+// API: Cached variant catalog (HS code / origin per SKU) used by the ShipStation customs pipeline
+router.get('/api/products/catalog', requireAuthApi, async (req, res) => {
+  try {
+    res.json(await getShopifyCatalogStatus());
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+router.post('/api/products/catalog/sync', requirePermissionApi('cache:refresh'), async (req, res) => {
+  try {
+    const products = await shopify.getAllProductsWithInventory();
+    res.json(await saveShopifyCatalog(products));
+  } catch (err) {
+    const status = err.response?.status || err.status || 500;
+    const msg = err.response?.data?.message || err.response?.data || err.message;
+    res.status(status).json({ error: msg });
+  }
+});
+
 module.exports = router;
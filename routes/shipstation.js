@@ -1,25 +1,69 @@
 'use strict';
-const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
 const express = require('express');
 const router = express.Router();
 const fs = require('fs').promises;  // Use fs.promises for async operations
 const fsSync = require('fs');       // Keep sync version for readFileSync
 const path = require('path');
 
+const crypto = require('crypto');
+
 const { ShipStationAPI } = require('../shipstation-api.js');
-const { requireAuth, requireAuthApi } = require('../utils/auth-middleware');
+const { ShopifyAPI } = require('../shopify-api.js');
+const { requireAuth, requireAuthApi, requirePermissionApi } = require('../utils/auth-middleware');
+const {
+  recordOrderWrite,
+  searchOrderAudit,
+  getOrderAuditEntry,
+  getOrderSnapshot,
+  getAuditBatch,
+  findLaterWrites
+} = require('../utils/order-audit');
+const { registerJobType, enqueueJob } = require('../utils/job-queue');
 
 const { 
   getHS, 
   pickCustomsDescription, 
   normHS,
   identifyProductFromTitle,
-  getCorrectHSAndDescription 
+  getCorrectHSAndDescription
 } = require('../utils/customs-rules');
-const { _norm, _scoreNameMatch, _nameVariants } = require('../utils/fuzzy-matching');
+const { matchItemsToCustoms } = require('../utils/customs-matcher');
+const {
+  resolveCustomsProfile,
+  describeNoProfile,
+  adaptHS,
+  applyCustomsProfile,
+  getCorrectForProfile,
+  profileIneligibility
+} = require('../utils/customs-profiles');
+const { checkHSCode } = require('../utils/hts-schedule');
+const { valueCustomsItems } = require('../utils/customs-valuation');
+const { assessDutyThreshold } = require('../utils/duty-thresholds');
+const { lookupShopifyVariant } = require('../utils/shopify-catalog');
+const { syncSkuCatalog, resolveSkuFromCatalog, getSkuCatalogStatus, scheduleSkuCatalogSync } = require('../utils/sku-catalog');
+const { listSkuAliases, saveSkuAlias, deleteSkuAlias, lookupSkuAlias } = require('../utils/sku-aliases');
+const {
+  webhookSecretMatches,
+  recordWebhookEvent,
+  updateWebhookEvent,
+  recordWebhookOrder,
+  listWebhookEvents,
+  listWebhookOrders
+} = require('../utils/order-webhooks');
+const {
+  queueOrderForReview,
+  getReviewItem,
+  listReviewItems,
+  countReviewItems,
+  decideReviewLines,
+  setReviewResult,
+  deleteReviewItem,
+  mergeApprovedLines
+} = require('../utils/review-queue');
+const { compareOrderVersions, conflictError } = require('../utils/order-concurrency');
 const {
   isOpen,
-  isUS,
+  normCountry,
   sanitizeCustomsItems,
   ensureIntlDefaults,
   formatShipStationError,
@@ -28,6 +72,15 @@ const {
 
 // Client + API
 const shipstation = new ShipStationAPI();
+const shopify = new ShopifyAPI();
+
+// Keep the local SKU catalog fresh (SKU_CATALOG_SYNC_HOURS=0 turns the background sync off)
+scheduleSkuCatalogSync({ shipstation, shopify, hours: Number(process.env.SKU_CATALOG_SYNC_HOURS ?? 12) });
+
+// ShipStation writes need operator rights; dry runs write nothing, so viewers may run them as previews
+const requireOrderWrite = requirePermissionApi('orders:write');
+const isDryRun = req => String(req.body?.dryRun ?? req.query.dryRun ?? '') === 'true';
+const requireOrderWriteUnlessDryRun = (req, res, next) => (isDryRun(req) ? requireAuthApi : requireOrderWrite)(req, res, next);
 
 // UI - use sync version for initial HTML load
 const shipstationEditorHTML = fsSync.readFileSync(path.join(__dirname, '../views/shipstation-editor.html'), 'utf8');
@@ -35,90 +88,43 @@ router.get('/shipstation', requireAuth, (_req, res) => res.send(shipstationEdito
 
 /* ------------------------------- Helpers -------------------------------- */
 
-// Map customsItems[].sku from items[].sku where possible (orderItemId/productId/name/position)
+// Map customsItems[].sku from items[].sku using the shared one-to-one line matcher
 function syncCustomsSkus(order) {
   const intl = order.internationalOptions || {};
   const customs = Array.isArray(intl.customsItems) ? intl.customsItems : [];
   const items = Array.isArray(order.items) ? order.items : [];
   if (!customs.length) return { patched: order, customsSkuPlan: [] };
 
-  const inorm = items.map((it, idx) => ({
-    it,
-    idx,
-    sku: String(it?.sku || '').trim(),
-    name: it?.name || '',
-    normName: _norm(it?.name || ''),
-    productId: it?.productId != null ? String(it.productId) : null,
-    orderItemId:
-      it?.orderItemId != null ? String(it.orderItemId) :
-      it?.itemId != null ? String(it.itemId) : null
-  }));
-
-  const byProductId   = new Map(inorm.filter(x => x.productId).map(x => [x.productId, x]));
-  const byOrderItemId = new Map(inorm.filter(x => x.orderItemId).map(x => [x.orderItemId, x]));
-  const usedIdx = new Set();
+  const { byCustoms } = matchItemsToCustoms(items, customs);
 
   const plan = [];
   const patchedCustoms = customs.map((ci, cidx) => {
     const before = String(ci?.sku || '').trim();
-    let after = before, chosen = null, source = before ? 'kept' : null;
-    let matchedName = null, confidence = null;
-
-    const ciOrderItemId = ci?.orderItemId != null ? String(ci.orderItemId) : null;
-    const ciProductId   = ci?.productId   != null ? String(ci.productId)   : null;
-
-    // 1) orderItemId
-    if (!after && ciOrderItemId && byOrderItemId.has(ciOrderItemId)) {
-      chosen = byOrderItemId.get(ciOrderItemId); source = 'orderItemId';
-    }
-    // 2) productId
-    if (!after && !chosen && ciProductId && byProductId.has(ciProductId)) {
-      chosen = byProductId.get(ciProductId); source = 'productId';
-    }
-    // 3) exact name
-    if (!after && !chosen) {
-      const qNorm = _norm(ci?.description || '');
-      const exact = inorm.find(x => x.normName === qNorm && !usedIdx.has(x.idx));
-      if (exact) { chosen = exact; source = 'name-exact'; }
-    }
-    // 4) fuzzy name
-    if (!after && !chosen) {
-      const q = String(ci?.description || '');
-      let best = null;
-      for (const cand of inorm) {
-        const s = _scoreNameMatch(q, cand.name);
-        if (!best || s.score > best.score) best = { cand, score: s.score };
-      }
-      if (best && best.cand && !usedIdx.has(best.cand.idx) && best.score >= 0.45) {
-        chosen = best.cand; source = 'name-fuzzy';
-        matchedName = best.cand.name || null;
-        confidence = Number(best.score.toFixed(2));
-      }
-    }
-    // 5) position fallback
-    if (!after && !chosen && inorm.length === customs.length && cidx < inorm.length && !usedIdx.has(cidx)) {
-      chosen = inorm[cidx]; source = 'position';
-    }
-
-    if (!after && chosen?.sku) { after = chosen.sku; matchedName = matchedName || chosen.name || null; }
+    const pair = byCustoms[cidx];
+    // A customs line that already carries a SKU keeps it; an operator alias beats the matched line
+    const alias = !before ? lookupSkuAlias(ci?.description) : null;
+    const chosen = !before && !alias && pair ? items[pair.itemIndex] : null;
+    const chosenSku = String(chosen?.sku || '').trim();
+    const after = before || alias?.sku || chosenSku;
 
     const out = { ...ci };
     if (after) out.sku = after;
-    if (!out.productId && chosen?.productId) out.productId = chosen.productId;
-    if (!out.orderItemId && chosen?.orderItemId) out.orderItemId = chosen.orderItemId;
-
-    if (chosen) usedIdx.add(chosen.idx);
+    if (chosen) {
+      if (!out.productId && chosen.productId) out.productId = chosen.productId;
+      const chosenItemId = chosen.orderItemId ?? chosen.itemId;
+      if (!out.orderItemId && chosenItemId != null) out.orderItemId = chosenItemId;
+    }
 
     plan.push({
       index: cidx,
       description: ci?.description || '',
       before,
       after,
-      status: after ? (before ? (before === after ? 'kept' : 'changed') : 'filled') : 'missing',
-      source: source || 'missing',
-      matchedName: matchedName || undefined,
-      confidence: confidence != null ? confidence : undefined,
-      itemIndex: chosen?.idx
+      status: after ? (before ? 'kept' : 'filled') : 'missing',
+      source: before ? 'kept' : alias ? 'alias' : (chosen ? pair.method : 'missing'),
+      matchedName: alias ? alias.name : chosenSku ? (chosen.name || undefined) : undefined,
+      confidence: alias ? 1 : pair ? pair.confidence : undefined,
+      itemIndex: pair ? pair.itemIndex : undefined
     });
     return out;
   });
@@ -127,7 +133,7 @@ function syncCustomsSkus(order) {
   return { patched, customsSkuPlan: plan };
 }
 
-// Fill missing item SKUs using ShipStation products (non-fatal if not found)
+// Fill missing item SKUs from the local SKU catalog (non-fatal if not found)
 async function fillMissingSkus(order) {
   const items = Array.isArray(order.items) ? order.items : [];
   const skuDiffs = [], metaByIndex = {};
@@ -135,41 +141,18 @@ async function fillMissingSkus(order) {
     const before = String(it.sku || '').trim();
     let resolved = before, source = null, matchedName = null, confidence = null;
 
-    // 1) by productId
-    if (!resolved && it.productId) {
-      try {
-        const prod = await shipstation.getProductById(it.productId);
-        if (prod?.sku) { resolved = String(prod.sku); source = 'productId'; matchedName = prod.name || null; confidence = 1.0; }
-      } catch {}
-    }
-    // 2) exact name
-    if (!resolved && it.name) {
-      try {
-        const list = await shipstation.searchProductsByName(it.name, 200);
-        if (Array.isArray(list) && list.length) {
-          const exact = list.find(p => _norm(p.name) === _norm(it.name));
-          if (exact?.sku) { resolved = String(exact.sku); source = 'name-exact'; matchedName = exact.name || null; confidence = 1.0; }
-        }
-      } catch {}
-    }
-    // 3) fuzzy name
-    if (!resolved && it.name) {
+    // Operator-confirmed alias first
+    const alias = !resolved ? lookupSkuAlias(it.name) : null;
+    if (alias) { resolved = alias.sku; source = 'alias'; matchedName = alias.name; confidence = 1.0; }
+
+    // productId, then exact name, then fuzzy name - all against the synced catalog
+    if (!resolved && !it.adjustment) {
       try {
-        let best = null;
-        for (const q of _nameVariants(it.name)) {
-          const list = await shipstation.searchProductsByName(q, 200);
-          if (!Array.isArray(list) || !list.length) continue;
-          for (const p of list) {
-            const s = _scoreNameMatch(it.name, p.name || '');
-            const cand = { product: p, score: s.score };
-            if (!best || cand.score > best.score) best = cand;
-          }
-          if (best && best.score >= 0.8) break;
-        }
-        if (best?.product?.sku && best.score >= 0.55) {
-          resolved = String(best.product.sku); source = 'name-fuzzy'; matchedName = best.product.name || null; confidence = Number(best.score.toFixed(2));
-        }
-      } catch {}
+        const hit = await resolveSkuFromCatalog(it);
+        if (hit) ({ sku: resolved, source, matchedName, confidence } = hit);
+      } catch (e) {
+        console.error(`[SKU Catalog] Lookup failed for "${it.name}":`, e.message);
+      }
     }
 
     if (source || !resolved) {
@@ -184,19 +167,49 @@ async function fillMissingSkus(order) {
   return { patched: { ...order, items: updatedItems }, skuDiffs, resolutions: metaByIndex };
 }
 
-// Compute customs description + HS patch plan
-function buildCustomsPatch(order) {
-  if (!isUS(order)) return { canUpdate: false, reason: 'Order is not shipping to US.' };
+// Rebuild mode: one fresh customs line per order line (discount adjustments excluded).
+// HS / origin come from the title's product type; description and value are then set by the usual rules.
+function customsItemsFromOrderLines(order, current = []) {
+  const fallbackOrigin = normCountry(current.find(ci => ci?.countryOfOrigin)?.countryOfOrigin || 'CA');
+  return (Array.isArray(order.items) ? order.items : [])
+    .filter(it => !it.adjustment)
+    .map(it => {
+      const correct = getCorrectHSAndDescription(identifyProductFromTitle(it.name));
+      const out = {
+        description: String(it.name || ''),
+        quantity: Math.max(1, Math.floor(Number(it.quantity) || 1)),
+        value: Number(it.unitPrice) || 0,
+        harmonizedTariffCode: correct?.hs || '',
+        countryOfOrigin: correct?.country || fallbackOrigin
+      };
+      if (it.sku) out.sku = String(it.sku).trim();
+      if (it.productId) out.productId = it.productId;
+      if ((it.orderItemId ?? it.itemId) != null) out.orderItemId = it.orderItemId ?? it.itemId;
+      return out;
+    });
+}
+
+// Compute customs description + HS patch plan.
+// With `rebuild`, the existing customs lines are discarded and regenerated from order.items.
+function buildCustomsPatch(order, { rebuild = false } = {}) {
+  const profile = resolveCustomsProfile(order);
+  if (!profile) return { canUpdate: false, reason: describeNoProfile(order) };
 
   const intl = order.internationalOptions || {};
-  const existing =
+  const current =
     Array.isArray(intl.customsItems) ? intl.customsItems :
     Array.isArray(order.customsItems) ? order.customsItems : [];
+  const existing = rebuild ? customsItemsFromOrderLines(order, current) : current;
 
-  if (!existing.length) return { canUpdate: false, reason: 'No customsItems on this order to edit.' };
+  if (!existing.length) {
+    return { canUpdate: false, reason: rebuild ? 'No order lines to build customs items from.' : 'No customsItems on this order to edit.' };
+  }
 
-  const itemTitles = (order.items || []).map(i => String(i.name || ''));
+  const orderItems = Array.isArray(order.items) ? order.items : [];
+  const itemTitles = orderItems.map(i => String(i.name || ''));
+  const { byCustoms } = matchItemsToCustoms(orderItems, existing);
   const analysis = [];
+  const productTypes = [];
 
   const updated = existing.map((ci, idx) => {
     const hsRaw  = getHS(ci);
@@ -204,35 +217,112 @@ function buildCustomsPatch(order) {
     const cur    = String(ci.description || '');
     const bestT  = cur || itemTitles.find(t => t) || '';
 
-    const pick = pickCustomsDescription(hsRaw, bestT);
-    const newDesc = pick.desc;
+    // Merchant-maintained HS / origin from the cached Shopify catalog win over title rules
+    const linked = byCustoms[idx] ? orderItems[byCustoms[idx].itemIndex] : null;
+    const variant = lookupShopifyVariant(ci.sku || linked?.sku);
+    const shopifyHS = normHS(variant?.hs);
+
+    const pick = pickCustomsDescription(shopifyHS || hsRaw, bestT);
+    productTypes.push(pick.productType);
+    // Rules speak US HTS; the destination profile translates code + description.
+    // A Shopify code is kept as-is for the US; elsewhere the profile's national code is used only
+    // when it shares the Shopify subheading, otherwise the code is cut to its 6-digit subheading.
+    const adapted = applyCustomsProfile(profile, {
+      hs: pick.overrideHS ? String(pick.overrideHS) : hsRaw,
+      desc: pick.desc,
+      productType: pick.productType
+    });
+    if (shopifyHS) {
+      const national = adaptHS(profile, shopifyHS, pick.productType);
+      adapted.hs = national.slice(0, 6) === shopifyHS.slice(0, 6) ? national : adaptHS(profile, shopifyHS);
+    }
+    const hsSource = shopifyHS ? 'shopify' : pick.overrideHS ? 'rules' : 'order';
+    const newDesc = adapted.desc;
     const descChanged = cur.trim() !== String(newDesc).trim();
 
-    const newHS = pick.overrideHS ? String(pick.overrideHS) : hsRaw;
-    const hsChanged = pick.overrideHS ? (normHS(hsRaw) !== normHS(pick.overrideHS)) : false;
+    const hsChanged = !!adapted.hs && normHS(hsRaw) !== adapted.hs;
+    const newHS = hsChanged ? adapted.hs : hsRaw;
+
+    // Shopify or the rules may pin a country of origin; otherwise keep whatever the order has
+    const curCountry = normCountry(ci.countryOfOrigin || '');
+    const pinnedCountry = variant?.country || pick.country;
+    const originSource = variant?.country ? 'shopify' : pick.country ? 'rules' : 'order';
+    const countryChanged = !!pinnedCountry && curCountry !== pinnedCountry;
+
+    // The code we would send, checked against the imported HTS schedule
+    const hsCheck = checkHSCode(newHS, { profile });
 
     analysis.push({
       index: idx, hs: hsRaw, hsNormalized: hsNorm, hsNew: hsChanged ? newHS : hsRaw,
-      from: cur, mapped: newDesc, rule: pick.rule, willChange: descChanged || hsChanged
+      hsStatus: hsCheck.status, hsMessage: hsCheck.message, hsInvalid: hsCheck.blocking,
+      from: cur, mapped: newDesc, rule: pick.rule, ruleId: pick.ruleId, profile: profile.id,
+      countryOfOrigin: curCountry, countryOfOriginNew: countryChanged ? pinnedCountry : curCountry,
+      hsSource, originSource, shopifyVariantId: variant?.variantId,
+      generated: rebuild,
+      willChange: rebuild || descChanged || hsChanged || countryChanged
     });
 
     const out = { ...ci };
-    if (descChanged) out.description = newDesc;
-    if (hsChanged)   out.harmonizedTariffCode = newHS;
+    if (descChanged)    out.description = newDesc;
+    if (hsChanged)      out.harmonizedTariffCode = newHS;
+    if (countryChanged) out.countryOfOrigin = pinnedCountry;
     return out;
   });
 
+  // Declared values come from the valuation policy (line prices, bundles, floors, reconciliation)
+  const valuation = valueCustomsItems(order, updated, { productTypes });
+  valuation.plan.forEach(v => {
+    const a = analysis[v.index];
+    Object.assign(a, { value: v.value, valueNew: v.valueNew, valueBasis: v.basis, willChange: a.willChange || v.changed });
+  });
+  const valued = valuation.items;
+  // Declared total against the destination's de minimis / duty threshold
+  const duty = assessDutyThreshold(order, valuation.summary.customsTotalNew);
+
   const diff = analysis.filter(a => a.willChange).map(a => ({
-    index: a.index, harmonizedCode: a.hs, harmonizedCodeNew: a.hsNew, from: a.from, to: a.mapped
+    index: a.index, harmonizedCode: a.hs, harmonizedCodeNew: a.hsNew, from: a.from, to: a.mapped,
+    countryOfOrigin: a.countryOfOrigin, countryOfOriginNew: a.countryOfOriginNew, hsStatus: a.hsStatus,
+    hsSource: a.hsSource, originSource: a.originSource,
+    value: a.value, valueNew: a.valueNew, valueBasis: a.valueBasis, generated: a.generated
   }));
 
+  // What a rebuild throws away, so the preview can show old vs. generated lists side by side
+  const replaced = rebuild
+    ? current.map((ci, index) => ({ index, description: ci.description || '', hs: getHS(ci), quantity: ci.quantity, value: ci.value }))
+    : undefined;
+
+  // Lines whose outgoing code is unknown or retired; writes refuse these unless overridden
+  const invalidHS = analysis
+    .filter(a => a.hsInvalid)
+    .map(a => ({ index: a.index, code: normHS(a.hsNew), status: a.hsStatus, message: a.hsMessage }));
+
+  // Destination-specific eligibility (e.g. UK/EU need an HS code on every line)
+  const problems = profileIneligibility(profile, valued);
+  if (problems.length) {
+    return { canUpdate: false, reason: problems.join(' '), profile: profile.id, diff, analysis, invalidHS, valuation: valuation.summary, duty, replaced };
+  }
+
   const anyCustomsChange = diff.length > 0;
   const patchedOrder = anyCustomsChange
-    ? { ...order, internationalOptions: { ...(order.internationalOptions || {}), customsItems: updated } }
+    ? { ...order, internationalOptions: { ...(order.internationalOptions || {}), customsItems: valued } }
     : { ...order };
 
-  return { canUpdate: true, diff, patchedOrder, analysis, anyCustomsChange };
+  return {
+    canUpdate: true, profile: profile.id, diff, patchedOrder, analysis, anyCustomsChange, invalidHS,
+    valuation: valuation.summary, duty, rebuild, replaced
+  };
+}
+
+// Order-level duty threshold columns for the CSV exports
+function dutyColumns(duty) {
+  return {
+    declaredTotal: duty ? duty.declaredTotal : '',
+    dutyThreshold: duty?.threshold ?? '',
+    dutyStatus: duty ? duty.status : ''
+  };
 }
+const DUTY_HEADERS = ['declaredTotal', 'dutyThreshold', 'dutyStatus'];
+const NO_DUTY = dutyColumns(null);
 
 // Lookup order by id → number → key
 async function loadOrderByAnyRef(ref) {
@@ -243,143 +333,274 @@ async function loadOrderByAnyRef(ref) {
   return null;
 }
 
-// Wrapper for ShipStation update
-async function tryCreateOrUpdate(body, tag) {
-  console.log(`\n[ShipStation try ${tag}] keys: ${Object.keys(body).sort().join(', ')}`);
+// `loaded` is the copy a patch was computed from, `latest` the fresh read patchOrder is about to write
+// over. Other fields edited in ShipStation meanwhile survive the patch merge; returns what changed (or
+// null). Throws a 409 conflictError when the customs, SKUs or item lines themselves changed, or it closed.
+function checkConcurrentEdit(loaded, latest) {
+  const check = compareOrderVersions(loaded, latest);
+  if (check.unchanged) return null;
+
+  const conflict = { loadedModifyDate: loaded.modifyDate || null, latestModifyDate: latest.modifyDate || null, changedFields: check.changedFields };
+  if (!isOpen(latest)) {
+    throw conflictError(`Order #${latest.orderNumber} became ${latest.orderStatus} while it was being updated; nothing was written`, conflict);
+  }
+  if (check.customsChanged) {
+    throw conflictError(`Order #${latest.orderNumber} had its customs items or item lines edited in ShipStation while it was being updated; reload it and try again`, { ...conflict, customsChanged: true });
+  }
+  console.log(`[ShipStation] #${latest.orderNumber} changed since it was loaded (${check.changedFields.join(', ') || 'modifyDate only'}); patching customs onto it`);
+  return conflict;
+}
+
+// Wrapper for ShipStation writes: `patch` (customs items + item SKUs) goes through shipstation.patchOrder,
+// which re-reads the order and changes nothing else. `audit` ({ req, source, order, batchId }) records
+// the attempt - original customs/SKUs, payload and outcome - in the order_audit table; with audit.order
+// (the copy the patch was computed from) the fresh read is checked by checkConcurrentEdit first.
+// dryRun runs all of that but posts nothing and records no audit entry; the result then carries the
+// exact `payload` that would be sent and its field-level `changes` against the current order.
+async function tryPatchOrder(orderId, patch, tag, audit = null, { dryRun = false } = {}) {
+  let result, written;
   try {
-    const updated = await shipstation.createOrUpdateOrder(body);
-    console.log(`[ShipStation ${tag}] OK -> orderId=${updated?.orderId}`);
-    return { ok: true, data: updated };
+    let merged = null;
+    const check = audit?.order ? latest => { merged = checkConcurrentEdit(audit.order, latest); } : undefined;
+    written = await shipstation.patchOrder(orderId, patch, { check, dryRun });
+    if (dryRun) return { ok: true, dryRun: true, payload: written.payload, changes: written.changes, ...(merged && { merged }) };
+    console.log(`[ShipStation ${tag}] OK -> orderId=${written.order?.orderId} (${written.changes.length} fields changed)`);
+    result = { ok: true, status: written.status, data: written.order, ...(merged && { merged }) };
   } catch (e) {
-    const { status, message } = formatShipStationError(e);
+    written = e.patch;
+    const { status, message } = e.conflict || (e.status && !e.response) ? e : formatShipStationError(e);
     console.log(`[ShipStation ${tag}] ERROR ${status || ''}: ${message}`);
-    return { ok: false, status, message };
+    result = { ok: false, status, message, ...(e.conflict && { conflict: e.conflict }) };
+  }
+
+  if (audit && !dryRun) {
+    try {
+      result.auditId = await recordOrderWrite({
+        ...audit, order: written?.before || audit.order, payload: written?.payload || patch, result
+      });
+    } catch (e) {
+      console.error(`[ShipStation ${tag}] Failed to write audit entry:`, e.message);
+    }
   }
+  return result;
+}
+
+// Turn a buildCustomsPatch result into an order patch: fill item SKUs, sync customs SKUs and check
+// outgoing HS codes (throws with .invalidHS unless allowInvalidHS).
+async function prepareCustomsWrite(order, patchedOrder, { profile, allowInvalidHS = false }) {
+  const { patched: withSkus, skuDiffs, resolutions } = await fillMissingSkus(patchedOrder);
+  const { patched: withCustomsSkus, customsSkuPlan } = syncCustomsSkus(withSkus);
+
+  const sanitized = sanitizeCustomsItems(
+    withCustomsSkus.internationalOptions?.customsItems || [],
+    getHS,
+    { checkHS: hs => checkHSCode(hs, { profile }), allowInvalidHS }
+  );
+
+  const patch = customsPatch(order.internationalOptions, sanitized, withCustomsSkus.items);
+  return { patch, skuDiffs, resolutions, customsSkuPlan };
+}
+
+// The only order fields our writes change: customs items (plus any missing intl defaults) and item SKUs
+function customsPatch(intl = {}, customsItems, items = []) {
+  const defaults = Object.fromEntries(
+    Object.entries(ensureIntlDefaults(intl)).filter(([key, value]) => key !== 'customsItems' && intl[key] !== value)
+  );
+  return {
+    internationalOptions: { ...defaults, customsItems },
+    items: items
+      .filter(it => it.orderItemId != null || it.lineItemKey)
+      .map(it => ({ orderItemId: it.orderItemId, lineItemKey: it.lineItemKey, sku: String(it.sku || '') }))
+  };
+}
+
+// Restore the customs items + item SKUs captured right before an audited write.
+// The restore goes through tryPatchOrder too, so it is audited and can itself be undone.
+async function rollbackWrite(entry, { req, batchId, force = false }) {
+  const base = { auditId: entry.id, orderId: entry.orderId, orderNumber: entry.orderNumber };
+  if (!entry.ok) return { ...base, ok: false, error: 'Original write failed; nothing to roll back' };
+
+  const snapshot = await getOrderSnapshot(entry.id);
+  if (!snapshot) return { ...base, ok: false, error: 'No snapshot was recorded for this write' };
+
+  // Rolling back over a newer write would silently discard it
+  if (!force) {
+    const later = await findLaterWrites(entry.orderId, entry.id);
+    if (later.length) {
+      const last = later[later.length - 1];
+      return { ...base, ok: false, error: `Order was written again later (audit #${last.id}); roll that back first or pass force` };
+    }
+  }
+
+  const current = await shipstation.getOrder(entry.orderId);
+  if (!current || !isOpen(current)) {
+    return { ...base, ok: false, error: `Order status is ${current?.orderStatus || 'unknown'}. Only open orders can be rolled back.` };
+  }
+
+  // Only snapshot lines still on the order get their SKU back
+  const lines = (snapshot.items || []).filter(it =>
+    (current.items || []).some(cur => (it.orderItemId != null ? cur.orderItemId === it.orderItemId : it.lineItemKey && cur.lineItemKey === it.lineItemKey)));
+  const snapIntl = snapshot.internationalOptions || {};
+  const patch = customsPatch(snapIntl, sanitizeCustomsItems(snapIntl.customsItems || [], getHS), lines);
+  patch.internationalOptions = { ...snapIntl, ...patch.internationalOptions };
+
+  const result = await tryPatchOrder(entry.orderId, patch, `rollback:${entry.id}`, {
+    req, source: 'rollback', batchId, rollbackOf: entry.id, order: current
+  });
+  if (!result.ok) return { ...base, ok: false, status: result.status, error: result.message };
+  return { ...base, ok: true, rollbackAuditId: result.auditId };
 }
 
 /* --------------------------------- API ---------------------------------- */
 
-// SCAN ROUTE 
-router.get('/api/shipstation/orders/scan', requireAuthApi, async (req, res) => {
-  try {
-    const days = Math.max(1, Math.min(365, Number(req.query.days || 30)));
-    const pageSize = Math.max(25, Math.min(200, Number(req.query.pageSize || 200)));
-    const maxPages = Math.max(1, Math.min(50, Number(req.query.maxPages || 10)));
-    
-    const since = new Date(Date.now() - days * 864e5).toISOString();
-    const statuses = ['awaiting_shipment','awaiting_payment','on_hold'];
-    const seen = new Set(), candidates = [];
-    const allUsOrders = []; // Track ALL US orders checked
+// SCAN JOB: walk open orders and collect the ones whose customs would change.
+// Checkpoints after every page, so a resumed job carries on from the next page. Each candidate is saved
+// as a review-queue row, so the checkpoint holds just the cursor, the counters and those rows' ids; the
+// candidates are read back from the queue at the end. Orders seen (to skip one that moves to another
+// page mid-scan) and the scan log last only as long as this run.
+const SCAN_STATUSES = ['awaiting_shipment','awaiting_payment','on_hold'];
+
+function reviewItemToCandidate(item) {
+  const diff = item.lines.map(l => l.change);
+  return {
+    orderId: item.orderId,
+    orderNumber: item.orderNumber,
+    shipTo: item.shipTo,
+    changes: diff.length,
+    diff,
+    duty: item.duty,
+    reviewId: item.id,
+    items: item.items
+  };
+}
+
+async function runScanJob(job) {
+  const { days, pageSize, maxPages, since } = job.params;
+  const resumed = !!job.checkpoint;
+  const state = job.checkpoint || {
+    statusIdx: 0,
+    page: 1,
+    reviewIds: [],
+    totalScanned: 0,
+    intlOrders: 0,
+    domesticOrders: 0,
+    byProfile: {},
+    reviewQueued: 0
+  };
+  const seen = new Set();
+  const scanLog = [resumed
+    ? `Resuming scan for ${days} days at ${SCAN_STATUSES[state.statusIdx] || 'the end'} page ${state.page}`
+    : `Starting scan for ${days} days (since ${since.split('T')[0]})`];
+  const log = async (line) => {
+    scanLog.push(line);
+    await job.progress({ message: line });
+  };
+
+  console.log(`Starting scan for ${days} days of orders...`);
+
+  while (state.statusIdx < SCAN_STATUSES.length) {
+    const status = SCAN_STATUSES[state.statusIdx];
+    if (state.page > maxPages) { state.statusIdx++; state.page = 1; continue; }
+    job.throwIfCancelled();
+
+    const page = state.page;
+    console.log(`Scanning ${status} - page ${page}...`);
+    await log(`Fetching ${status} orders - page ${page}...`);
     
-    let totalScanned = 0;
-    let usOrders = 0;
-    let nonUsOrders = 0;
-    const scanLog = [];
+    const list = await shipstation.searchOrders({
+      createDateStart: since,
+      orderStatus: status,
+      sortBy: 'OrderDate',
+      sortDir: 'DESC',
+      page,
+      pageSize
+    });
     
-    console.log(`Starting scan for ${days} days of orders...`);
-    scanLog.push(`Starting scan for ${days} days (since ${since.split('T')[0]})`);
-
-    for (const status of statuses) {
-      let page = 1;
-      while (page <= maxPages) {
-        console.log(`Scanning ${status} - page ${page}...`);
-        scanLog.push(`Fetching ${status} orders - page ${page}...`);
-        
-        await delay(1500);
-        
-        const list = await shipstation.searchOrders({
-          createDateStart: since,
-          orderStatus: status,
-          sortBy: 'OrderDate',
-          sortDir: 'DESC',
-          page,
-          pageSize
-        });
-        
-        console.log(`Got ${list.length} orders from page ${page}`);
-        if (!list.length) break;
-        scanLog.push(`Found ${list.length} ${status} orders on page ${page}`);
-        totalScanned += list.length;
+    console.log(`Got ${list.length} orders from page ${page}`);
+    if (list.length) {
+      await log(`Found ${list.length} ${status} orders on page ${page}`);
+      state.totalScanned += list.length;
+    }
 
-        for (const o of list) {
-          if (seen.has(o.orderId)) continue;
-          seen.add(o.orderId);
-          
-          if (!isUS(o)) {
-            nonUsOrders++;
-            continue;
-          }
-          
-          usOrders++;
-          
-          await delay(100);
-          
-          const full = await shipstation.getOrder(o.orderId);
-          
-          // Track ALL US orders with their items
-          allUsOrders.push({
-            orderId: full.orderId,
-            orderNumber: full.orderNumber,
-            orderDate: full.orderDate,
-            shipTo: full.shipTo,
-            status: full.orderStatus,
-            items: (full.items || []).map(i => ({
-              name: i.name,
-              sku: i.sku,
-              quantity: i.quantity
-            }))
-          });
-          
-          if (!isOpen(full)) continue;
-          
-          const { canUpdate, diff, analysis } = buildCustomsPatch(full);
-          if (canUpdate && diff.length > 0) {
-            // Include item details with the candidates
-            candidates.push({
-              orderId: full.orderId,
-              orderNumber: full.orderNumber,
-              orderDate: full.orderDate,
-              shipTo: full.shipTo,
-              changes: diff.length,
-              diff,
-              analysis,
-              items: (full.items || []).map(i => ({
-                name: i.name,
-                sku: i.sku,
-                quantity: i.quantity
-              }))
-            });
-            scanLog.push(`✓ Order #${full.orderNumber} needs ${diff.length} fixes`);
-          }
-        }
-        
-        if (list.length < pageSize) break;
-        page++;
+    for (const o of list) {
+      if (seen.has(o.orderId)) continue;
+      seen.add(o.orderId);
+      
+      const profile = resolveCustomsProfile(o);
+      if (!profile) {
+        state.domesticOrders++;
+        continue;
+      }
+      
+      state.intlOrders++;
+      state.byProfile[profile.id] = (state.byProfile[profile.id] || 0) + 1;
+      job.throwIfCancelled();
+      
+      const full = await shipstation.getOrder(o.orderId);
+      if (!isOpen(full)) continue;
+      
+      const patch = buildCustomsPatch(full);
+      const { canUpdate, diff, duty } = patch;
+      if (canUpdate && diff.length > 0) {
+        // Persist the proposal so it survives a reload and can be reviewed line by line
+        const { id: reviewId, created } = await queueOrderForReview(full, patch, { source: 'scan', sourceRef: job.id });
+        if (created) state.reviewQueued++;
+        if (!state.reviewIds.includes(reviewId)) state.reviewIds.push(reviewId);
+        const dutyNote = duty.status === 'over' || duty.status === 'near' ? ` (declared ${duty.declaredTotal}: ${duty.status} threshold)` : '';
+        await log(`✓ Order #${full.orderNumber} needs ${diff.length} fixes${dutyNote}`);
       }
     }
     
-    scanLog.push(`Scan complete: ${totalScanned} total, ${usOrders} US, ${nonUsOrders} non-US, ${candidates.length} need fixes`);
-    console.log(`Scan complete. Scanned ${totalScanned} orders, found ${candidates.length} needing updates.`);
-    
-    res.json({ 
+    if (list.length < pageSize) { state.statusIdx++; state.page = 1; }
+    else state.page++;
+
+    await job.saveCheckpoint(state);
+    await job.progress({ done: state.totalScanned });
+  }
+  
+  const candidates = (await Promise.all(state.reviewIds.map(id => getReviewItem(id))))
+    .filter(Boolean)
+    .map(reviewItemToCandidate);
+  const perProfile = Object.entries(state.byProfile).map(([id, n]) => `${n} ${id}`).join(', ');
+  const summary = `Scan complete: ${state.totalScanned} total, ${state.intlOrders} international${perProfile ? ` (${perProfile})` : ''}, ${state.domesticOrders} domestic, ${candidates.length} need fixes (${state.reviewQueued} newly queued for review)`;
+  scanLog.push(summary);
+  console.log(`Scan complete. Scanned ${state.totalScanned} orders, found ${candidates.length} needing updates.`);
+  
+  return {
+    message: summary,
+    result: {
       scannedDays: days, 
-      totalScanned, 
-      usOrders,
-      nonUsOrders,
+      totalScanned: state.totalScanned, 
+      intlOrders: state.intlOrders,
+      domesticOrders: state.domesticOrders,
+      byProfile: state.byProfile,
       totalCandidates: candidates.length, 
+      reviewQueued: state.reviewQueued,
+      dutyFlags: candidates.reduce((acc, c) => {
+        const key = c.duty?.status || 'unknown';
+        acc[key] = (acc[key] || 0) + 1;
+        return acc;
+      }, {}),
       candidates,
-      allUsOrders,  // Now includes all US orders checked
-      scanLog 
-    });
-  } catch (err) {
-    const status = err.response?.status || err.status || 500;
-    const msg = err.response?.data?.message || err.response?.data || err.message;
-    
-    if (status === 429) {
-      console.log('Rate limit hit - consider increasing delays');
+      scanLog
     }
+  };
+}
+
+// SCAN ROUTE - enqueues a scan job; poll /api/jobs/:id, then fetch /api/jobs/:id/result
+router.get('/api/shipstation/orders/scan', requireAuthApi, async (req, res) => {
+  try {
+    const days = Math.max(1, Math.min(365, Number(req.query.days || 30)));
+    const pageSize = Math.max(25, Math.min(200, Number(req.query.pageSize || 200)));
+    const maxPages = Math.max(1, Math.min(50, Number(req.query.maxPages || 10)));
     
-    res.status(status).json({ error: msg });
+    // Fixed at enqueue time so a resumed scan covers the same window
+    const since = new Date(Date.now() - days * 864e5).toISOString();
+    
+    const job = await enqueueJob('shipstation-scan', { days, pageSize, maxPages, since }, { req });
+    res.status(202).json({ jobId: job.id, job });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
@@ -403,8 +624,6 @@ router.get('/api/shipstation/orders/export.csv', requireAuthApi, async (req, res
     for (const status of statuses) {
       let page = 1;
       while (page <= maxPages) {
-        await delay(1500); // Rate limit protection
-        
         const list = await shipstation.searchOrders({
           modifyDateStart: since,
           orderStatus: status,
@@ -419,9 +638,8 @@ router.get('/api/shipstation/orders/export.csv', requireAuthApi, async (req, res
         for (const o of list) {
           if (seen.has(o.orderId)) continue;
           seen.add(o.orderId);
-          if (!isUS(o)) continue;
+          if (!resolveCustomsProfile(o)) continue;
           
-          await delay(100); // Small delay between individual order fetches
           const full = await shipstation.getOrder(o.orderId);
           orders.push(full);
         }
@@ -434,7 +652,7 @@ router.get('/api/shipstation/orders/export.csv', requireAuthApi, async (req, res
     const rows = [];
     
     for (const order of orders) {
-      const { canUpdate, analysis, anyCustomsChange } = buildCustomsPatch(order);
+      const { canUpdate, analysis, anyCustomsChange, duty } = buildCustomsPatch(order);
       
       // For mismatched scope, skip orders with no changes needed
       if (scope === 'mismatched' && !anyCustomsChange) continue;
@@ -442,64 +660,19 @@ router.get('/api/shipstation/orders/export.csv', requireAuthApi, async (req, res
       const items = Array.isArray(order.items) ? order.items : [];
       const customs = Array.isArray(order.internationalOptions?.customsItems) ? order.internationalOptions.customsItems : [];
       
+      const { byItem } = matchItemsToCustoms(items, customs);
+      
       // Create ONE row per item in the order
       items.forEach((item, itemIdx) => {
-        // Find best matching customs entry for this specific item
-        let bestCustomsMatch = null;
-        let bestAnalysis = null;
-        let matchMethod = 'NONE';
-        
-        // Try exact SKU match first
-        if (item.sku) {
-          const customsIdx = customs.findIndex(c => 
-            String(c.sku || '').trim().toUpperCase() === String(item.sku).trim().toUpperCase()
-          );
-          if (customsIdx >= 0) {
-            bestCustomsMatch = customs[customsIdx];
-            bestAnalysis = analysis?.[customsIdx];
-            matchMethod = 'SKU';
-          }
-        }
-        
-        // Try name matching if no SKU match
-        if (!bestCustomsMatch && item.name) {
-          // Look for best name match
-          let bestScore = 0;
-          let bestIdx = -1;
-          
-          customs.forEach((c, idx) => {
-            const itemName = String(item.name || '').toLowerCase();
-            const customsDesc = String(c.description || '').toLowerCase();
-            
-            // Calculate similarity score
-            let score = 0;
-            if (itemName === customsDesc) score = 1.0;
-            else if (itemName.includes(customsDesc) || customsDesc.includes(itemName)) score = 0.8;
-            else {
-              // Check for common words
-              const itemWords = itemName.split(/\s+/);
-              const customsWords = customsDesc.split(/\s+/);
-              const commonWords = itemWords.filter(w => customsWords.includes(w)).length;
-              score = commonWords / Math.max(itemWords.length, customsWords.length);
-            }
-            
-            if (score > bestScore) {
-              bestScore = score;
-              bestIdx = idx;
-            }
-          });
-          
-          if (bestIdx >= 0 && bestScore > 0.3) {
-            bestCustomsMatch = customs[bestIdx];
-            bestAnalysis = analysis?.[bestIdx];
-            matchMethod = `NAME_${Math.round(bestScore * 100)}%`;
-          }
-        }
+        const pair = byItem[itemIdx];
+        const bestCustomsMatch = pair ? customs[pair.customsIndex] : null;
+        const bestAnalysis = pair ? analysis?.[pair.customsIndex] : null;
         
         // Determine what the product type likely is from the name
         const productType = identifyProductFromTitle(item.name);
-        const suggestedHS = productType ? getCorrectHSAndDescription(productType)?.hs : '';
-        const suggestedDesc = productType ? getCorrectHSAndDescription(productType)?.desc : '';
+        const correct = productType ? getCorrectForProfile(resolveCustomsProfile(order), productType) : null;
+        const suggestedHS = correct?.hs || '';
+        const suggestedDesc = correct?.desc || '';
         
         rows.push({
           // Order info
@@ -528,8 +701,10 @@ router.get('/api/shipstation/orders/export.csv', requireAuthApi, async (req, res
           suggestedHS: suggestedHS || bestAnalysis?.hsNew || '',
           
           // Match quality
-          matchMethod: matchMethod,
-          needsUpdate: bestAnalysis?.willChange ? 'YES' : 'NO'
+          matchMethod: pair?.method || 'NONE',
+          matchConfidence: pair?.confidence ?? '',
+          needsUpdate: bestAnalysis?.willChange ? 'YES' : 'NO',
+          ...dutyColumns(duty)
         });
       });
     }
@@ -540,7 +715,8 @@ router.get('/api/shipstation/orders/export.csv', requireAuthApi, async (req, res
       'itemName', 'itemSku', 'itemQty', 'itemUnitPrice', 'itemProductId',
       'currentCustomsDesc', 'currentCustomsHS', 'currentCustomsValue',
       'suggestedDesc', 'suggestedHS',
-      'matchMethod', 'needsUpdate'
+      'matchMethod', 'matchConfidence', 'needsUpdate',
+      ...DUTY_HEADERS
     ];
 
     const out = [csvLine(headers)];
@@ -572,129 +748,404 @@ router.get('/api/shipstation/orders/export.csv', requireAuthApi, async (req, res
   }
 });
 
-// Bulk update route
-router.post('/api/shipstation/orders/bulk-update', requireAuthApi, async (req, res) => {
+// Apply the customs fix to one order (by id or number) as part of a bulk batch
+// With dryRun the write is only simulated and the result carries the exact payload and its changes
+async function applyCustomsFix(ref, { req, batchId, allowInvalidHS = false, dryRun = false }) {
   try {
-    const { orderIds } = req.body || {};
+    const order = await loadOrderByAnyRef(ref);
+    if (!order)         return { ref, ok:false, error:'Not found' };
+    if (!isOpen(order)) return { ref, ok:false, error:`Status ${order.orderStatus}` };
+    const profile = resolveCustomsProfile(order);
+    if (!profile) return { ref, ok:false, error: describeNoProfile(order) };
+
+    const { canUpdate, diff, patchedOrder, anyCustomsChange } = buildCustomsPatch(order);
+    if (!canUpdate || !anyCustomsChange) return { ref, ok:false, error:'No customs changes' };
+
+    const { patch, skuDiffs } = await prepareCustomsWrite(order, patchedOrder, { profile, allowInvalidHS });
+
+    const final = await tryPatchOrder(order.orderId, patch, `bulk:${ref}`, { req, source: 'bulk-update', batchId, order }, { dryRun });
+    if (!final.ok) return { ref, ok:false, status: final.status, error: final.message, conflict: final.conflict };
+    if (dryRun) {
+      return {
+        ref, ok:true, dryRun:true, orderId: order.orderId, orderNumber: order.orderNumber, changedDescriptions: diff.length,
+        diff, skuDiffs, payload: final.payload, changes: final.changes, merged: final.merged
+      };
+    }
+
+    return { ref, ok:true, updatedOrderId: final.data.orderId, changedDescriptions: diff.length, auditId: final.auditId, merged: final.merged };
+  } catch (e) {
+    if (e.invalidHS) return { ref, ok:false, status: e.status, error: e.message, invalidHS: e.invalidHS };
+    const { status, message } = formatShipStationError(e);
+    return { ref, ok:false, status, error: message };
+  }
+}
+
+// BULK UPDATE JOB: one order at a time, checkpointing after each
+async function runBulkUpdateJob(job) {
+  const { orderIds, batchId, allowInvalidHS, dryRun = false } = job.params;
+  const state = job.checkpoint || { next: 0, results: [] };
+  await job.progress({ total: orderIds.length });
+
+  while (state.next < orderIds.length) {
+    job.throwIfCancelled();
+    const ref = String(orderIds[state.next]);
+    const result = await applyCustomsFix(ref, { req: job.req, batchId, allowInvalidHS, dryRun });
+    state.results.push(result);
+    state.next++;
+
+    await job.saveCheckpoint(state);
+    await job.progress({
+      done: state.next,
+      failed: state.results.filter(r => !r.ok).length,
+      message: `#${ref}: ${result.ok ? (dryRun ? 'would update' : 'updated') : result.error}`
+    });
+  }
+
+  const updated = state.results.filter(r => r.ok).length;
+  const failed = state.results.length - updated;
+  return {
+    message: dryRun ? `Dry run: ${updated} orders would be updated, ${failed} failed` : `Updated ${updated} orders, ${failed} failed`,
+    result: { batchId, dryRun, updated, failed, results: state.results }
+  };
+}
+
+// Bulk update route - enqueues the batch and returns its job + batch id right away
+router.post('/api/shipstation/orders/bulk-update', requireOrderWriteUnlessDryRun, async (req, res) => {
+  try {
+    const { orderIds, allowInvalidHS } = req.body || {};
     if (!Array.isArray(orderIds) || !orderIds.length) {
       return res.status(400).json({ error: 'Provide orderIds: string[]' });
     }
+    // dryRun runs the whole pipeline per order and returns the payloads in the job result, writing nothing
+    const dryRun = isDryRun(req);
 
-    const results = [];
-    for (const raw of orderIds) {
-      const ref = String(raw);
-      try {
-        const order = await loadOrderByAnyRef(ref);
-        if (!order)         { results.push({ ref, ok:false, error:'Not found' }); continue; }
-        if (!isOpen(order)) { results.push({ ref, ok:false, error:`Status ${order.orderStatus}` }); continue; }
-        if (!isUS(order))   { results.push({ ref, ok:false, error:'Not US' }); continue; }
-
-        const { canUpdate, diff, patchedOrder, anyCustomsChange } = buildCustomsPatch(order);
-        if (!canUpdate || !anyCustomsChange) { results.push({ ref, ok:false, error:'No customs changes' }); continue; }
-
-        const { patched: withSkus } = await fillMissingSkus(patchedOrder);
-        const { patched: withCustomsSkus } = syncCustomsSkus(withSkus);
-
-        const intlBase = ensureIntlDefaults(order.internationalOptions || {});
-        const sanitized = sanitizeCustomsItems(
-          withCustomsSkus.internationalOptions?.customsItems || [],
-          getHS
-        );
-
-        // USE THE SAME COMPLETE PAYLOAD AS SINGLE UPDATE
-        const payload = {
-          // Primary identifiers
-          orderId: order.orderId,
-          orderKey: order.orderKey,
-          orderNumber: order.orderNumber,
-          
-          // All dates
-          orderDate: order.orderDate,
-          paymentDate: order.paymentDate || order.orderDate,
-          shipByDate: order.shipByDate,
-          
-          // Status
-          orderStatus: order.orderStatus,
-          
-          // Customer
-          customerUsername: order.customerUsername || '',
-          customerEmail: order.customerEmail || '',
-          customerId: order.customerId,
-          
-          // Addresses
-          billTo: order.billTo,
-          shipTo: order.shipTo,
-          
-          // Financial
-          amountPaid: order.amountPaid || 0,
-          taxAmount: order.taxAmount || 0,
-          shippingAmount: order.shippingAmount || 0,
-          customerNotes: order.customerNotes || '',
-          internalNotes: order.internalNotes || '',
-          
-          // Gift
-          gift: order.gift || false,
-          giftMessage: order.giftMessage || '',
-          
-          // Shipping
-          requestedShippingService: order.requestedShippingService,
-          carrierCode: order.carrierCode,
-          serviceCode: order.serviceCode,
-          packageCode: order.packageCode,
-          confirmation: order.confirmation,
-          shipDate: order.shipDate,
-          
-          // Physical
-          weight: order.weight || {},
-          dimensions: order.dimensions || {},
-          
-          // Options
-          insuranceOptions: order.insuranceOptions || {},
-          advancedOptions: order.advancedOptions || {},
-          tagIds: order.tagIds || [],
-          
-          // Items
-          items: withCustomsSkus.items.map(item => ({
-            orderItemId: item.orderItemId,
-            lineItemKey: item.lineItemKey || '',
-            sku: item.sku || '',
-            name: item.name || '',
-            imageUrl: item.imageUrl || '',
-            weight: item.weight || {},
-            quantity: item.quantity || 1,
-            unitPrice: item.unitPrice || 0,
-            taxAmount: item.taxAmount || 0,
-            shippingAmount: item.shippingAmount || 0,
-            warehouseLocation: item.warehouseLocation || '',
-            options: item.options || [],
-            productId: item.productId,
-            fulfillmentSku: item.fulfillmentSku || '',
-            adjustment: item.adjustment || false,
-            upc: item.upc || ''
-          })),
-          
-          // International with updated customs
-          internationalOptions: {
-            ...intlBase,
-            customsItems: sanitized
-          }
-        };
+    const batchId = dryRun ? null : crypto.randomUUID();
+    const params = { orderIds: orderIds.map(String), batchId, allowInvalidHS: allowInvalidHS === true, dryRun };
+    const job = await enqueueJob('shipstation-bulk-update', params, { req });
+    res.status(202).json({ jobId: job.id, batchId, job });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// WEBHOOK: ShipStation ORDER_NOTIFY. Each new open order bound for one of WEBHOOK_PROFILES gets the
+// same customs fix as a manual update; it is written straight away only when
+// SHIPSTATION_WEBHOOK_AUTO_APPLY=true and every change is high-confidence, otherwise it is queued for review.
+const WEBHOOK_PROFILES = ['US'];
+const WEBHOOK_MIN_CONFIDENCE = 0.9;
+const GUESSED_PAIRINGS = ['name-fuzzy', 'position'];
+
+// Why a patched order needs a human (empty when every change is high-confidence)
+function webhookReviewReasons(patch, { skuDiffs, customsSkuPlan }) {
+  const reasons = [];
+  patch.analysis.filter(a => a.willChange).forEach(a => {
+    if (a.rule === 'fallback' && a.mapped.trim() !== a.from.trim()) reasons.push(`Line ${a.index + 1}: no customs rule matched "${a.from}"`);
+    if (a.hsNew !== a.hs && a.hsStatus !== 'valid') reasons.push(`Line ${a.index + 1}: new HS ${a.hsNew} is ${a.hsStatus}`);
+  });
+  skuDiffs
+    .filter(d => !(d.confidence >= WEBHOOK_MIN_CONFIDENCE))
+    .forEach(d => reasons.push(`Item ${d.index + 1}: SKU ${d.to} by ${d.source} (${d.confidence})`));
+  // Customs-line SKUs copied through a structural pairing (id, SKU, type/HS) are fine; guessed ones are not
+  customsSkuPlan
+    .filter(p => p.status === 'filled' && GUESSED_PAIRINGS.includes(p.source) && !(p.confidence >= WEBHOOK_MIN_CONFIDENCE))
+    .forEach(p => reasons.push(`Customs line ${p.index + 1}: SKU ${p.after} by ${p.source} (${p.confidence})`));
+  return reasons;
+}
+
+// All orders behind a resource_url (it returns the usual paged order list)
+async function fetchWebhookOrders(resourceUrl) {
+  const orders = [];
+  for (let page = 1; ; page++) {
+    const data = await shipstation.getResource(resourceUrl, page > 1 ? { page } : {});
+    const list = Array.isArray(data?.orders) ? data.orders : Array.isArray(data) ? data : [];
+    orders.push(...list);
+    if (!list.length || page >= (Number(data?.pages) || 1)) break;
+  }
+  return orders;
+}
+
+async function processWebhookOrder(orderId, { req, eventId, batchId, autoApply }) {
+  const order = await shipstation.getOrder(orderId);
+  const base = { orderId: order.orderId, orderNumber: order.orderNumber };
+  if (!isOpen(order)) return { ...base, outcome: 'skipped', reason: `Status ${order.orderStatus}` };
+
+  const profile = resolveCustomsProfile(order);
+  const patch = buildCustomsPatch(order);
+  // Nothing to propose (no profile, not eligible...), so there is nothing a reviewer could approve either
+  if (!patch.canUpdate) return { ...base, outcome: 'skipped', reason: patch.reason || 'Cannot update this order' };
+  if (!patch.anyCustomsChange) return { ...base, outcome: 'skipped', reason: 'No customs changes' };
+
+  const changes = patch.diff.length;
+  let write;
+  try {
+    write = await prepareCustomsWrite(order, patch.patchedOrder, { profile });
+  } catch (e) {
+    if (!e.invalidHS) throw e;
+    const { id: reviewId } = await queueOrderForReview(order, patch, { source: 'webhook', sourceRef: String(eventId) });
+    return { ...base, outcome: 'queued', reason: e.message, changes, details: { diff: patch.diff, invalidHS: e.invalidHS, reviewId } };
+  }
 
-        const final = await tryCreateOrUpdate(payload, `bulk:${ref}`);
-        if (!final.ok) { results.push({ ref, ok:false, status: final.status, error: final.message }); continue; }
+  const concerns = webhookReviewReasons(patch, write);
+  const details = { diff: patch.diff, skuDiffs: write.skuDiffs, concerns };
+  if (!autoApply || concerns.length) {
+    const { id: reviewId } = await queueOrderForReview(order, patch, { source: 'webhook', sourceRef: String(eventId) });
+    const reason = autoApply ? concerns.join('; ') : 'Auto-apply is off';
+    return { ...base, outcome: 'queued', reason, changes, details: { ...details, reviewId } };
+  }
+
+  const result = await tryPatchOrder(order.orderId, write.patch, `webhook:${order.orderNumber}`, { req, source: 'webhook', batchId, order });
+  if (!result.ok) return { ...base, outcome: 'failed', reason: result.message, changes, details };
+  return { ...base, outcome: 'applied', changes, auditId: result.auditId, details };
+}
 
-        results.push({ ref, ok:true, updatedOrderId: final.data.orderId, changedDescriptions: diff.length });
+// WEBHOOK JOB: fetch the batch once (checkpointed), then handle one order at a time
+async function runWebhookJob(job) {
+  const { eventId, resourceUrl, batchId } = job.params;
+  const autoApply = String(process.env.SHIPSTATION_WEBHOOK_AUTO_APPLY || '') === 'true';
+
+  try {
+    let state = job.checkpoint;
+    if (!state) {
+      await updateWebhookEvent(eventId, { status: 'processing' });
+      const orders = await fetchWebhookOrders(resourceUrl);
+      await updateWebhookEvent(eventId, { ordersTotal: orders.length });
+
+      // Closed and out-of-scope orders are settled from the batch itself, without another call
+      const pending = [];
+      for (const o of orders) {
+        const profile = resolveCustomsProfile(o);
+        const reason = !isOpen(o) ? `Status ${o.orderStatus}`
+          : !profile ? describeNoProfile(o)
+          : !WEBHOOK_PROFILES.includes(profile.id) ? `${profile.id} orders are not handled by the webhook`
+          : null;
+        if (reason) await recordWebhookOrder(eventId, { orderId: o.orderId, orderNumber: o.orderNumber, outcome: 'skipped', reason });
+        else pending.push({ orderId: o.orderId, orderNumber: o.orderNumber });
+      }
+      state = { pending, next: 0, counts: { applied: 0, queued: 0, skipped: orders.length - pending.length, failed: 0 } };
+      await job.saveCheckpoint(state);
+    }
+    await job.progress({ total: state.pending.length });
+
+    while (state.next < state.pending.length) {
+      job.throwIfCancelled();
+      const { orderId, orderNumber } = state.pending[state.next];
+      let outcome;
+      try {
+        outcome = await processWebhookOrder(orderId, { req: job.req, eventId, batchId, autoApply });
       } catch (e) {
-        const { status, message } = formatShipStationError(e);
-        results.push({ ref, ok:false, status, error: message });
+        outcome = { orderId, orderNumber, outcome: 'failed', reason: formatShipStationError(e).message };
       }
+      await recordWebhookOrder(eventId, outcome);
+      state.counts[outcome.outcome]++;
+      state.next++;
+
+      await job.saveCheckpoint(state);
+      await job.progress({
+        done: state.next,
+        failed: state.counts.failed,
+        message: `#${outcome.orderNumber ?? orderId}: ${outcome.outcome}${outcome.reason ? ` (${outcome.reason})` : ''}`
+      });
     }
 
-    res.json({ updated: results.filter(r => r.ok).length, failed: results.filter(r => !r.ok).length, results });
+    await updateWebhookEvent(eventId, { status: 'done', finished: true });
+    const { applied, queued, skipped, failed } = state.counts;
+    return {
+      message: `Webhook #${eventId}: ${applied} applied, ${queued} queued for review, ${skipped} skipped, ${failed} failed`,
+      result: { eventId, batchId, ...state.counts }
+    };
   } catch (err) {
-    const status = err.response?.status || err.status || 500;
-    const msg = err.response?.data?.message || err.response?.data || err.message;
-    res.status(status).json({ error: msg });
+    await updateWebhookEvent(eventId, { status: 'failed', error: formatShipStationError(err).message, finished: true });
+    throw err;
+  }
+}
+
+// Not behind the login: ShipStation authenticates with the shared secret, sent as ?secret=… on the
+// registered target URL (ShipStation can't add headers) or as an X-Webhook-Secret header.
+router.post('/api/shipstation/webhooks/order-notify', async (req, res) => {
+  try {
+    if (!process.env.SHIPSTATION_WEBHOOK_SECRET) return res.status(503).json({ error: 'Webhook is not configured' });
+    if (!webhookSecretMatches(req.get('x-webhook-secret') || req.query.secret)) {
+      return res.status(401).json({ error: 'Invalid webhook secret' });
+    }
+
+    const { resource_url: resourceUrl, resource_type: resourceType } = req.body || {};
+    if (resourceType !== 'ORDER_NOTIFY') return res.json({ ignored: true, resourceType: resourceType || null });
+    if (!resourceUrl) return res.status(400).json({ error: 'resource_url is required' });
+
+    // Answer right away; the batch is fetched and processed by a background job
+    const eventId = await recordWebhookEvent({ resourceType, resourceUrl });
+    const job = await enqueueJob('shipstation-webhook', { eventId, resourceUrl, batchId: crypto.randomUUID() }, { req });
+    await updateWebhookEvent(eventId, { jobId: job.id });
+    res.status(202).json({ eventId, jobId: job.id });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Webhook deliveries, and the per-order outcomes (?outcome=queued for the review list)
+router.get('/api/shipstation/webhooks', requireAuthApi, async (req, res) => {
+  try {
+    const events = await listWebhookEvents({ limit: req.query.limit });
+    res.json({ events, autoApply: String(process.env.SHIPSTATION_WEBHOOK_AUTO_APPLY || '') === 'true' });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+router.get('/api/shipstation/webhooks/orders', requireAuthApi, async (req, res) => {
+  try {
+    const { eventId, outcome, limit } = req.query;
+    const orders = await listWebhookOrders({ eventId, outcome, limit });
+    res.json({ orders });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// REVIEW QUEUE: apply the approved lines of a reviewed proposal. The order is re-read first; if its
+// modifyDate moved since the proposal was made the entry is marked stale instead of written.
+async function applyReviewItem(id, { req, batchId, allowInvalidHS = false }) {
+  const item = await getReviewItem(id);
+  if (!item) return { id, ok: false, error: 'Not found' };
+  const base = { id, orderId: item.orderId, orderNumber: item.orderNumber };
+  if (!['approved', 'failed'].includes(item.status)) {
+    return { ...base, ok: false, status: item.status, error: `Entry is ${item.status}; only approved (or failed) entries can be applied` };
+  }
+
+  try {
+    const order = await shipstation.getOrder(item.orderId);
+    if ((order.modifyDate || null) !== item.modifyDate) {
+      const error = `Order was modified in ShipStation (${order.modifyDate}) after this proposal (${item.modifyDate})`;
+      await setReviewResult(id, { status: 'stale', error });
+      return { ...base, ok: false, status: 'stale', error };
+    }
+    if (!isOpen(order)) {
+      const error = `Order status is ${order.orderStatus}`;
+      await setReviewResult(id, { status: 'failed', error });
+      return { ...base, ok: false, status: 'failed', error };
+    }
+
+    const profile = resolveCustomsProfile(order);
+    if (!profile) {
+      const error = describeNoProfile(order);
+      await setReviewResult(id, { status: 'failed', error });
+      return { ...base, ok: false, status: 'failed', error };
+    }
+
+    const intl = order.internationalOptions || {};
+    const customsItems = mergeApprovedLines(item, Array.isArray(intl.customsItems) ? intl.customsItems : []);
+    const patchedOrder = { ...order, internationalOptions: { ...intl, customsItems } };
+    const { patch } = await prepareCustomsWrite(order, patchedOrder, { profile, allowInvalidHS });
+
+    const result = await tryPatchOrder(order.orderId, patch, `review:${id}`, { req, source: 'review', batchId, order });
+    if (!result.ok) {
+      // Customs edited in ShipStation meanwhile: the reviewed proposal no longer applies
+      const status = result.conflict?.customsChanged ? 'stale' : 'failed';
+      await setReviewResult(id, { status, auditId: result.auditId, error: result.message });
+      return { ...base, ok: false, status, error: result.message };
+    }
+    await setReviewResult(id, { status: 'applied', auditId: result.auditId });
+    return { ...base, ok: true, status: 'applied', auditId: result.auditId };
+  } catch (e) {
+    const error = e.invalidHS ? e.message : formatShipStationError(e).message;
+    await setReviewResult(id, { status: 'failed', error });
+    return { ...base, ok: false, status: 'failed', error, invalidHS: e.invalidHS };
+  }
+}
+
+async function runReviewApplyJob(job) {
+  const { ids, batchId, allowInvalidHS } = job.params;
+  const state = job.checkpoint || { next: 0, results: [] };
+  await job.progress({ total: ids.length });
+
+  while (state.next < ids.length) {
+    job.throwIfCancelled();
+    const result = await applyReviewItem(ids[state.next], { req: job.req, batchId, allowInvalidHS });
+    state.results.push(result);
+    state.next++;
+
+    await job.saveCheckpoint(state);
+    await job.progress({
+      done: state.next,
+      failed: state.results.filter(r => !r.ok).length,
+      message: `#${result.orderNumber || result.id}: ${result.ok ? 'applied' : result.error}`
+    });
+  }
+
+  const count = status => state.results.filter(r => r.status === status).length;
+  const applied = count('applied');
+  return {
+    message: `Applied ${applied} reviewed orders, ${count('stale')} stale, ${state.results.length - applied - count('stale')} failed`,
+    result: { batchId, applied, stale: count('stale'), results: state.results }
+  };
+}
+
+router.get('/api/shipstation/review-queue', requireAuthApi, async (req, res) => {
+  try {
+    const { status, orderNumber, limit } = req.query;
+    const [items, counts] = await Promise.all([listReviewItems({ status, orderNumber, limit }), countReviewItems()]);
+    res.json({ items, counts });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+router.get('/api/shipstation/review-queue/:id', requireAuthApi, async (req, res) => {
+  try {
+    const item = await getReviewItem(Number(req.params.id));
+    if (!item) return res.status(404).json({ error: `Review entry ${req.params.id} not found` });
+    res.json({ item });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Approve / reject (or reset to pending) some lines, or every line when `lines` is omitted
+router.post('/api/shipstation/review-queue/:id/decision', requireOrderWrite, async (req, res) => {
+  try {
+    const { decision, lines } = req.body || {};
+    const item = await decideReviewLines(Number(req.params.id), { decision, lines }, { req });
+    if (!item) return res.status(404).json({ error: `Review entry ${req.params.id} not found` });
+    res.json({ item });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Re-read the order and propose again (the way out of 'stale'); drops the entry if nothing needs fixing now
+router.post('/api/shipstation/review-queue/:id/refresh', requireOrderWrite, async (req, res) => {
+  try {
+    const item = await getReviewItem(Number(req.params.id));
+    if (!item) return res.status(404).json({ error: `Review entry ${req.params.id} not found` });
+    if (item.status === 'applied') return res.status(409).json({ error: 'This order has already been applied' });
+
+    const order = await shipstation.getOrder(item.orderId);
+    const patch = isOpen(order) ? buildCustomsPatch(order) : null;
+    if (!patch?.canUpdate || !patch.anyCustomsChange) {
+      await deleteReviewItem(item.id);
+      const reason = !isOpen(order) ? `Order status is ${order.orderStatus}` : patch.reason || 'No customs changes needed any more';
+      return res.json({ removed: true, reason });
+    }
+    const { id } = await queueOrderForReview(order, patch, { source: item.source, sourceRef: item.sourceRef });
+    res.json({ item: await getReviewItem(id) });
+  } catch (err) {
+    const { status, message } = formatShipStationError(err);
+    res.status(err.status || status || 500).json({ error: message });
+  }
+});
+
+// Apply approved entries in the background; poll /api/jobs/:id like a bulk update
+router.post('/api/shipstation/review-queue/apply', requireOrderWrite, async (req, res) => {
+  try {
+    const { ids, allowInvalidHS } = req.body || {};
+    if (!Array.isArray(ids) || !ids.length) return res.status(400).json({ error: 'Provide ids: number[]' });
+
+    const batchId = crypto.randomUUID();
+    const params = { ids: ids.map(Number), batchId, allowInvalidHS: allowInvalidHS === true };
+    const job = await enqueueJob('shipstation-review-apply', params, { req });
+    res.status(202).json({ jobId: job.id, batchId, job });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
@@ -709,7 +1160,8 @@ router.get('/api/shipstation/orders/:orderId/preview', requireAuthApi, async (re
       .includes(String(order.orderStatus || '').toLowerCase());
     if (!open) return res.status(400).json({ error: `Order status is ${order.orderStatus}. Only open orders can be updated.` });
 
-    const result = buildCustomsPatch(order);
+    const rebuild = String(req.query.rebuild || '') === 'true';
+    const result = buildCustomsPatch(order, { rebuild });
     if (!result.canUpdate) return res.status(400).json({ error: result.reason, order });
 
     const { patched: withSkus, skuDiffs, resolutions } = await fillMissingSkus(result.patchedOrder);
@@ -742,6 +1194,11 @@ router.get('/api/shipstation/orders/:orderId/preview', requireAuthApi, async (re
       shipTo: order.shipTo,
       diff: result.diff,
       analysis: result.analysis,
+      invalidHS: result.invalidHS,
+      valuation: result.valuation,
+      duty: result.duty,
+      rebuild: result.rebuild,
+      replaced: result.replaced,
       skuDiffs,
       skuPlan,
       customsSkuPlan,
@@ -755,112 +1212,41 @@ router.get('/api/shipstation/orders/:orderId/preview', requireAuthApi, async (re
 
 // Handle order update
 async function handleOrderUpdate(req, res) {
-  console.log(`\n=== ROUTE HIT: ${req.method} ${req.originalUrl} ===`);
-  try {
-    const ref = req.params.orderId;
-    const order = await loadOrderByAnyRef(ref);
-    if (!order) return res.status(404).json({ error: `Order not found for id/number/key "${ref}"` });
-    if (!isOpen(order)) return res.status(400).json({ error: `Order status is ${order.orderStatus}. Only open orders can be updated.` });
-
-    const { canUpdate, diff, patchedOrder, anyCustomsChange } = buildCustomsPatch(order);
-    if (!canUpdate) return res.status(400).json({ error: 'Cannot update this order.' });
-    if (!anyCustomsChange) return res.json({ ok: true, updatedOrderId: order.orderId, changedDescriptions: 0, diff: [] });
-
-    const { patched: withSkus } = await fillMissingSkus(patchedOrder);
-    const { patched: withCustomsSkus } = syncCustomsSkus(withSkus);
-
-    const intlBase = ensureIntlDefaults(order.internationalOptions || {});
-    const sanitized = sanitizeCustomsItems(
-      withCustomsSkus.internationalOptions?.customsItems || [],
-      getHS
-    );
-
-    // COMPLETE PAYLOAD - ALL FIELDS NEEDED TO PREVENT DUPLICATE ORDERS
-    const payload = {
-      // Primary identifiers
-      orderId: order.orderId,
-      orderKey: order.orderKey,
-      orderNumber: order.orderNumber,
-      
-      // All dates
-      orderDate: order.orderDate,
-      paymentDate: order.paymentDate || order.orderDate,
-      shipByDate: order.shipByDate,
-      
-      // Status
-      orderStatus: order.orderStatus,
-      
-      // Customer
-      customerUsername: order.customerUsername || '',
-      customerEmail: order.customerEmail || '',
-      customerId: order.customerId,
-      
-      // Addresses
-      billTo: order.billTo,
-      shipTo: order.shipTo,
-      
-      // Financial
-      amountPaid: order.amountPaid || 0,
-      taxAmount: order.taxAmount || 0,
-      shippingAmount: order.shippingAmount || 0,
-      customerNotes: order.customerNotes || '',
-      internalNotes: order.internalNotes || '',
-      
-      // Gift
-      gift: order.gift || false,
-      giftMessage: order.giftMessage || '',
-      
-      // Shipping
-      requestedShippingService: order.requestedShippingService,
-      carrierCode: order.carrierCode,
-      serviceCode: order.serviceCode,
-      packageCode: order.packageCode,
-      confirmation: order.confirmation,
-      shipDate: order.shipDate,
-      
-      // Physical
-      weight: order.weight || {},
-      dimensions: order.dimensions || {},
-      
-      // Options
-      insuranceOptions: order.insuranceOptions || {},
-      advancedOptions: order.advancedOptions || {},
-      tagIds: order.tagIds || [],
-      
-      // Items - complete structure
-      items: withCustomsSkus.items.map(item => ({
-        orderItemId: item.orderItemId,
-        lineItemKey: item.lineItemKey || '',
-        sku: item.sku || '',
-        name: item.name || '',
-        imageUrl: item.imageUrl || '',
-        weight: item.weight || {},
-        quantity: item.quantity || 1,
-        unitPrice: item.unitPrice || 0,
-        taxAmount: item.taxAmount || 0,
-        shippingAmount: item.shippingAmount || 0,
-        warehouseLocation: item.warehouseLocation || '',
-        options: item.options || [],
-        productId: item.productId,
-        fulfillmentSku: item.fulfillmentSku || '',
-        adjustment: item.adjustment || false,
-        upc: item.upc || ''
-      })),
-      
-      // International with updated customs
-      internationalOptions: {
-        ...intlBase,
-        customsItems: sanitized
-      }
-    };
+  console.log(`\n=== ROUTE HIT: ${req.method} ${req.originalUrl} ===`);
+  try {
+    const ref = req.params.orderId;
+    const order = await loadOrderByAnyRef(ref);
+    if (!order) return res.status(404).json({ error: `Order not found for id/number/key "${ref}"` });
+    if (!isOpen(order)) return res.status(400).json({ error: `Order status is ${order.orderStatus}. Only open orders can be updated.` });
+
+    const allowInvalidHS = String(req.body?.allowInvalidHS ?? req.query.allowInvalidHS ?? '') === 'true';
+    const rebuild = String(req.body?.rebuild ?? req.query.rebuild ?? '') === 'true';
+    const dryRun = isDryRun(req);
+    const profile = resolveCustomsProfile(order);
+    const { canUpdate, reason, diff, patchedOrder, anyCustomsChange } = buildCustomsPatch(order, { rebuild });
+    if (!canUpdate) return res.status(400).json({ error: reason || 'Cannot update this order.' });
+    if (!anyCustomsChange) {
+      return res.json({ ok: true, updatedOrderId: order.orderId, changedDescriptions: 0, diff: [], ...(dryRun && { dryRun, changes: [] }) });
+    }
 
-    const result = await tryCreateOrUpdate(payload, 'single');
+    const { patch, skuDiffs } = await prepareCustomsWrite(order, patchedOrder, { profile, allowInvalidHS });
+
+    const result = await tryPatchOrder(order.orderId, patch, 'single', { req, source: 'single-update', order }, { dryRun });
     if (!result.ok) {
-      return res.status(result.status || 400).json({ error: result.message || 'Update failed' });
+      return res.status(result.status || 400).json({ error: result.message || 'Update failed', conflict: result.conflict });
+    }
+    if (dryRun) {
+      return res.json({
+        ok: true, dryRun: true, orderId: order.orderId, changedDescriptions: diff.length, diff, skuDiffs,
+        payload: result.payload, changes: result.changes, merged: result.merged
+      });
     }
 
-    return res.json({ ok: true, updatedOrderId: result.data.orderId, changedDescriptions: diff.length, diff });
+    return res.json({
+      ok: true, updatedOrderId: result.data.orderId, changedDescriptions: diff.length, diff, auditId: result.auditId, merged: result.merged
+    });
   } catch (err) {
+    if (err.invalidHS) return res.status(err.status).json({ error: err.message, invalidHS: err.invalidHS });
     const { status, message } = formatShipStationError(err);
     return res.status(status || 400).json({ error: message });
   }
@@ -879,128 +1265,31 @@ router.get('/api/shipstation/orders/export-single.csv', requireAuthApi, async (r
       return res.status(404).json({ error: `Order not found: ${orderId}` });
     }
     
-    if (!isUS(order)) {
-      return res.status(400).json({ error: 'Order is not shipping to US' });
+    if (!resolveCustomsProfile(order)) {
+      return res.status(400).json({ error: describeNoProfile(order) });
     }
     
-    const { canUpdate, analysis } = buildCustomsPatch(order);
+    const { canUpdate, analysis, duty } = buildCustomsPatch(order);
     const items = Array.isArray(order.items) ? order.items : [];
     const customs = Array.isArray(order.internationalOptions?.customsItems) ? order.internationalOptions.customsItems : [];
     
     console.log(`\nOrder ${order.orderNumber}: ${items.length} items, ${customs.length} customs entries`);
     
     const rows = [];
-    const availableCustomsIndices = new Set();
-    customs.forEach((_, idx) => availableCustomsIndices.add(idx));
+    const match = matchItemsToCustoms(items, customs);
     
     // Track if this is the first row for the order
     let isFirstRow = true;
     
-    // Match each item to an appropriate customs declaration
+    // One row per item, with the customs line the matcher paired it with
     items.forEach((item, itemIdx) => {
-      console.log(`\nMatching item: "${item.name}"`);
-      
-      const itemType = identifyProductFromTitle(item.name);
-      console.log(`  Detected type: ${itemType || 'unknown'}`);
-      
-      let bestMatch = null;
-      let bestIdx = -1;
-      let matchMethod = 'NONE';
-      
-      for (const cidx of availableCustomsIndices) {
-        const c = customs[cidx];
-        const customsDesc = String(c.description || '').toLowerCase();
-        const customsHS = getHS(c);
-        
-        let isMatch = false;
-        let matchReason = '';
-        
-        if (itemType) {
-          const correctForType = getCorrectHSAndDescription(itemType);
-          
-          if (correctForType && customsHS && normHS(customsHS) === normHS(correctForType.hs)) {
-            isMatch = true;
-            matchReason = `HS_MATCH_${itemType}`;
-          }
-          else if (itemType === 'notebook' && customsDesc.includes('notebook')) {
-            isMatch = true;
-            matchReason = 'DESC_NOTEBOOK';
-          }
-          else if (itemType === 'planner' && customsDesc.includes('planner')) {
-            isMatch = true;
-            matchReason = 'DESC_PLANNER';
-          }
-          else if (itemType === 'sticker' && customsDesc.includes('sticker')) {
-            isMatch = true;
-            matchReason = 'DESC_STICKER';
-          }
-          else if (itemType === 'sticky' && customsDesc.includes('sticky')) {
-            isMatch = true;
-            matchReason = 'DESC_STICKY';
-          }
-          else if (itemType === 'insert' && (customsDesc.includes('insert') || customsDesc.includes('refill'))) {
-            isMatch = true;
-            matchReason = 'DESC_INSERT';
-          }
-        }
-        
-        if (!isMatch) {
-          const itemLower = String(item.name || '').toLowerCase();
-          
-          const categories = [
-            { keywords: ['notebook', 'journal'], customsTerms: ['notebook', 'journal'] },
-            { keywords: ['planner', 'agenda'], customsTerms: ['planner', 'agenda', 'diary'] },
-            { keywords: ['sticky', 'post-it'], customsTerms: ['sticky', 'notepad'] },
-            { keywords: ['sticker'], customsTerms: ['sticker'] },
-            { keywords: ['insert', 'refill'], customsTerms: ['insert', 'refill', 'loose'] },
-            { keywords: ['tab', 'tabs'], customsTerms: ['sticker', 'paper'] },
-            { keywords: ['pen'], customsTerms: ['pen'] },
-            { keywords: ['tape', 'washi'], customsTerms: ['tape'] },
-            { keywords: ['clip'], customsTerms: ['clip'] },
-            { keywords: ['charm'], customsTerms: ['charm'] },
-            { keywords: ['elastic'], customsTerms: ['elastic'] }
-          ];
-          
-          for (const cat of categories) {
-            const hasItemKeyword = cat.keywords.some(k => itemLower.includes(k));
-            const hasCustomsKeyword = cat.customsTerms.some(t => customsDesc.includes(t));
-            
-            if (hasItemKeyword && hasCustomsKeyword) {
-              isMatch = true;
-              matchReason = `CATEGORY_${cat.keywords[0].toUpperCase()}`;
-              break;
-            }
-          }
-        }
-        
-        if (isMatch && item.quantity === c.quantity) {
-          matchReason += '_QTY';
-        }
-        
-        if (isMatch) {
-          bestMatch = c;
-          bestIdx = cidx;
-          matchMethod = matchReason;
-          console.log(`  ✓ Matched to customs[${cidx}]: "${c.description}" via ${matchReason}`);
-          break;
-        }
-      }
-      
-      if (!bestMatch && availableCustomsIndices.size > 0) {
-        const firstAvailable = Array.from(availableCustomsIndices)[0];
-        bestMatch = customs[firstAvailable];
-        bestIdx = firstAvailable;
-        matchMethod = 'FALLBACK';
-        console.log(`  → Fallback to customs[${firstAvailable}]: "${bestMatch.description}"`);
-      }
-      
-      if (bestIdx >= 0) {
-        availableCustomsIndices.delete(bestIdx);
-      }
+      const pair = match.byItem[itemIdx];
+      const bestMatch = pair ? customs[pair.customsIndex] : null;
+      const bestAnalysis = pair ? analysis?.[pair.customsIndex] : null;
+      if (pair) console.log(`  "${item.name}" → customs[${pair.customsIndex}] "${bestMatch.description}" via ${pair.method} (${pair.confidence})`);
       
-      const bestAnalysis = bestIdx >= 0 ? analysis?.[bestIdx] : null;
-      const productType = itemType || identifyProductFromTitle(item.name);
-      const correct = productType ? getCorrectHSAndDescription(productType) : null;
+      const productType = identifyProductFromTitle(item.name);
+      const correct = productType ? getCorrectForProfile(resolveCustomsProfile(order), productType) : null;
       
       rows.push({
         // Order info - only show on first row
@@ -1029,8 +1318,10 @@ router.get('/api/shipstation/orders/export-single.csv', requireAuthApi, async (r
         suggestedHS: correct?.hs || bestAnalysis?.hsNew || '',
         
         // Metadata - always show
-        matchMethod: matchMethod,
-        productTypeDetected: productType || ''
+        matchMethod: pair?.method || 'NONE',
+        matchConfidence: pair?.confidence ?? '',
+        productTypeDetected: productType || '',
+        ...(isFirstRow ? dutyColumns(duty) : NO_DUTY)
       });
       
       // After first row, set flag to false
@@ -1038,7 +1329,7 @@ router.get('/api/shipstation/orders/export-single.csv', requireAuthApi, async (r
     });
     
     // Add any remaining unmatched customs entries
-    availableCustomsIndices.forEach(cidx => {
+    match.unmatchedCustoms.forEach(cidx => {
       const c = customs[cidx];
       console.log(`\nUnmatched customs[${cidx}]: "${c.description}"`);
       
@@ -1066,6 +1357,7 @@ router.get('/api/shipstation/orders/export-single.csv', requireAuthApi, async (r
         suggestedHS: '',
         
         matchMethod: 'ORPHANED',
+        matchConfidence: '',
         productTypeDetected: ''
       });
     });
@@ -1076,7 +1368,8 @@ router.get('/api/shipstation/orders/export-single.csv', requireAuthApi, async (r
       'itemIndex', 'itemName', 'itemSku', 'itemQty', 'itemUnitPrice',
       'currentCustomsDesc', 'currentCustomsHS', 'currentCustomsQty', 'currentCustomsValue',
       'suggestedDesc', 'suggestedHS',
-      'matchMethod', 'productTypeDetected'
+      'matchMethod', 'matchConfidence', 'productTypeDetected',
+      ...DUTY_HEADERS
     ];
     
     const out = [csvLine(headers)];
@@ -1117,9 +1410,9 @@ router.get('/api/shipstation/orders/export-bulk.csv', requireAuthApi, async (req
     const since = new Date(Date.now() - days * 864e5).toISOString();
     const statuses = ['awaiting_payment', 'awaiting_shipment', 'on_hold', 'shipped'];
     
-    console.log(`Starting bulk export: ${limit} US orders from last ${days} days`);
+    console.log(`Starting bulk export: ${limit} international orders from last ${days} days`);
     
-    // Collect US orders
+    // Collect international orders
     const orders = [];
     const seen = new Set();
     
@@ -1130,8 +1423,6 @@ router.get('/api/shipstation/orders/export-bulk.csv', requireAuthApi, async (req
       const maxPages = 5;
       
       while (page <= maxPages && orders.length < limit) {
-        await delay(1500); // Rate limit protection
-        
         const list = await shipstation.searchOrders({
           modifyDateStart: since,
           orderStatus: status,
@@ -1148,9 +1439,8 @@ router.get('/api/shipstation/orders/export-bulk.csv', requireAuthApi, async (req
           if (seen.has(o.orderId)) continue;
           seen.add(o.orderId);
           
-          if (!isUS(o)) continue;
+          if (!resolveCustomsProfile(o)) continue;
           
-          await delay(100);
           const full = await shipstation.getOrder(o.orderId);
           orders.push(full);
           console.log(`  Added order ${orders.length}/${limit}: #${full.orderNumber}`);
@@ -1161,102 +1451,26 @@ router.get('/api/shipstation/orders/export-bulk.csv', requireAuthApi, async (req
       }
     }
     
-    console.log(`Processing ${orders.length} US orders for export`);
+    console.log(`Processing ${orders.length} international orders for export`);
     
     // Build CSV rows for all orders
     const allRows = [];
     
     for (const order of orders) {
-      const { canUpdate, analysis } = buildCustomsPatch(order);
+      const { canUpdate, analysis, duty } = buildCustomsPatch(order);
       const items = Array.isArray(order.items) ? order.items : [];
       const customs = Array.isArray(order.internationalOptions?.customsItems) ? order.internationalOptions.customsItems : [];
       
-      const availableCustomsIndices = new Set();
-      customs.forEach((_, idx) => availableCustomsIndices.add(idx));
-      
+      const match = matchItemsToCustoms(items, customs);
       let isFirstRowForOrder = true;
       
       // Process each item in the order
       items.forEach((item, itemIdx) => {
-        const itemType = identifyProductFromTitle(item.name);
-        
-        let bestMatch = null;
-        let bestIdx = -1;
-        let matchMethod = 'NONE';
-        
-        // Find matching customs entry by product type
-        for (const cidx of availableCustomsIndices) {
-          const c = customs[cidx];
-          const customsDesc = String(c.description || '').toLowerCase();
-          const customsHS = getHS(c);
-          
-          let isMatch = false;
-          let matchReason = '';
-          
-          // Product type matching logic
-          if (itemType) {
-            const correctForType = getCorrectHSAndDescription(itemType);
-            
-            if (correctForType && customsHS && normHS(customsHS) === normHS(correctForType.hs)) {
-              isMatch = true;
-              matchReason = `HS_${itemType}`;
-            }
-            else if (
-              (itemType === 'notebook' && customsDesc.includes('notebook')) ||
-              (itemType === 'planner' && customsDesc.includes('planner')) ||
-              (itemType === 'sticker' && customsDesc.includes('sticker')) ||
-              (itemType === 'sticky' && customsDesc.includes('sticky')) ||
-              (itemType === 'insert' && (customsDesc.includes('insert') || customsDesc.includes('refill')))
-            ) {
-              isMatch = true;
-              matchReason = `TYPE_${itemType}`;
-            }
-          }
-          
-          // Category-based fallback
-          if (!isMatch) {
-            const itemLower = String(item.name || '').toLowerCase();
-            const categories = [
-              { keywords: ['notebook', 'journal'], customsTerms: ['notebook', 'journal'] },
-              { keywords: ['planner', 'agenda'], customsTerms: ['planner', 'agenda', 'diary'] },
-              { keywords: ['sticky', 'post-it'], customsTerms: ['sticky', 'notepad'] },
-              { keywords: ['sticker', 'tab'], customsTerms: ['sticker'] },
-              { keywords: ['insert', 'refill'], customsTerms: ['insert', 'refill', 'loose'] }
-            ];
-            
-            for (const cat of categories) {
-              if (cat.keywords.some(k => itemLower.includes(k)) && 
-                  cat.customsTerms.some(t => customsDesc.includes(t))) {
-                isMatch = true;
-                matchReason = `CAT_${cat.keywords[0]}`;
-                break;
-              }
-            }
-          }
-          
-          if (isMatch) {
-            bestMatch = c;
-            bestIdx = cidx;
-            matchMethod = matchReason;
-            break;
-          }
-        }
-        
-        // Fallback if no match
-        if (!bestMatch && availableCustomsIndices.size > 0) {
-          const firstAvailable = Array.from(availableCustomsIndices)[0];
-          bestMatch = customs[firstAvailable];
-          bestIdx = firstAvailable;
-          matchMethod = 'FALLBACK';
-        }
-        
-        if (bestIdx >= 0) {
-          availableCustomsIndices.delete(bestIdx);
-        }
-        
-        const bestAnalysis = bestIdx >= 0 ? analysis?.[bestIdx] : null;
-        const productType = itemType || '';
-        const correct = productType ? getCorrectHSAndDescription(productType) : null;
+        const pair = match.byItem[itemIdx];
+        const bestMatch = pair ? customs[pair.customsIndex] : null;
+        const bestAnalysis = pair ? analysis?.[pair.customsIndex] : null;
+        const productType = identifyProductFromTitle(item.name) || '';
+        const correct = productType ? getCorrectForProfile(resolveCustomsProfile(order), productType) : null;
         
         allRows.push({
           // Order info - only on first row of each order
@@ -1285,15 +1499,17 @@ router.get('/api/shipstation/orders/export-bulk.csv', requireAuthApi, async (req
           suggestedHS: correct?.hs || bestAnalysis?.hsNew || '',
           
           // Metadata
-          matchMethod: matchMethod,
-          productTypeDetected: productType || ''
+          matchMethod: pair?.method || 'NONE',
+          matchConfidence: pair?.confidence ?? '',
+          productTypeDetected: productType || '',
+          ...(isFirstRowForOrder ? dutyColumns(duty) : NO_DUTY)
         });
         
         isFirstRowForOrder = false;
       });
       
       // Add unmatched customs as orphaned rows
-      availableCustomsIndices.forEach(cidx => {
+      match.unmatchedCustoms.forEach(cidx => {
         const c = customs[cidx];
         allRows.push({
           orderId: '', orderNumber: '', orderDate: '', orderStatus: '', shipToCity: '', shipToState: '',
@@ -1309,6 +1525,7 @@ router.get('/api/shipstation/orders/export-bulk.csv', requireAuthApi, async (req
           suggestedDesc: '',
           suggestedHS: '',
           matchMethod: 'ORPHANED',
+          matchConfidence: '',
           productTypeDetected: ''
         });
       });
@@ -1321,7 +1538,8 @@ router.get('/api/shipstation/orders/export-bulk.csv', requireAuthApi, async (req
       'itemIndex', 'itemName', 'itemSku', 'itemQty', 'itemUnitPrice',
       'currentCustomsDesc', 'currentCustomsHS', 'currentCustomsQty', 'currentCustomsValue',
       'suggestedDesc', 'suggestedHS',
-      'matchMethod', 'productTypeDetected'
+      'matchMethod', 'matchConfidence', 'productTypeDetected',
+      ...DUTY_HEADERS
     ];
     
     const out = [csvLine(headers)];
@@ -1356,311 +1574,392 @@ router.get('/api/shipstation/orders/export-bulk.csv', requireAuthApi, async (req
   }
 });
 
-// Export ALL US orders route - CORRECTED VERSION
-router.get('/api/shipstation/orders/export-all.csv', requireAuthApi, async (req, res) => {
-  try {
-    const days = Math.max(1, Math.min(365, Number(req.query.days || 30)));
-    const maxOrders = Math.max(50, Math.min(5000, Number(req.query.limit || 2000)));
-    
-    const since = new Date(Date.now() - days * 864e5).toISOString();
-    const statuses = ['awaiting_payment', 'awaiting_shipment', 'on_hold', 'shipped', 'cancelled'];
-    
-    // Rate limiting: 40 calls per minute = 1 call every 1.5 seconds
-    const API_DELAY = 1600; // milliseconds between API calls
-    
-    console.log(`\n${'='.repeat(70)}`);
-    console.log(`BULK EXPORT: Fetching up to ${maxOrders} US orders from last ${days} days`);
-    console.log(`Rate limit: 40 calls/min (${API_DELAY}ms between calls)`);
-    console.log(`Estimated time: ${Math.round(maxOrders * API_DELAY / 60000)} minutes`);
-    console.log(`${'='.repeat(70)}`);
-    
-    const startTime = Date.now();
-    const orders = [];
-    const seen = new Set();
-    let totalScanned = 0;
-    let apiCalls = 0;
-    
-    // First, collect order IDs from the list endpoints
-    console.log('\nPhase 1: Collecting order IDs...');
-    const orderIdsToFetch = [];
+// Export ALL: CSV rows for one order (items matched to customs lines, then orphaned customs)
+function buildExportAllRows(order) {
+  const allRows = [];
+  const profile = resolveCustomsProfile(order);
+  const { canUpdate, analysis, duty } = buildCustomsPatch(order);
+  const items = Array.isArray(order.items) ? order.items : [];
+  const customs = Array.isArray(order.internationalOptions?.customsItems) ? order.internationalOptions.customsItems : [];
+  
+  const match = matchItemsToCustoms(items, customs);
+  let isFirstRowForOrder = true;
+  
+  // Process items
+  items.forEach((item, itemIdx) => {
+    const pair = match.byItem[itemIdx];
+    const bestMatch = pair ? customs[pair.customsIndex] : null;
+    const bestAnalysis = pair ? analysis?.[pair.customsIndex] : null;
+    const productType = identifyProductFromTitle(item.name) || '';
+    const correct = productType ? getCorrectForProfile(profile, productType) : null;
     
-    for (const status of statuses) {
-      if (orderIdsToFetch.length >= maxOrders) break;
+    allRows.push({
+      orderId: isFirstRowForOrder ? order.orderId : '',
+      orderNumber: isFirstRowForOrder ? order.orderNumber : '',
+      orderDate: isFirstRowForOrder ? (order.orderDate || '').split('T')[0] : '',
+      orderStatus: isFirstRowForOrder ? order.orderStatus : '',
+      shipToCity: isFirstRowForOrder ? (order?.shipTo?.city || '') : '',
+      shipToState: isFirstRowForOrder ? (order?.shipTo?.state || '') : '',
+      shipToCountry: isFirstRowForOrder ? (order?.shipTo?.country || '') : '',
+      customsProfile: isFirstRowForOrder ? (profile?.id || '') : '',
       
-      console.log(`\nScanning ${status} orders...`);
-      let page = 1;
-      const maxPages = 50;
+      itemIndex: itemIdx,
+      itemName: item?.name || '',
+      itemSku: String(item?.sku || '').trim(),
+      itemQty: item?.quantity || 1,
+      itemUnitPrice: item?.unitPrice || '',
       
-      while (page <= maxPages && orderIdsToFetch.length < maxOrders) {
-        await delay(API_DELAY);
-        apiCalls++;
-        
-        if (apiCalls % 20 === 0) {
-          const elapsed = Math.round((Date.now() - startTime) / 1000);
-          console.log(`  [${elapsed}s] API calls: ${apiCalls}`);
-        }
-        
-        const list = await shipstation.searchOrders({
-          modifyDateStart: since,
-          orderStatus: status,
-          sortBy: 'ModifyDate',
-          sortDir: 'DESC',
-          page,
-          pageSize: 200
-        });
-        
-        if (!list.length) break;
-        
-        totalScanned += list.length;
-        console.log(`  Page ${page}: ${list.length} orders`);
-        
-        for (const o of list) {
-          if (orderIdsToFetch.length >= maxOrders) break;
-          if (seen.has(o.orderId)) continue;
-          seen.add(o.orderId);
-          
-          if (isUS(o)) {
-            orderIdsToFetch.push(o.orderId);
-          }
-        }
-        
-        if (list.length < 200) break;
-        page++;
-      }
-    }
-    
-    console.log(`\nPhase 1 complete: Found ${orderIdsToFetch.length} US orders (scanned ${totalScanned} total)`);
-    
-    // Phase 2: Fetch full order details
-    console.log(`\nPhase 2: Fetching full order details...`);
-    console.log(`This will take approximately ${Math.round(orderIdsToFetch.length * API_DELAY / 60000)} minutes`);
-    
-    for (let i = 0; i < orderIdsToFetch.length; i++) {
-      await delay(API_DELAY);
-      apiCalls++;
+      currentCustomsDesc: bestMatch?.description || '',
+      currentCustomsHS: bestMatch ? getHS(bestMatch) : '',
+      currentCustomsQty: bestMatch?.quantity || '',
+      currentCustomsValue: bestMatch?.value || '',
       
-      const orderId = orderIdsToFetch[i];
-      const full = await shipstation.getOrder(orderId);
-      orders.push(full);
+      suggestedDesc: correct?.desc || bestAnalysis?.mapped || '',
+      suggestedHS: correct?.hs || bestAnalysis?.hsNew || '',
       
-      // Progress updates
-      if ((i + 1) % 10 === 0) {
-        const elapsed = Math.round((Date.now() - startTime) / 1000);
-        const pct = Math.round((i + 1) / orderIdsToFetch.length * 100);
-        const remaining = Math.round((orderIdsToFetch.length - i - 1) * API_DELAY / 60000);
-        console.log(`  [${elapsed}s] ${i + 1}/${orderIdsToFetch.length} orders (${pct}%) - ~${remaining} min remaining`);
-      }
-    }
-    
-    const fetchTime = Math.round((Date.now() - startTime) / 1000);
-    console.log(`\nFetching complete in ${fetchTime} seconds (${apiCalls} API calls)`);
-    console.log('Processing orders for CSV export...\n');
+      matchMethod: pair?.method || 'NONE',
+      matchConfidence: pair?.confidence ?? '',
+      productTypeDetected: productType || '',
+      ...(isFirstRowForOrder ? dutyColumns(duty) : NO_DUTY)
+    });
     
-    // Build CSV rows
-    const allRows = [];
+    isFirstRowForOrder = false;
+  });
+  
+  // Orphaned customs
+  match.unmatchedCustoms.forEach(cidx => {
+    const c = customs[cidx];
+    allRows.push({
+      orderId: '', orderNumber: '', orderDate: '', orderStatus: '', 
+      shipToCity: '', shipToState: '', shipToCountry: '', customsProfile: '',
+      itemIndex: '',
+      itemName: '>>> UNMATCHED CUSTOMS <<<',
+      itemSku: c.sku || '',
+      itemQty: '',
+      itemUnitPrice: '',
+      currentCustomsDesc: c.description || '',
+      currentCustomsHS: getHS(c) || '',
+      currentCustomsQty: c.quantity || '',
+      currentCustomsValue: c.value || '',
+      suggestedDesc: '',
+      suggestedHS: '',
+      matchMethod: 'ORPHANED',
+      matchConfidence: '',
+      productTypeDetected: ''
+    });
+  });
+
+  return allRows;
+}
+
+const EXPORT_ALL_HEADERS = [
+  'orderId', 'orderNumber', 'orderDate', 'orderStatus',
+  'shipToCity', 'shipToState', 'shipToCountry', 'customsProfile',
+  'itemIndex', 'itemName', 'itemSku', 'itemQty', 'itemUnitPrice',
+  'currentCustomsDesc', 'currentCustomsHS', 'currentCustomsQty', 'currentCustomsValue',
+  'suggestedDesc', 'suggestedHS',
+  'matchMethod', 'matchConfidence', 'productTypeDetected',
+  ...DUTY_HEADERS
+];
+
+const EXPORT_ALL_STATUSES = ['awaiting_payment', 'awaiting_shipment', 'on_hold', 'shipped', 'cancelled'];
+
+// ShipStation allows 40 calls/min; the client's shared limiter enforces it, this is only for estimates
+const CALLS_PER_MINUTE = 40;
+
+/**
+ * EXPORT ALL JOB. Phase 1 collects international order ids from the list endpoints; phase 2 fetches
+ * each order and appends its rows to a partial CSV in exports/. The checkpoint records the
+ * partial file's length, so a resumed job truncates any rows written after it and carries on.
+ */
+async function runExportAllJob(job) {
+  const { days, maxOrders, since } = job.params;
+  const exportsDir = path.join(__dirname, '../exports');
+  const partialPath = path.join(exportsDir, `.job-${job.id}.csv.partial`);
+  const header = csvLine(EXPORT_ALL_HEADERS) + '\n';
+  // (Re)start the CSV from its header row; fetching begins again from the first order
+  const startPartial = async () => {
+    await fs.mkdir(exportsDir, { recursive: true });
+    await fs.writeFile(partialPath, header);
+    Object.assign(state, { next: 0, bytes: Buffer.byteLength(header), rows: 0 });
+  };
+  const state = job.checkpoint || {
+    phase: 'collect',
+    statusIdx: 0,
+    page: 1,
+    seen: [],
+    orderIds: [],
+    totalScanned: 0,
+    apiCalls: 0,
+    next: 0,
+    bytes: 0,
+    rows: 0,
+    startedAt: Date.now()
+  };
+  
+  console.log(`\n${'='.repeat(70)}`);
+  console.log(`BULK EXPORT (job ${job.id}): Fetching up to ${maxOrders} international orders from last ${days} days`);
+  console.log(`${'='.repeat(70)}`);
+  
+  // Phase 1: collect order IDs from the list endpoints
+  if (state.phase === 'collect') {
+    console.log('\nPhase 1: Collecting order IDs...');
+    const seen = new Set(state.seen);
+    const maxPages = 50;
     
-    for (const order of orders) {
-      const { canUpdate, analysis } = buildCustomsPatch(order);
-      const items = Array.isArray(order.items) ? order.items : [];
-      const customs = Array.isArray(order.internationalOptions?.customsItems) ? order.internationalOptions.customsItems : [];
+    while (state.statusIdx < EXPORT_ALL_STATUSES.length && state.orderIds.length < maxOrders) {
+      const status = EXPORT_ALL_STATUSES[state.statusIdx];
+      if (state.page > maxPages) { state.statusIdx++; state.page = 1; continue; }
+      job.throwIfCancelled();
       
-      const availableCustomsIndices = new Set();
-      customs.forEach((_, idx) => availableCustomsIndices.add(idx));
+      state.apiCalls++;
       
-      let isFirstRowForOrder = true;
+      const list = await shipstation.searchOrders({
+        modifyDateStart: since,
+        orderStatus: status,
+        sortBy: 'ModifyDate',
+        sortDir: 'DESC',
+        page: state.page,
+        pageSize: 200
+      });
       
-      // Process items
-      items.forEach((item, itemIdx) => {
-        const itemType = identifyProductFromTitle(item.name);
-        
-        let bestMatch = null;
-        let bestIdx = -1;
-        let matchMethod = 'NONE';
-        
-        // Match customs by product type
-        for (const cidx of availableCustomsIndices) {
-          const c = customs[cidx];
-          const customsDesc = String(c.description || '').toLowerCase();
-          const customsHS = getHS(c);
-          
-          let isMatch = false;
-          let matchReason = '';
-          
-          if (itemType) {
-            const correctForType = getCorrectHSAndDescription(itemType);
-            
-            if (correctForType && customsHS && normHS(customsHS) === normHS(correctForType.hs)) {
-              isMatch = true;
-              matchReason = `HS_${itemType}`;
-            }
-            else if (
-              (itemType === 'notebook' && customsDesc.includes('notebook')) ||
-              (itemType === 'planner' && customsDesc.includes('planner')) ||
-              (itemType === 'sticker' && customsDesc.includes('sticker')) ||
-              (itemType === 'sticky' && customsDesc.includes('sticky')) ||
-              (itemType === 'insert' && (customsDesc.includes('insert') || customsDesc.includes('refill'))) ||
-              (itemType === 'notepad' && customsDesc.includes('notepad'))
-            ) {
-              isMatch = true;
-              matchReason = `TYPE_${itemType}`;
-            }
-          }
-          
-          if (!isMatch) {
-            const itemLower = String(item.name || '').toLowerCase();
-            const rules = [
-              { item: ['notebook', 'journal'], customs: ['notebook', 'journal'] },
-              { item: ['planner', 'agenda'], customs: ['planner', 'agenda', 'diary'] },
-              { item: ['sticky'], customs: ['sticky', 'notepad'] },
-              { item: ['sticker', 'tab'], customs: ['sticker'] },
-              { item: ['insert', 'refill'], customs: ['insert', 'refill', 'loose'] }
-            ];
-            
-            for (const rule of rules) {
-              if (rule.item.some(k => itemLower.includes(k)) && 
-                  rule.customs.some(t => customsDesc.includes(t))) {
-                isMatch = true;
-                matchReason = `KEY_${rule.item[0]}`;
-                break;
-              }
-            }
-          }
-          
-          if (isMatch) {
-            bestMatch = c;
-            bestIdx = cidx;
-            matchMethod = matchReason;
-            break;
-          }
-        }
-        
-        if (!bestMatch && availableCustomsIndices.size > 0) {
-          const firstAvailable = Array.from(availableCustomsIndices)[0];
-          bestMatch = customs[firstAvailable];
-          bestIdx = firstAvailable;
-          matchMethod = 'FALLBACK';
-        }
+      state.totalScanned += list.length;
+      console.log(`  ${status} page ${state.page}: ${list.length} orders`);
+      
+      for (const o of list) {
+        if (state.orderIds.length >= maxOrders) break;
+        if (seen.has(o.orderId)) continue;
+        seen.add(o.orderId);
         
-        if (bestIdx >= 0) {
-          availableCustomsIndices.delete(bestIdx);
+        if (resolveCustomsProfile(o)) {
+          state.orderIds.push(o.orderId);
         }
-        
-        const bestAnalysis = bestIdx >= 0 ? analysis?.[bestIdx] : null;
-        const productType = itemType || '';
-        const correct = productType ? getCorrectHSAndDescription(productType) : null;
-        
-        allRows.push({
-          orderId: isFirstRowForOrder ? order.orderId : '',
-          orderNumber: isFirstRowForOrder ? order.orderNumber : '',
-          orderDate: isFirstRowForOrder ? (order.orderDate || '').split('T')[0] : '',
-          orderStatus: isFirstRowForOrder ? order.orderStatus : '',
-          shipToCity: isFirstRowForOrder ? (order?.shipTo?.city || '') : '',
-          shipToState: isFirstRowForOrder ? (order?.shipTo?.state || '') : '',
-          
-          itemIndex: itemIdx,
-          itemName: item?.name || '',
-          itemSku: String(item?.sku || '').trim(),
-          itemQty: item?.quantity || 1,
-          itemUnitPrice: item?.unitPrice || '',
-          
-          currentCustomsDesc: bestMatch?.description || '',
-          currentCustomsHS: bestMatch ? getHS(bestMatch) : '',
-          currentCustomsQty: bestMatch?.quantity || '',
-          currentCustomsValue: bestMatch?.value || '',
-          
-          suggestedDesc: correct?.desc || bestAnalysis?.mapped || '',
-          suggestedHS: correct?.hs || bestAnalysis?.hsNew || '',
-          
-          matchMethod: matchMethod,
-          productTypeDetected: productType || ''
-        });
-        
-        isFirstRowForOrder = false;
-      });
+      }
       
-      // Orphaned customs
-      availableCustomsIndices.forEach(cidx => {
-        const c = customs[cidx];
-        allRows.push({
-          orderId: '', orderNumber: '', orderDate: '', orderStatus: '', 
-          shipToCity: '', shipToState: '',
-          itemIndex: '',
-          itemName: '>>> UNMATCHED CUSTOMS <<<',
-          itemSku: c.sku || '',
-          itemQty: '',
-          itemUnitPrice: '',
-          currentCustomsDesc: c.description || '',
-          currentCustomsHS: getHS(c) || '',
-          currentCustomsQty: c.quantity || '',
-          currentCustomsValue: c.value || '',
-          suggestedDesc: '',
-          suggestedHS: '',
-          matchMethod: 'ORPHANED',
-          productTypeDetected: ''
-        });
-      });
+      if (list.length < 200) { state.statusIdx++; state.page = 1; }
+      else state.page++;
+      
+      state.seen = Array.from(seen);
+      await job.saveCheckpoint(state);
+      await job.progress({ message: `Collecting order ids: ${state.orderIds.length} international orders found (${state.totalScanned} scanned)` });
     }
     
-    // Generate CSV
-    const headers = [
-      'orderId', 'orderNumber', 'orderDate', 'orderStatus',
-      'shipToCity', 'shipToState',
-      'itemIndex', 'itemName', 'itemSku', 'itemQty', 'itemUnitPrice',
-      'currentCustomsDesc', 'currentCustomsHS', 'currentCustomsQty', 'currentCustomsValue',
-      'suggestedDesc', 'suggestedHS',
-      'matchMethod', 'productTypeDetected'
-    ];
-    
-    const out = [csvLine(headers)];
-    allRows.forEach(r => out.push(csvLine(headers.map(h => r[h]))));
-    
-    const totalTime = Math.round((Date.now() - startTime) / 60000);
-    const stamp = new Date().toISOString().replace(/[:.]/g,'-');
+    console.log(`\nPhase 1 complete: Found ${state.orderIds.length} international orders (scanned ${state.totalScanned} total)`);
     
-    // Create the CSV string
-    const csv = out.join('\n');
+    await startPartial();
+    Object.assign(state, { phase: 'fetch', seen: [] });
+    await job.saveCheckpoint(state);
+  }
+  
+  // Phase 2: fetch full order details, appending rows as we go.
+  // Drop anything appended after the last checkpoint; if the partial file has gone missing (or lost rows
+  // it had at that checkpoint), start it over rather than resume into a broken CSV.
+  const partialSize = await fs.stat(partialPath).then(st => st.size, () => -1);
+  if (partialSize < state.bytes) {
+    console.log(`Partial export file ${partialSize < 0 ? 'missing' : 'incomplete'}; restarting from the first order`);
+    await startPartial();
+    await job.saveCheckpoint(state);
+  } else {
+    await fs.truncate(partialPath, state.bytes);
+  }
+  const total = state.orderIds.length;
+  console.log(`\nPhase 2: Fetching full order details (${state.next}/${total} done)...`);
+  console.log(`This will take approximately ${Math.round((total - state.next) / CALLS_PER_MINUTE)} minutes`);
+  await job.progress({ done: state.next, total });
+  
+  while (state.next < total) {
+    job.throwIfCancelled();
+    state.apiCalls++;
     
-    // Save backup copy locally BEFORE sending response
-    try {
-      const exportsDir = path.join(__dirname, '../exports');
-      await fs.mkdir(exportsDir, { recursive: true });
-      const filename = `shipstation_ALL_${orders.length}_orders_${stamp}.csv`;
-      const filepath = path.join(exportsDir, filename);
-      await fs.writeFile(filepath, csv);
-      console.log(`✅ CSV saved locally: ${filepath}`);
-      console.log(`   To download: cat ${filepath} > ~/Desktop/${filename}`);
-    } catch (saveErr) {
-      console.error('Failed to save backup:', saveErr);
-      // Continue even if save fails - don't block the download
-    }
+    const full = await shipstation.getOrder(state.orderIds[state.next]);
+    const rows = buildExportAllRows(full);
+    const chunk = rows.map(r => csvLine(EXPORT_ALL_HEADERS.map(h => r[h])) + '\n').join('');
+    await fs.appendFile(partialPath, chunk);
     
-    // Send the response ONCE
-    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
-    res.setHeader('Content-Disposition', `attachment; filename="shipstation_ALL_${orders.length}_orders_${stamp}.csv"`);
-    res.send(csv);
+    state.next++;
+    state.rows += rows.length;
+    state.bytes += Buffer.byteLength(chunk);
+    await job.saveCheckpoint(state);
     
-    console.log(`\n${'='.repeat(70)}`);
-    console.log(`EXPORT COMPLETE!`);
-    console.log(`- ${orders.length} orders exported`);
-    console.log(`- ${allRows.length} total CSV rows`);
-    console.log(`- ${apiCalls} API calls made`);
-    console.log(`- Total time: ${totalTime} minutes`);
-    console.log(`${'='.repeat(70)}\n`);
+    const remaining = Math.round((total - state.next) / CALLS_PER_MINUTE);
+    await job.progress({ done: state.next, message: `${state.next}/${total} orders fetched - ~${remaining} min remaining` });
+  }
+  
+  const stamp = new Date().toISOString().replace(/[:.]/g,'-');
+  const filename = `shipstation_ALL_${total}_orders_${stamp}.csv`;
+  await fs.rename(partialPath, path.join(exportsDir, filename));
+  
+  const totalTime = Math.round((Date.now() - state.startedAt) / 60000);
+  console.log(`\n${'='.repeat(70)}`);
+  console.log(`EXPORT COMPLETE!`);
+  console.log(`- ${total} orders exported`);
+  console.log(`- ${state.rows} total CSV rows`);
+  console.log(`- ${state.apiCalls} API calls made`);
+  console.log(`- Total time: ${totalTime} minutes`);
+  console.log(`- Saved: ${path.join(exportsDir, filename)}`);
+  console.log(`${'='.repeat(70)}\n`);
+  
+  return {
+    file: filename,
+    message: `Exported ${total} orders (${state.rows} rows)`,
+    result: { orders: total, rows: state.rows, apiCalls: state.apiCalls, file: filename }
+  };
+}
+
+// Export ALL international orders route - enqueues the export; download via /api/jobs/:id/result when done
+router.get('/api/shipstation/orders/export-all.csv', requireAuthApi, async (req, res) => {
+  try {
+    const days = Math.max(1, Math.min(365, Number(req.query.days || 30)));
+    const maxOrders = Math.max(50, Math.min(5000, Number(req.query.limit || 2000)));
+    const since = new Date(Date.now() - days * 864e5).toISOString();
     
+    const job = await enqueueJob('shipstation-export-all', { days, maxOrders, since }, { req });
+    res.status(202).json({ jobId: job.id, job });
   } catch (err) {
-    const status = err.response?.status || err.status || 500;
-    const msg = err.response?.data?.message || err.response?.data || err.message;
-    console.error('Export error:', msg);
-    
-    if (status === 429) {
-      console.error('Rate limit hit! Consider increasing delays.');
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+registerJobType('shipstation-scan', runScanJob);
+registerJobType('shipstation-bulk-update', runBulkUpdateJob, { permission: params => (params.dryRun ? null : 'orders:write') });
+registerJobType('shipstation-export-all', runExportAllJob);
+registerJobType('shipstation-webhook', runWebhookJob, { priority: true, permission: 'orders:write' }); // new orders shouldn't wait behind a scan
+registerJobType('shipstation-review-apply', runReviewApplyJob, { permission: 'orders:write' });
+registerJobType('shipstation-rollback', runRollbackJob, { permission: 'orders:write' });
+
+// SKU catalog used by fillMissingSkus: counts + last sync, and a manual resync
+router.get('/api/shipstation/sku-catalog', requireAuthApi, async (req, res) => {
+  try {
+    res.json(await getSkuCatalogStatus());
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+router.post('/api/shipstation/sku-catalog/sync', requirePermissionApi('cache:refresh'), async (req, res) => {
+  try {
+    res.json(await syncSkuCatalog({ shipstation, shopify }));
+  } catch (err) {
+    const { status, message } = formatShipStationError(err);
+    res.status(status || 500).json({ error: message });
+  }
+});
+
+// Operator-confirmed name -> SKU aliases (checked before the catalog and fuzzy matching)
+router.get('/api/shipstation/sku-aliases', requireAuthApi, async (req, res) => {
+  try {
+    res.json({ aliases: await listSkuAliases() });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Confirm or correct a proposed SKU: { name, sku }
+router.post('/api/shipstation/sku-aliases', requireOrderWrite, async (req, res) => {
+  try {
+    res.json(await saveSkuAlias(req.body || {}, { req }));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+router.delete('/api/shipstation/sku-aliases/:id', requireOrderWrite, async (req, res) => {
+  try {
+    const ok = await deleteSkuAlias(req.params.id);
+    if (!ok) return res.status(404).json({ error: 'Alias not found' });
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Audit log of order writes: ?orderNumber= &from= &to= (YYYY-MM-DD or ISO) &batchId= &limit=
+router.get('/api/shipstation/audit', requireAuthApi, async (req, res) => {
+  try {
+    const { orderNumber, orderId, batchId, from, to, limit } = req.query;
+    const entries = await searchOrderAudit({ orderNumber, orderId, batchId, from, to, limit });
+    res.json({ count: entries.length, entries });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+async function rollbackEntry(entry, { req, batchId, force }) {
+  try {
+    return await rollbackWrite(entry, { req, batchId, force });
+  } catch (e) {
+    const { status, message } = formatShipStationError(e);
+    return { auditId: entry.id, orderId: entry.orderId, orderNumber: entry.orderNumber, ok: false, status, error: message };
+  }
+}
+
+// ROLLBACK JOB: undo every successful write of a batch, one order at a time (checkpointed)
+async function runRollbackJob(job) {
+  const { batchId, rollbackBatchId, force } = job.params;
+  const state = job.checkpoint || {
+    auditIds: (await getAuditBatch(batchId)).filter(e => e.ok).map(e => e.id),
+    next: 0,
+    results: []
+  };
+  await job.progress({ total: state.auditIds.length });
+
+  while (state.next < state.auditIds.length) {
+    job.throwIfCancelled();
+    const entry = await getOrderAuditEntry(state.auditIds[state.next]);
+    const result = entry
+      ? await rollbackEntry(entry, { req: job.req, batchId: rollbackBatchId, force })
+      : { auditId: state.auditIds[state.next], ok: false, error: 'Audit entry not found' };
+    state.results.push(result);
+    state.next++;
+
+    await job.saveCheckpoint(state);
+    await job.progress({
+      done: state.next,
+      failed: state.results.filter(r => !r.ok).length,
+      message: `#${result.orderNumber || result.orderId || result.auditId}: ${result.ok ? 'restored' : result.error}`
+    });
+  }
+
+  const restored = state.results.filter(r => r.ok).length;
+  const failed = state.results.length - restored;
+  return {
+    message: `Rolled back ${restored} orders, ${failed} failed`,
+    result: { batchId: rollbackBatchId, restored, failed, results: state.results }
+  };
+}
+
+// Roll back one audited write ({ auditId }) right away, or every write in a bulk batch ({ batchId }) as a
+// background job (poll /api/jobs/:id like a bulk update)
+router.post('/api/shipstation/rollback', requireOrderWrite, async (req, res) => {
+  try {
+    const { auditId, batchId, force } = req.body || {};
+    const rollbackBatchId = crypto.randomUUID();
+
+    if (auditId) {
+      const entry = await getOrderAuditEntry(Number(auditId));
+      if (!entry) return res.status(404).json({ error: `Audit entry ${auditId} not found` });
+      const result = await rollbackEntry(entry, { req, batchId: rollbackBatchId, force: force === true });
+      return res.json({
+        batchId: rollbackBatchId,
+        restored: result.ok ? 1 : 0,
+        failed: result.ok ? 0 : 1,
+        results: [result]
+      });
     }
-    
-    res.status(status).json({ error: msg });
+    if (!batchId) return res.status(400).json({ error: 'Provide auditId or batchId' });
+
+    if (!(await getAuditBatch(batchId)).some(e => e.ok)) {
+      return res.status(404).json({ error: `No successful writes found for batch ${batchId}` });
+    }
+    const params = { batchId: String(batchId), rollbackBatchId, force: force === true };
+    const job = await enqueueJob('shipstation-rollback', params, { req });
+    res.status(202).json({ jobId: job.id, batchId: rollbackBatchId, job });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
-router.post('/api/shipstation/orders/:orderId/update', requireAuthApi, handleOrderUpdate);
-router.get('/api/shipstation/orders/:orderId/update', requireAuthApi, handleOrderUpdate);
+router.post('/api/shipstation/orders/:orderId/update', requireOrderWriteUnlessDryRun, handleOrderUpdate);
+router.get('/api/shipstation/orders/:orderId/update', requireOrderWriteUnlessDryRun, handleOrderUpdate);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,84 @@
+// User administration: list, create, disable and reset accounts; review failed sign-ins (admins only)
+
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const path = require('path');
+const { requirePermission, requirePermissionApi } = require('../utils/auth-middleware');
+const { listUsers, createUser, updateUser, setUserPassword } = require('../utils/users');
+const { listFailedLoginAttempts, listLockouts, clearLockout } = require('../utils/login-throttle');
+
+const requireUserAdmin = requirePermissionApi('users:manage');
+
+const usersHTML = fs.readFileSync(path.join(__dirname, '../views/users.html'), 'utf8');
+
+// Users admin page
+router.get('/users', requirePermission('users:manage'), (req, res) => {
+  res.send(usersHTML);
+});
+
+router.get('/api/users', requireUserAdmin, async (req, res) => {
+  try {
+    res.json({ users: await listUsers() });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+router.post('/api/users', requireUserAdmin, async (req, res) => {
+  try {
+    const { email, name, password, role } = req.body || {};
+    const user = await createUser({ email, name, password, role }, { req });
+    res.status(201).json({ user });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Change name / role / disabled
+router.put('/api/users/:id', requireUserAdmin, async (req, res) => {
+  try {
+    const { name, role, disabled } = req.body || {};
+    const user = await updateUser(Number(req.params.id), { name, role, disabled });
+    if (!user) return res.status(404).json({ error: `User ${req.params.id} not found` });
+    res.json({ user });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Set a new password (admins reset others' passwords here too)
+router.post('/api/users/:id/password', requireUserAdmin, async (req, res) => {
+  try {
+    const ok = await setUserPassword(Number(req.params.id), req.body?.password);
+    if (!ok) return res.status(404).json({ error: `User ${req.params.id} not found` });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Recent failed sign-ins and the IPs / emails locked out right now: ?limit=
+router.get('/api/login-attempts', requireUserAdmin, async (req, res) => {
+  try {
+    const [attempts, lockouts] = await Promise.all([listFailedLoginAttempts({ limit: req.query.limit }), listLockouts()]);
+    res.json({ attempts, lockouts });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Lift a lockout early; key is 'ip:<address>' or 'email:<address>' as listed above
+router.post('/api/login-lockouts/clear', requireUserAdmin, async (req, res) => {
+  try {
+    const { key } = req.body || {};
+    if (!key) return res.status(400).json({ error: 'Provide key' });
+    const ok = await clearLockout(key);
+    if (!ok) return res.status(404).json({ error: `No lockout for ${key}` });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -4,7 +4,8 @@ const router = express.Router();
 const fs = require('fs');
 const path = require('path');
 const { ShopifyAPI } = require('../shopify-api.js');
-const { requireAuth, requireAuthApi } = require('../utils/auth-middleware');
+const { requireAuth, requireAuthApi, requirePermissionApi } = require('../utils/auth-middleware');
+const { can } = require('../utils/permissions');
 const { initDB } = require('../utils/database');
 const { getVIPCustomersFast, saveVIPCustomers, getSyncStatus } = require('../utils/vip-cache');
 
@@ -28,6 +29,9 @@ router.get('/api/vip-customers', requireAuthApi, async (req, res) => {
     const minSpent = Number(req.query.minSpent || 1000);
     const sortBy = req.query.sortBy || 'spent_desc';
     const forceRefresh = req.query.refresh === 'true';
+    if (forceRefresh && !can(req.user, 'cache:refresh')) {
+      return res.status(403).json({ error: `Your role (${req.user.role}) does not allow refreshing the cache` });
+    }
     
     let vipCustomers;
     let fromCache = false;
@@ -181,7 +185,7 @@ router.get('/api/vip-customers/cache-status', requireAuthApi, async (req, res) =
 });
 
 // API: Clear cache (force refresh)
-router.post('/api/vip-customers/clear-cache', requireAuthApi, async (req, res) => {
+router.post('/api/vip-customers/clear-cache', requirePermissionApi('cache:refresh'), async (req, res) => {
   try {
     // Fetch fresh data and save to cache
     console.log('[VIP Customers] Manual cache refresh requested');
@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+// scripts/benchmark-fuzzy.js - Compare fuzzy name scorers on labelled item name -> SKU pairs
+//
+//   npm run benchmark:fuzzy -- [export.csv ...] [--scorers=blend,trigram] [--candidates=catalog|fixture]
+//                              [--fold-accents|--no-fold-accents] [--json]
+//
+// The fixture is every distinct itemName/itemSku pair in the given export CSVs (default: exports/*.csv).
+// Each name is scored against the candidates and the best one is taken as the prediction:
+//   catalog - the synced SKU catalog (default when it has entries)
+//   fixture - the other fixture names (leave-one-out)
+// Names with an exact normalized match among the candidates are left out: SKU resolution settles those
+// before any fuzzy scoring. At each threshold, precision = correct / predicted and recall = correct /
+// names whose SKU is among the candidates at all. Uses the stored dictionary and accent-folding setting.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { getDB } = require('../utils/database');
+const { parseCSV } = require('../utils/shipstation-helpers');
+const { _norm, _scoreNameMatch, setFuzzyScorer, getFuzzyScorer } = require('../utils/fuzzy-matching');
+const { SCORER_NAMES } = require('../utils/fuzzy-scorers');
+const { refreshFuzzyDictionary, loadFuzzyScorer } = require('../utils/fuzzy-dictionary');
+
+const THRESHOLDS = Array.from({ length: 14 }, (_, i) => Number((0.30 + i * 0.05).toFixed(2)));
+
+function parseArgs(argv) {
+  const opts = { files: [], scorers: SCORER_NAMES, candidates: null, foldAccents: null, json: false };
+  for (const arg of argv) {
+    if (arg === '--json') opts.json = true;
+    else if (arg === '--fold-accents') opts.foldAccents = true;
+    else if (arg === '--no-fold-accents') opts.foldAccents = false;
+    else if (arg.startsWith('--scorers=')) opts.scorers = arg.slice(10).split(',').map(s => s.trim()).filter(Boolean);
+    else if (arg.startsWith('--candidates=')) opts.candidates = arg.slice(13);
+    else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+    else opts.files.push(arg);
+  }
+  const unknown = opts.scorers.filter(s => !SCORER_NAMES.includes(s));
+  if (unknown.length) throw new Error(`Unknown scorer(s) ${unknown.join(', ')}; choose from ${SCORER_NAMES.join(', ')}`);
+  if (opts.candidates && !['catalog', 'fixture'].includes(opts.candidates)) throw new Error('--candidates must be catalog or fixture');
+  return opts;
+}
+
+function defaultFiles() {
+  const dir = path.join(__dirname, '../exports');
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter(f => f.endsWith('.csv')).map(f => path.join(dir, f));
+}
+
+// Distinct { name, sku } pairs from export CSVs that carry itemName / itemSku columns
+function loadFixture(files) {
+  const pairs = new Map();
+  for (const file of files) {
+    for (const row of parseCSV(fs.readFileSync(file, 'utf8'))) {
+      const name = String(row.itemName || '').trim();
+      const sku = String(row.itemSku || '').trim();
+      if (name && sku) pairs.set(`${name}\u0000${sku}`, { name, sku });
+    }
+  }
+  return [...pairs.values()];
+}
+
+async function loadCatalogCandidates() {
+  const db = await getDB();
+  const rows = await db.all('SELECT name, sku FROM sku_catalog WHERE name IS NOT NULL AND name != ""');
+  return rows.map(r => ({ name: r.name, sku: r.sku }));
+}
+
+function evaluate(scorer, fixture, candidates, { leaveOneOut }) {
+  const prepared = candidates.map(c => ({ ...c, key: _norm(c.name) }));
+  const skus = new Set(prepared.map(c => c.sku));
+  const results = [];
+  let skippedExact = 0;
+
+  for (const { name, sku } of fixture) {
+    const key = _norm(name);
+    // Leave-one-out drops the name's own entries; otherwise an exact hit never reaches the scorer
+    const pool = leaveOneOut ? prepared.filter(c => c.key !== key) : prepared;
+    if (!leaveOneOut && pool.some(c => c.key === key)) { skippedExact++; continue; }
+
+    let best = null;
+    for (const c of pool) {
+      const { score } = _scoreNameMatch(name, c.name, { scorer });
+      if (!best || score > best.score) best = { score, sku: c.sku };
+    }
+    const answerable = leaveOneOut ? pool.some(c => c.sku === sku) : skus.has(sku);
+    results.push({ score: best?.score ?? 0, correct: !!best && best.sku === sku, answerable });
+  }
+
+  const answerable = results.filter(r => r.answerable).length;
+  const rows = THRESHOLDS.map(threshold => {
+    const predicted = results.filter(r => r.score >= threshold);
+    const correct = predicted.filter(r => r.correct).length;
+    const precision = predicted.length ? correct / predicted.length : 1;
+    const recall = answerable ? correct / answerable : 0;
+    const f1 = precision + recall ? (2 * precision * recall) / (precision + recall) : 0;
+    return { threshold, predicted: predicted.length, correct, precision, recall, f1 };
+  });
+  const best = rows.reduce((a, b) => (b.f1 > a.f1 ? b : a), rows[0]);
+  return { scorer, evaluated: results.length, answerable, skippedExact, thresholds: rows, best };
+}
+
+const pct = n => `${(n * 100).toFixed(1)}%`.padStart(7);
+
+function printReport(report) {
+  console.log(`\nScorer: ${report.scorer}  (${report.evaluated} names, ${report.answerable} answerable, ${report.skippedExact} exact skipped)`);
+  console.log('  threshold  predicted  correct  precision   recall       F1');
+  for (const r of report.thresholds) {
+    console.log(`  ${r.threshold.toFixed(2).padStart(9)}  ${String(r.predicted).padStart(9)}  ${String(r.correct).padStart(7)}  ${pct(r.precision).padStart(9)}  ${pct(r.recall)}  ${pct(r.f1)}`);
+  }
+  console.log(`  best F1 ${pct(report.best.f1).trim()} at ${report.best.threshold.toFixed(2)}`);
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const files = opts.files.length ? opts.files : defaultFiles();
+  if (!files.length) throw new Error('No export CSVs found; pass one or more paths');
+
+  await loadFuzzyScorer();
+  await refreshFuzzyDictionary();
+  if (opts.foldAccents != null) setFuzzyScorer({ ...getFuzzyScorer(), foldAccents: opts.foldAccents });
+
+  const fixture = loadFixture(files);
+  if (!fixture.length) throw new Error('No itemName/itemSku pairs found in the given CSVs');
+
+  const catalog = opts.candidates === 'fixture' ? [] : await loadCatalogCandidates();
+  if (opts.candidates === 'catalog' && !catalog.length) throw new Error('SKU catalog is empty; sync it first or use --candidates=fixture');
+  const leaveOneOut = !catalog.length;
+  const candidates = leaveOneOut ? fixture : catalog;
+
+  const reports = opts.scorers.map(scorer => evaluate(scorer, fixture, candidates, { leaveOneOut }));
+  const summary = {
+    files: files.map(f => path.basename(f)),
+    pairs: fixture.length,
+    candidates: leaveOneOut ? 'fixture' : 'catalog',
+    candidateCount: candidates.length,
+    foldAccents: getFuzzyScorer().foldAccents
+  };
+
+  if (opts.json) {
+    console.log(JSON.stringify({ ...summary, reports }, null, 2));
+  } else {
+    console.log(`${summary.pairs} labelled pairs from ${summary.files.join(', ')}`);
+    console.log(`Candidates: ${summary.candidates} (${summary.candidateCount})  accent folding: ${summary.foldAccents ? 'on' : 'off'}`);
+    reports.forEach(printReport);
+  }
+  await (await getDB()).close();
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
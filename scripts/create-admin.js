@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+// scripts/create-admin.js - Create the first admin account (or restore admin access) from the shell
+//
+//   npm run create-admin -- <email> [name]
+//
+// The password comes from ADMIN_PASSWORD, otherwise it is prompted for (not echoed). An existing user
+// with that email gets the new password and admin rights, and is re-enabled.
+require('dotenv').config();
+const readline = require('readline');
+const { getDB } = require('../utils/database');
+const { findUserByEmail, createUser, updateUser, setUserPassword } = require('../utils/users');
+
+function promptHidden(question) {
+  if (!process.stdin.isTTY) throw new Error('No terminal to prompt on; set ADMIN_PASSWORD');
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+  return new Promise(resolve => {
+    rl.question(question, answer => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+    // Echo nothing after the question itself
+    rl._writeToOutput = () => {};
+  });
+}
+
+async function main() {
+  const [email, ...nameParts] = process.argv.slice(2);
+  if (!email) throw new Error('Usage: npm run create-admin -- <email> [name]');
+
+  let password = process.env.ADMIN_PASSWORD;
+  if (!password) {
+    password = await promptHidden(`Password for ${email}: `);
+    if (password !== await promptHidden('Repeat password: ')) throw new Error('Passwords do not match');
+  }
+
+  const name = nameParts.join(' ');
+  const existing = await findUserByEmail(email);
+  if (existing) {
+    await setUserPassword(existing.id, password);
+    await updateUser(existing.id, { role: 'admin', disabled: false, ...(name && { name }) });
+    console.log(`Updated ${existing.email} (#${existing.id}): new password, admin, enabled`);
+  } else {
+    const user = await createUser({ email, name, password, role: 'admin' });
+    console.log(`Created admin ${user.email} (#${user.id})`);
+  }
+  await (await getDB()).close();
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+// scripts/fake-shipstation.js - Minimal in-memory ShipStation API for trying the ORDER_NOTIFY webhook locally
+//
+//   node scripts/fake-shipstation.js [orders.json]        (FAKE_SHIPSTATION_PORT, default 8090)
+//   SHIPSTATION_BASE_URL=http://localhost:8090 SHIPSTATION_WEBHOOK_SECRET=dev npm start
+//
+// Serves GET /orders (importBatch, orderNumber, orderStatus, page, pageSize), GET /orders/:id,
+// POST /orders/createorder and an empty GET /products. Writes are kept in memory and logged.
+// orders.json is an array of ShipStation orders; each may carry an "importBatch" to group it.
+// Without one, a small sample batch "demo" is served (US open, GB open, US shipped, domestic).
+const fs = require('fs');
+const express = require('express');
+
+const PORT = Number(process.env.FAKE_SHIPSTATION_PORT || 8090);
+
+function sampleOrder(orderId, country, orderStatus = 'awaiting_shipment') {
+  return {
+    orderId, orderNumber: String(9000 + orderId), orderKey: `fake-${orderId}`, importBatch: 'demo',
+    orderDate: new Date().toISOString(), modifyDate: new Date().toISOString(), orderStatus,
+    amountPaid: 45, shippingAmount: 5, taxAmount: 0,
+    shipTo: { name: 'Test Customer', street1: '1 Main St', city: 'Austin', state: 'TX', postalCode: '78701', country },
+    billTo: { name: 'Test Customer' },
+    weight: { value: 12, units: 'ounces' }, advancedOptions: { storeId: 1 }, tagIds: [],
+    items: [
+      { orderItemId: orderId * 10 + 1, lineItemKey: 'l1', sku: '', name: '2026 Weekly Planner (A5) - Juniper', quantity: 1, unitPrice: 30 },
+      { orderItemId: orderId * 10 + 2, lineItemKey: 'l2', sku: 'STK-FIN', name: 'Finance Stickers', quantity: 1, unitPrice: 10 }
+    ],
+    internationalOptions: {
+      contents: 'merchandise', nonDelivery: 'return_to_sender',
+      customsItems: [
+        { customsItemId: 1, description: 'Notebook', quantity: 1, value: 30, harmonizedTariffCode: '4820102060', countryOfOrigin: 'CA' },
+        { customsItemId: 2, description: 'Stickers', quantity: 1, value: 10, harmonizedTariffCode: '4911998000', countryOfOrigin: 'CA' }
+      ]
+    }
+  };
+}
+
+function loadOrders(file) {
+  if (file) return JSON.parse(fs.readFileSync(file, 'utf8'));
+  return [sampleOrder(1, 'US'), sampleOrder(2, 'GB'), sampleOrder(3, 'US', 'shipped'), sampleOrder(4, 'CA')];
+}
+
+const orders = new Map(loadOrders(process.argv[2]).map(o => [Number(o.orderId), o]));
+const app = express();
+app.use(express.json({ limit: '5mb' }));
+app.use((req, res, next) => {
+  console.log(`[fake-shipstation] ${req.method} ${req.originalUrl}`);
+  next();
+});
+
+app.get('/orders', (req, res) => {
+  const { importBatch, orderNumber, orderStatus } = req.query;
+  const page = Math.max(1, Number(req.query.page) || 1);
+  const pageSize = Math.max(1, Number(req.query.pageSize) || 100);
+  const list = [...orders.values()].filter(o =>
+    (!importBatch || o.importBatch === importBatch) &&
+    (!orderNumber || o.orderNumber === String(orderNumber)) &&
+    (!orderStatus || o.orderStatus === orderStatus));
+  res.json({
+    orders: list.slice((page - 1) * pageSize, page * pageSize),
+    total: list.length,
+    page,
+    pages: Math.max(1, Math.ceil(list.length / pageSize))
+  });
+});
+
+app.get('/orders/:id', (req, res) => {
+  const order = orders.get(Number(req.params.id));
+  if (!order) return res.status(404).json({ Message: 'Order not found' });
+  res.json(order);
+});
+
+app.post('/orders/createorder', (req, res) => {
+  const body = req.body || {};
+  const current = orders.get(Number(body.orderId));
+  if (!current) return res.status(400).json({ Message: 'Only updates to existing orders are supported' });
+  const next = { ...current, ...body, modifyDate: new Date().toISOString() };
+  orders.set(Number(body.orderId), next);
+  console.log(`[fake-shipstation] updated #${next.orderNumber}:`, JSON.stringify(next.internationalOptions?.customsItems || []));
+  res.json(next);
+});
+
+app.get('/products', (req, res) => res.json({ products: [], total: 0, page: 1, pages: 1 }));
+
+app.listen(PORT, () => {
+  console.log(`Fake ShipStation on http://localhost:${PORT} with ${orders.size} orders`);
+  console.log('Trigger the webhook with:');
+  console.log(`  curl -X POST 'http://localhost:8080/api/shipstation/webhooks/order-notify?secret=dev' \\
+    -H 'Content-Type: application/json' \\
+    -d '{"resource_type":"ORDER_NOTIFY","resource_url":"http://localhost:${PORT}/orders?importBatch=demo"}'`);
+});
@@ -13,14 +13,18 @@ const PORT = process.env.PORT || 8080;
 app.set('trust proxy', 1);
 
 // Middleware
-app.use(express.json());
+// The HTS import reads its own (multi-MB) body, JSON included, so the app-wide 100kb JSON parser skips it
+const OWN_BODY_PATHS = ['/api/hts/import'];
+const jsonParser = express.json();
+app.use((req, res, next) => (OWN_BODY_PATHS.includes(req.path) ? next() : jsonParser(req, res, next)));
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
 app.use(sessionMiddleware);
 
 // Debug logging for ALL requests
 app.use((req, res, next) => {
-  console.log(`[${new Date().toISOString()}] ${req.method} ${req.originalUrl}`);
+  // Webhook URLs carry their shared secret as ?secret=…
+  console.log(`[${new Date().toISOString()}] ${req.method} ${req.originalUrl.replace(/([?&]secret=)[^&]*/i, '$1***')}`);
   if (req.originalUrl.includes('/api/shipstation/orders') && req.originalUrl.includes('/update')) {
     console.log('  Headers:', req.headers);
     console.log('  Body:', req.body);
@@ -39,12 +43,22 @@ const authRoutes = require('./routes/auth');
 const productRoutes = require('./routes/products');
 const shipstationRoutes = require('./routes/shipstation');
 const vipCustomersRoutes = require('./routes/vip-customers'); // ADD THIS LINE
+const customsRulesRoutes = require('./routes/customs-rules');
+const jobsRoutes = require('./routes/jobs');
+const usersRoutes = require('./routes/users');
+const { startJobWorker } = require('./utils/job-queue');
+const { refreshShopifyCatalog } = require('./utils/shopify-catalog');
+const { loadFuzzyScorer, refreshFuzzyDictionary } = require('./utils/fuzzy-dictionary');
+const { refreshSkuAliases } = require('./utils/sku-aliases');
 
 // Mount routes
 app.use(authRoutes);        // Login, logout routes
 app.use(productRoutes);      // Product manager routes
 app.use(shipstationRoutes);  // ShipStation routes
 app.use(vipCustomersRoutes);
+app.use(customsRulesRoutes); // Customs rules editor + CRUD
+app.use(jobsRoutes);         // Background job status / cancel / results
+app.use(usersRoutes);        // User accounts (admin)
 
 // ==================== ERROR HANDLING ====================
 
@@ -66,6 +80,18 @@ app.use((err, req, res, next) => {
 
 // ==================== START SERVER ====================
 app.listen(PORT, () => {
+  // Pick up queued jobs (and any interrupted by a restart)
+  startJobWorker().catch(err => console.error('[Jobs] Worker failed to start:', err.message));
+
+  // Load the Shopify variant cache and the stored fuzzy-matching setup; built-in defaults stay active until
+  // each resolves. SKU alias keys depend on the scorer's accent-folding setting, so aliases load after it.
+  refreshShopifyCatalog().catch(err => console.error('[Shopify Catalog] Failed to load:', err.message));
+  loadFuzzyScorer()
+    .catch(err => console.error('[Fuzzy Scorer] Failed to load:', err.message))
+    .then(refreshSkuAliases)
+    .catch(err => console.error('[SKU Aliases] Failed to load:', err.message));
+  refreshFuzzyDictionary().catch(err => console.error('[Fuzzy Dictionary] Failed to load:', err.message));
+
   // Background sync every 30 minutes
 setInterval(async () => {
   try {
@@ -88,7 +114,9 @@ setInterval(async () => {
   ========================================
   - Product Manager:        http://localhost:${PORT}/
   - ShipStation Customs:    http://localhost:${PORT}/shipstation
+  - Customs Rules:          http://localhost:${PORT}/customs-rules
   - VIP Customers:          http://localhost:${PORT}/vip-customers
+  - Users (admin):          http://localhost:${PORT}/users
   ========================================
   Server running on port ${PORT}
   ========================================
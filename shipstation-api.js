@@ -2,6 +2,154 @@
 
 const axios = require('axios');
 
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Network failures worth another attempt (the request never got a response)
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'ECONNREFUSED']);
+
+/**
+ * Token bucket shared by every ShipStationAPI instance, since ShipStation's quota
+ * (40 calls/min by default) is per API key, not per caller. Until the first response
+ * arrives it refills smoothly; once X-Rate-Limit-* headers are seen it follows the
+ * server's fixed window: `remaining` tokens now, a full bucket at `reset`.
+ */
+class RateLimiter {
+  constructor({ capacity = 40, windowMs = 60000 } = {}) {
+    this.capacity = capacity;
+    this.windowMs = windowMs;
+    this.tokens = capacity;
+    this.lastRefill = Date.now();
+    this.resetAt = 0;   // end of the server's current window (0 = unknown)
+    this.queue = Promise.resolve();
+  }
+
+  refill(now) {
+    if (this.resetAt) {
+      if (now < this.resetAt) return;
+      // Assume the next window until a response tells us otherwise
+      this.tokens = this.capacity;
+      this.resetAt = now + this.windowMs;
+    } else {
+      this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.capacity / this.windowMs);
+    }
+    this.lastRefill = now;
+  }
+
+  // Resolves when a call may be sent; waiting callers are served in arrival order
+  acquire() {
+    const turn = this.queue.then(() => this.waitForToken());
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  async waitForToken() {
+    for (;;) {
+      const now = Date.now();
+      this.refill(now);
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+      const wait = this.resetAt
+        ? this.resetAt - now
+        : Math.ceil((1 - this.tokens) * this.windowMs / this.capacity);
+      // Re-check at least every second: a response may report a sooner reset
+      await sleep(Math.min(Math.max(wait, 50), 1000));
+    }
+  }
+
+  // Sync with the quota ShipStation reports (sent on successful and 429 responses)
+  update(headers = {}) {
+    const limit = Number(headers['x-rate-limit-limit']);
+    const remaining = Number(headers['x-rate-limit-remaining']);
+    const reset = Number(headers['x-rate-limit-reset']);
+    if (Number.isFinite(limit) && limit > 0) this.capacity = limit;
+    if (!Number.isFinite(remaining) || !Number.isFinite(reset)) return;
+
+    const now = Date.now();
+    const resetAt = now + reset * 1000;
+    // A reset well past the one we know means a new window began: trust its count
+    const newWindow = !this.resetAt || resetAt > this.resetAt + 1000;
+    this.tokens = newWindow ? remaining : Math.min(this.tokens, remaining);
+    this.resetAt = resetAt;
+    this.lastRefill = now;
+  }
+
+  // Hold every caller for `ms` (a 429 without usable headers)
+  pause(ms) {
+    this.tokens = 0;
+    this.resetAt = Math.max(this.resetAt, Date.now() + ms);
+  }
+}
+
+const rateLimiter = new RateLimiter();
+
+// ===== Order patching helpers =====
+// What ShipStationAPI#patchOrder may change unless told otherwise. Array indexes are written as []
+// ('items[].sku' is the sku of any line) and a path also covers everything beneath it.
+const PATCHABLE_ORDER_PATHS = ['internationalOptions', 'items[].sku'];
+
+const isPlainObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// Objects merge key by key; arrays and scalars in `patch` replace what is there
+function deepMerge(base, patch) {
+  if (patch === undefined) return base;
+  if (!isPlainObject(base) || !isPlainObject(patch)) return structuredClone(patch);
+  const out = { ...base };
+  for (const [key, value] of Object.entries(patch)) out[key] = deepMerge(base[key], value);
+  return out;
+}
+
+// Order lines are matched by orderItemId, else lineItemKey
+function sameLine(item, ref) {
+  if (ref.orderItemId != null) return item.orderItemId === ref.orderItemId;
+  return !!ref.lineItemKey && item.lineItemKey === ref.lineItemKey;
+}
+
+/**
+ * Merge `patch` into a raw order. `patch.items` is a list of { orderItemId | lineItemKey, ...fields }
+ * merged into the matching lines (a line that is gone is a 409); every other key deep-merges.
+ */
+function mergeOrderPatch(order, patch = {}) {
+  const { items: linePatches, ...rest } = patch;
+  const merged = deepMerge(order, rest);
+  if (!linePatches) return merged;
+
+  const lines = Array.isArray(order.items) ? order.items : [];
+  merged.items = lines.map(item => {
+    const linePatch = linePatches.find(ref => sameLine(item, ref));
+    if (!linePatch) return item;
+    const { orderItemId, lineItemKey, ...fields } = linePatch;
+    return deepMerge(item, fields);
+  });
+  const missing = linePatches.filter(ref => !lines.some(item => sameLine(item, ref)));
+  if (missing.length) {
+    const err = new Error(`Order line(s) ${missing.map(r => r.orderItemId ?? r.lineItemKey).join(', ')} are no longer on the order`);
+    err.status = 409;
+    throw err;
+  }
+  return merged;
+}
+
+// Field-level differences between two values: [{ path, from, to }], where path is like
+// 'internationalOptions.customsItems[1].description' (a list that changed length is one entry)
+function fieldChanges(before, after, path = '') {
+  if (Array.isArray(before) && Array.isArray(after)) {
+    if (before.length !== after.length) return [{ path, from: before, to: after }];
+    return before.flatMap((value, i) => fieldChanges(value, after[i], `${path}[${i}]`));
+  }
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...keys].flatMap(key => fieldChanges(before[key], after[key], path ? `${path}.${key}` : key));
+  }
+  return Object.is(before ?? null, after ?? null) ? [] : [{ path, from: before ?? null, to: after ?? null }];
+}
+
+function isPatchable(path, allow) {
+  const generic = path.replace(/\[\d+\]/g, '[]');
+  return allow.some(a => generic === a || generic.startsWith(`${a}.`) || generic.startsWith(`${a}[`));
+}
+
 class ShipStationAPI {
   constructor() {
     this.key = process.env.SHIPSTATION_API_KEY;
@@ -9,47 +157,116 @@ class ShipStationAPI {
     if (!this.key || !this.secret) {
       throw new Error('Missing ShipStation credentials. Set SHIPSTATION_API_KEY and SHIPSTATION_API_SECRET in .env');
     }
+    // SHIPSTATION_BASE_URL points the client at a local fake ShipStation for testing
+    this.baseURL = (process.env.SHIPSTATION_BASE_URL || 'https://ssapi.shipstation.com').replace(/\/+$/, '');
     this.client = axios.create({
-      baseURL: 'https://ssapi.shipstation.com',
+      baseURL: this.baseURL,
       headers: { 'Content-Type': 'application/json' },
       auth: { username: this.key, password: this.secret }
     });
+
+    // Every call waits for the shared limiter and reports the quota headers back to it
+    this.client.interceptors.request.use(async config => {
+      await rateLimiter.acquire();
+      return config;
+    });
+    this.client.interceptors.response.use(
+      res => {
+        rateLimiter.update(res.headers);
+        return res;
+      },
+      err => {
+        if (err.response) rateLimiter.update(err.response.headers);
+        return Promise.reject(err);
+      }
+    );
   }
 
-  // Helper for retry logic on rate limits
-  async retryWithBackoff(fn, maxRetries = 3) {
-    for (let i = 0; i < maxRetries; i++) {
+  // Retry 429s (after the window resets), 5xx and dropped connections with exponential backoff.
+  // createorder is an upsert keyed on orderId/orderKey, so repeating it is safe too.
+  async retryWithBackoff(fn, maxRetries = 4) {
+    for (let i = 0; ; i++) {
       try {
         return await fn();
       } catch (err) {
-        if (err.response?.status === 429 && i < maxRetries - 1) {
-          const backoff = Math.pow(2, i) * 2000; // 2s, 4s, 8s
-          console.log(`Rate limited, waiting ${backoff}ms before retry...`);
-          await new Promise(resolve => setTimeout(resolve, backoff));
+        const status = err.response?.status;
+        const retryable = status === 429
+          || (status >= 500 && status !== 501)
+          || (!err.response && RETRYABLE_CODES.has(err.code));
+        if (!retryable || i >= maxRetries - 1) throw err;
+
+        const backoff = Math.pow(2, i) * 2000; // 2s, 4s, 8s
+        if (status === 429) {
+          // The limiter already holds callers until X-Rate-Limit-Reset; without it, pause everyone
+          const reset = Number(err.response.headers?.['x-rate-limit-reset']);
+          if (!Number.isFinite(reset)) rateLimiter.pause(backoff);
+          console.log(`Rate limited, waiting ${Number.isFinite(reset) ? reset * 1000 : backoff}ms before retry...`);
         } else {
-          throw err;
+          console.log(`ShipStation ${status || err.code}, retrying in ${backoff}ms...`);
+          await sleep(backoff);
         }
       }
     }
   }
 
+  // The whole axios response (status, headers, data), for callers that record the outcome
+  async send(config) {
+    return this.retryWithBackoff(() => this.client.request(config));
+  }
+
+  async request(config) {
+    const { data } = await this.send(config);
+    return data;
+  }
+
   // ===== Orders =====
   async getOrder(orderId) {
-    return this.retryWithBackoff(async () => {
-      const { data } = await this.client.get(`/orders/${encodeURIComponent(orderId)}`);
-      return data;
-    });
+    return this.request({ method: 'get', url: `/orders/${encodeURIComponent(orderId)}` });
   }
 
   // Create or Update an order. If body contains orderId, it updates that order in-place.
   async createOrUpdateOrder(orderBody) {
-    const { data } = await this.client.post('/orders/createorder', orderBody);
-    return data;
+    return this.request({ method: 'post', url: '/orders/createorder', data: orderBody });
+  }
+
+  /**
+   * Change only the given fields of an order: fetch the current raw order, deep-merge `patch` into it
+   * (see mergeOrderPatch) and post that back, so fields we don't touch - including ones ShipStation adds
+   * later - go back exactly as they are. Refuses (400) when the merge would change anything outside
+   * `allow`. `check(current)` runs on the fresh copy before merging and may throw to abort.
+   * Resolves to { before, payload, changes, order, status } (changes: see fieldChanges; status is the HTTP
+   * status of the post); with dryRun nothing is posted and there is no `order`. A failed post rejects with
+   * err.patch set.
+   */
+  async patchOrder(orderId, patch, { allow = PATCHABLE_ORDER_PATHS, check, dryRun = false } = {}) {
+    const before = await this.getOrder(orderId);
+    if (check) await check(before);
+
+    const payload = mergeOrderPatch(before, patch);
+    const changes = fieldChanges(before, payload);
+    const outside = changes.map(c => c.path).filter(p => !isPatchable(p, allow));
+    if (outside.length) {
+      const err = new Error(`Order patch would change fields outside the allow-list: ${outside.join(', ')}`);
+      err.status = 400;
+      throw err;
+    }
+
+    const result = { before, payload, changes };
+    if (dryRun) return result;
+    try {
+      const res = await this.send({ method: 'post', url: '/orders/createorder', data: payload });
+      result.order = res.data;
+      result.status = res.status;
+    } catch (err) {
+      err.patch = result;
+      throw err;
+    }
+    return result;
   }
 
   // Robust list/search that tolerates different shapes {orders|results|items|[]}
   async searchOrders(params = {}) {
-    const { data } = await this.client.get('/orders', { params });
+    const data = await this.request({ method: 'get', url: '/orders', params });
     const list =
       Array.isArray(data?.orders) ? data.orders :
       Array.isArray(data?.results) ? data.results :
@@ -68,10 +285,35 @@ class ShipStationAPI {
     return list[0] || null;
   }
 
+  // ===== Webhooks =====
+  // Follow a webhook's resource_url. It is fetched with our credentials, so only URLs on the
+  // configured API host are allowed.
+  async getResource(resourceUrl, params = {}) {
+    let url;
+    try { url = new URL(String(resourceUrl)); }
+    catch { url = null; }
+    if (!url || url.origin !== new URL(this.baseURL).origin) {
+      const err = new Error(`resource_url must be on ${this.baseURL}`);
+      err.status = 400;
+      throw err;
+    }
+    return this.request({ method: 'get', url: url.href, params });
+  }
+
   // ===== Products =====
   async getProductById(productId) {
-    const { data } = await this.client.get(`/products/${encodeURIComponent(productId)}`);
-    return data;
+    return this.request({ method: 'get', url: `/products/${encodeURIComponent(productId)}` });
+  }
+
+  // One page of the product list: { products, total, page, pages }
+  async listProducts({ page = 1, pageSize = 500, showInactive = false } = {}) {
+    const data = await this.request({ method: 'get', url: '/products', params: { page, pageSize, showInactive } });
+    return {
+      products: Array.isArray(data?.products) ? data.products : Array.isArray(data) ? data : [],
+      total: Number(data?.total) || 0,
+      page: Number(data?.page) || page,
+      pages: Number(data?.pages) || 1
+    };
   }
 
   async searchProductsByName(name, pageSize = 200, maxPages = 5) {
@@ -81,7 +323,7 @@ class ShipStationAPI {
     let page = 1;
 
     while (page <= maxPages) {
-      const { data } = await this.client.get('/products', { params: { name: q, page, pageSize } });
+      const data = await this.request({ method: 'get', url: '/products', params: { name: q, page, pageSize } });
       const items =
         Array.isArray(data)            ? data :
         Array.isArray(data?.products)  ? data.products :
@@ -97,4 +339,4 @@ class ShipStationAPI {
   }
 }
 
-module.exports = { ShipStationAPI };
\ No newline at end of file
+module.exports = { ShipStationAPI, RateLimiter, rateLimiter };
\ No newline at end of file
@@ -1,18 +1,57 @@
 // Authentication middleware utilities
+const { getUser } = require('./users');
+const { can } = require('./permissions');
+
+// The session's user, re-read each request so a disabled or deleted account is logged out at once
+async function loadSessionUser(req) {
+  if (!req.session.userId) return null;
+  const user = await getUser(req.session.userId);
+  if (!user || user.disabled) {
+    req.session.destroy(() => {});
+    return null;
+  }
+  req.user = user;
+  return user;
+}
 
 // API-only auth (JSON 401)
 const requireAuthApi = (req, res, next) => {
-  if (!req.session.userId) return res.status(401).json({ error: 'Not authenticated' });
-  next();
+  loadSessionUser(req).then(user => {
+    if (!user) return res.status(401).json({ error: 'Not authenticated' });
+    next();
+  }, next);
 };
 
 // Page guard (redirect to /login)
 function requireAuth(req, res, next) {
-  if (!req.session.userId) return res.redirect('/login');
-  next();
+  loadSessionUser(req).then(user => {
+    if (!user) return res.redirect('/login');
+    next();
+  }, next);
+}
+
+// Permission guards (403 for signed-in users whose role lacks the permission, see utils/permissions.js)
+const requirePermissionApi = permission => (req, res, next) => {
+  requireAuthApi(req, res, err => {
+    if (err) return next(err);
+    if (!can(req.user, permission)) return res.status(403).json({ error: `Your role (${req.user.role}) does not allow this` });
+    next();
+  });
+};
+
+function requirePermission(permission) {
+  return (req, res, next) => {
+    requireAuth(req, res, err => {
+      if (err) return next(err);
+      if (!can(req.user, permission)) return res.status(403).send(`Your role (${req.user.role}) does not allow this page`);
+      next();
+    });
+  };
 }
 
 module.exports = {
   requireAuth,
-  requireAuthApi
+  requireAuthApi,
+  requirePermission,
+  requirePermissionApi
 };
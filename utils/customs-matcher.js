@@ -0,0 +1,166 @@
+// utils/customs-matcher.js - One-to-one matching of order lines to customs lines
+// Every export and the customs SKU sync use this, so an order pairs up the same way whichever
+// button is pressed. Each candidate pair is scored from identity links (orderItemId, productId, SKU),
+// product type / HS agreement and fuzzy name similarity; the assignment maximizes the total score.
+const { getHS, normHS, identifyProductFromTitle, pickCustomsDescription, getCorrectHSAndDescription } = require('./customs-rules');
+const { _norm, _scoreNameMatch } = require('./fuzzy-matching');
+
+// Pairs scoring below this are left unmatched rather than forced together
+const MIN_PAIR_SCORE = 0.25;
+// Confidence reported for leftovers paired by position (only when both sides have the same count)
+const POSITION_SCORE = 0.15;
+
+const idOf = v => (v != null && v !== '' ? String(v) : null);
+
+function describeItem(it, idx) {
+  return {
+    idx,
+    orderItemId: idOf(it?.orderItemId ?? it?.itemId),
+    productId: idOf(it?.productId),
+    sku: String(it?.sku || '').trim().toUpperCase(),
+    name: String(it?.name || ''),
+    normName: _norm(it?.name || ''),
+    type: identifyProductFromTitle(it?.name || ''),
+    qty: Number(it?.quantity) || 0
+  };
+}
+
+function describeCustoms(ci, idx) {
+  const hs = normHS(getHS(ci));
+  return {
+    idx,
+    orderItemId: idOf(ci?.orderItemId),
+    productId: idOf(ci?.productId),
+    sku: String(ci?.sku || '').trim().toUpperCase(),
+    desc: String(ci?.description || ''),
+    normDesc: _norm(ci?.description || ''),
+    hs,
+    type: pickCustomsDescription(hs, ci?.description || '').productType || null,
+    qty: Number(ci?.quantity) || 0
+  };
+}
+
+// Score one order line against one customs line: { score, method }
+function scorePair(item, cust) {
+  if (item.orderItemId && item.orderItemId === cust.orderItemId) return { score: 1, method: 'orderItemId' };
+  if (item.productId && item.productId === cust.productId)       return { score: 0.98, method: 'productId' };
+  if (item.sku && item.sku === cust.sku)                         return { score: 0.95, method: 'sku' };
+  if (item.normName && item.normName === cust.normDesc)          return { score: 0.9, method: 'name-exact' };
+
+  const fuzzy = _scoreNameMatch(cust.desc, item.name).score;
+  const bothTyped = !!(item.type && cust.type);
+  const sameType = bothTyped && item.type === cust.type;
+  const correctHS = item.type ? normHS(getCorrectHSAndDescription(item.type)?.hs) : '';
+  const hsAgrees = !!(correctHS && cust.hs && correctHS.slice(0, 6) === cust.hs.slice(0, 6));
+  const qtyAgrees = item.qty > 0 && item.qty === cust.qty;
+
+  let score = 0.45 * fuzzy + (sameType ? 0.3 : 0) + (hsAgrees ? 0.2 : 0) + (qtyAgrees ? 0.05 : 0);
+  // Different product types only count against the pair when the HS families differ too
+  if (bothTyped && !sameType && !hsAgrees) score *= 0.5;
+
+  const method = sameType && hsAgrees ? 'type-hs' : sameType ? 'type' : hsAgrees ? 'hs' : 'name-fuzzy';
+  return { score: Math.min(0.89, score), method };
+}
+
+// Hungarian algorithm on a square cost matrix; returns assignment[row] = column
+function solveAssignment(cost) {
+  const n = cost.length;
+  const u = new Array(n + 1).fill(0), v = new Array(n + 1).fill(0);
+  const p = new Array(n + 1).fill(0), way = new Array(n + 1).fill(0);
+
+  for (let i = 1; i <= n; i++) {
+    p[0] = i;
+    let j0 = 0;
+    const minv = new Array(n + 1).fill(Infinity);
+    const used = new Array(n + 1).fill(false);
+    do {
+      used[j0] = true;
+      const i0 = p[j0];
+      let delta = Infinity, j1 = 0;
+      for (let j = 1; j <= n; j++) {
+        if (used[j]) continue;
+        const cur = cost[i0 - 1][j - 1] - u[i0] - v[j];
+        if (cur < minv[j]) { minv[j] = cur; way[j] = j0; }
+        if (minv[j] < delta) { delta = minv[j]; j1 = j; }
+      }
+      for (let j = 0; j <= n; j++) {
+        if (used[j]) { u[p[j]] += delta; v[j] -= delta; }
+        else minv[j] -= delta;
+      }
+      j0 = j1;
+    } while (p[j0] !== 0);
+    do {
+      const j1 = way[j0];
+      p[j0] = p[j1];
+      j0 = j1;
+    } while (j0);
+  }
+
+  const assignment = new Array(n).fill(-1);
+  for (let j = 1; j <= n; j++) if (p[j]) assignment[p[j] - 1] = j - 1;
+  return assignment;
+}
+
+/**
+ * Pair order items with customs lines, one-to-one.
+ * Returns {
+ *   pairs: [{ itemIndex, customsIndex, confidence, method }],
+ *   byItem[itemIndex] / byCustoms[customsIndex]: the pair or null,
+ *   unmatchedItems, unmatchedCustoms: indexes left over
+ * }
+ * Discount adjustment lines never match. When both sides have the same number of lines,
+ * leftovers are paired by position with a low confidence.
+ */
+function matchItemsToCustoms(items = [], customs = []) {
+  const itemList = items.map(describeItem).filter((_, i) => !items[i]?.adjustment);
+  const custList = customs.map(describeCustoms);
+  const n = Math.max(itemList.length, custList.length);
+
+  const scored = itemList.map(it => custList.map(c => scorePair(it, c)));
+  const cost = [];
+  for (let r = 0; r < n; r++) {
+    cost.push([]);
+    for (let c = 0; c < n; c++) {
+      const s = scored[r]?.[c];
+      cost[r].push(s && s.score >= MIN_PAIR_SCORE ? 1 - s.score : 1);
+    }
+  }
+
+  const pairs = [];
+  const byItem = items.map(() => null);
+  const byCustoms = customs.map(() => null);
+  const take = (it, c, confidence, method) => {
+    const pair = { itemIndex: it.idx, customsIndex: c.idx, confidence: Number(confidence.toFixed(2)), method };
+    pairs.push(pair);
+    byItem[it.idx] = pair;
+    byCustoms[c.idx] = pair;
+  };
+
+  if (n) {
+    solveAssignment(cost).forEach((c, r) => {
+      const s = scored[r]?.[c];
+      if (s && s.score >= MIN_PAIR_SCORE) take(itemList[r], custList[c], s.score, s.method);
+    });
+  }
+
+  if (itemList.length === custList.length) {
+    const leftItems = itemList.filter(it => !byItem[it.idx]);
+    const leftCustoms = custList.filter(c => !byCustoms[c.idx]);
+    leftItems.forEach((it, k) => take(it, leftCustoms[k], POSITION_SCORE, 'position'));
+  }
+
+  pairs.sort((a, b) => a.itemIndex - b.itemIndex);
+  return {
+    pairs,
+    byItem,
+    byCustoms,
+    unmatchedItems: byItem.map((p, i) => (p ? null : i)).filter(i => i != null),
+    unmatchedCustoms: byCustoms.map((p, i) => (p ? null : i)).filter(i => i != null)
+  };
+}
+
+module.exports = {
+  MIN_PAIR_SCORE,
+  scorePair,
+  matchItemsToCustoms
+};
@@ -0,0 +1,128 @@
+// utils/customs-profiles.js - Per-destination customs profiles
+// The customs rules are written against the 10-digit US HTS. Each profile says which
+// destinations it covers, how rule output translates to that destination's tariff
+// (HS length, known national codes, description overrides) and when an order is eligible.
+const { normHS, getHS, getCorrectHSAndDescription } = require('./customs-rules');
+const { normCountry } = require('./shipstation-helpers');
+
+// Orders shipping inside the origin country carry no customs declaration
+const ORIGIN_COUNTRY = normCountry(process.env.SHIP_FROM_COUNTRY || 'CA');
+
+const EU_COUNTRIES = [
+  'AT', 'BE', 'BG', 'HR', 'CY', 'CZ', 'DK', 'EE', 'FI', 'FR', 'DE', 'GR', 'HU', 'IE',
+  'IT', 'LV', 'LT', 'LU', 'MT', 'NL', 'PL', 'PT', 'RO', 'SK', 'SI', 'ES', 'SE'
+];
+
+//   tariff      - 'US-HTS' keeps rule codes as-is; anything else keeps only the shared 6-digit HS
+//               unless hsByType has a national code for the product type
+//   hsDigits    - length a complete code has at this destination
+//   hsByType    - productType -> national code
+//   descriptions- productType -> description override
+//   requireHS   - every customs line must end up with an HS code, or the order is not eligible
+const CUSTOMS_PROFILES = [
+  {
+    id: 'US', label: 'United States', countries: ['US'],
+    tariff: 'US-HTS', hsDigits: 10, hsByType: {}, descriptions: {}, requireHS: false
+  },
+  {
+    // UK Global Tariff commodity codes (10 digits)
+    id: 'GB', label: 'United Kingdom', countries: ['GB', 'UK'],
+    tariff: 'UK', hsDigits: 10, requireHS: true,
+    hsByType: {
+      planner: '4820105000',
+      notebook: '4820103000',
+      'notebook-b5': '4820103000',
+      notepad: '4820103000',
+      sticky: '4820103000',
+      sticker: '4911990000'
+    },
+    descriptions: {}
+  },
+  {
+    id: 'EU', label: 'European Union', countries: EU_COUNTRIES,
+    tariff: 'HS6', hsDigits: 6, hsByType: {}, descriptions: {}, requireHS: true
+  },
+  {
+    id: 'AU', label: 'Australia', countries: ['AU'],
+    tariff: 'HS6', hsDigits: 6, hsByType: {}, descriptions: {}, requireHS: false
+  },
+  {
+    // Any other international destination
+    id: 'INTL', label: 'Other international', countries: [],
+    tariff: 'HS6', hsDigits: 6, hsByType: {}, descriptions: {}, requireHS: false
+  }
+];
+
+const profileById = new Map(CUSTOMS_PROFILES.map(p => [p.id, p]));
+const profileByCountry = new Map();
+CUSTOMS_PROFILES.forEach(p => p.countries.forEach(c => profileByCountry.set(c, p)));
+
+function destinationCountry(orderOrCountry) {
+  const raw = typeof orderOrCountry === 'string' ? orderOrCountry : orderOrCountry?.shipTo?.country;
+  return normCountry(raw || '');
+}
+
+// Profile for an order (or country code); null for domestic or unknown destinations
+function resolveCustomsProfile(orderOrCountry) {
+  const country = destinationCountry(orderOrCountry);
+  if (!country || country === ORIGIN_COUNTRY) return null;
+  return profileByCountry.get(country) || profileById.get('INTL');
+}
+
+function getCustomsProfile(id) {
+  return profileById.get(String(id || '').toUpperCase()) || null;
+}
+
+// Why an order has no profile, in words the editor can show
+function describeNoProfile(order) {
+  const country = destinationCountry(order);
+  if (!country) return 'Order has no ship-to country.';
+  return `Order ships to ${country} (domestic); no customs declaration needed.`;
+}
+
+// Translate a US-HTS code for the profile's tariff
+function adaptHS(profile, hs, productType) {
+  const digits = normHS(hs);
+  if (!profile || profile.tariff === 'US-HTS') return digits;
+  if (productType && profile.hsByType[productType]) return profile.hsByType[productType];
+  return digits.slice(0, 6);
+}
+
+// Apply a profile to a rule result: { hs, desc, productType } -> { hs, desc }
+function applyCustomsProfile(profile, { hs, desc, productType }) {
+  return {
+    hs: adaptHS(profile, hs, productType),
+    desc: (productType && profile?.descriptions?.[productType]) || desc
+  };
+}
+
+// getCorrectHSAndDescription for a product type, translated for the destination
+function getCorrectForProfile(profile, productType) {
+  const correct = getCorrectHSAndDescription(productType);
+  if (!correct) return null;
+  return { ...correct, ...applyCustomsProfile(profile, { hs: correct.hs, desc: correct.desc, productType }) };
+}
+
+// Eligibility problems with the patched customs lines; empty when the order can be written
+function profileIneligibility(profile, customsItems = []) {
+  const problems = [];
+  if (profile?.requireHS) {
+    const missing = customsItems
+      .map((ci, idx) => (normHS(getHS(ci)) ? null : idx + 1))
+      .filter(Boolean);
+    if (missing.length) problems.push(`${profile.label} customs need an HS code on every line (missing on #${missing.join(', #')}).`);
+  }
+  return problems;
+}
+
+module.exports = {
+  ORIGIN_COUNTRY,
+  CUSTOMS_PROFILES,
+  resolveCustomsProfile,
+  getCustomsProfile,
+  describeNoProfile,
+  adaptHS,
+  applyCustomsProfile,
+  getCorrectForProfile,
+  profileIneligibility
+};
@@ -0,0 +1,141 @@
+// utils/customs-rules-store.js - SQLite persistence for customs rules
+const { getDB, withTransaction } = require('./database');
+const { DEFAULT_CUSTOMS_RULES, setCustomsRules, normHS } = require('./customs-rules');
+const { normCountry } = require('./shipstation-helpers');
+
+function rowToRule(row) {
+  return {
+    id: row.id,
+    priority: row.priority,
+    productType: row.product_type || '',
+    titlePattern: row.title_pattern || '',
+    hsPrefix: row.hs_prefix || '',
+    hsCode: row.hs_code || '',
+    description: row.description,
+    countryOfOrigin: row.country_of_origin || '',
+    enabled: !!row.enabled,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// Validate + normalize user input into column values
+function toColumns(input = {}) {
+  const description = String(input.description || '').trim();
+  if (!description) throw badRequest('description is required');
+
+  const titlePattern = String(input.titlePattern || '').trim();
+  const hsPrefix = normHS(input.hsPrefix);
+  if (!titlePattern && !hsPrefix) throw badRequest('A rule needs a titlePattern, an hsPrefix, or both');
+  if (titlePattern) {
+    try { new RegExp(titlePattern, 'i'); }
+    catch (e) { throw badRequest(`Invalid titlePattern: ${e.message}`); }
+  }
+
+  const hsCode = normHS(input.hsCode);
+  if (hsCode && (hsCode.length < 6 || hsCode.length > 10)) throw badRequest('hsCode must be 6-10 digits');
+
+  const priority = Number(input.priority ?? 100);
+  if (!Number.isFinite(priority)) throw badRequest('priority must be a number');
+
+  return {
+    priority: Math.round(priority),
+    product_type: String(input.productType || '').trim() || null,
+    title_pattern: titlePattern || null,
+    hs_prefix: hsPrefix || null,
+    hs_code: hsCode || null,
+    description: description.slice(0, 255),
+    country_of_origin: input.countryOfOrigin ? normCountry(input.countryOfOrigin) : null,
+    enabled: input.enabled === false || input.enabled === 0 || input.enabled === 'false' ? 0 : 1
+  };
+}
+
+async function insertRule(db, cols) {
+  const result = await db.run(`
+    INSERT INTO customs_rules (priority, product_type, title_pattern, hs_prefix, hs_code, description, country_of_origin, enabled)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `, [cols.priority, cols.product_type, cols.title_pattern, cols.hs_prefix, cols.hs_code, cols.description, cols.country_of_origin, cols.enabled]);
+  return result.lastID;
+}
+
+// Seed the built-in defaults the first time the table is used
+async function seedDefaultCustomsRules() {
+  const seeded = await withTransaction(async db => {
+    const { count } = await db.get('SELECT COUNT(*) as count FROM customs_rules');
+    if (count > 0) return false;
+    for (const rule of DEFAULT_CUSTOMS_RULES) {
+      await insertRule(db, toColumns(rule));
+    }
+    return true;
+  });
+  if (!seeded) return 0;
+  console.log(`[Customs Rules] Seeded ${DEFAULT_CUSTOMS_RULES.length} default rules`);
+  return DEFAULT_CUSTOMS_RULES.length;
+}
+
+async function listCustomsRules() {
+  const db = await getDB();
+  const rows = await db.all('SELECT * FROM customs_rules ORDER BY priority ASC, id ASC');
+  return rows.map(rowToRule);
+}
+
+async function getCustomsRule(id) {
+  const db = await getDB();
+  const row = await db.get('SELECT * FROM customs_rules WHERE id = ?', id);
+  return row ? rowToRule(row) : null;
+}
+
+// Reload the in-memory rule set used by pickCustomsDescription
+async function refreshCustomsRules() {
+  await seedDefaultCustomsRules();
+  const rules = await listCustomsRules();
+  const active = setCustomsRules(rules);
+  console.log(`[Customs Rules] Loaded ${active} active rules`);
+  return rules;
+}
+
+async function createCustomsRule(input) {
+  const db = await getDB();
+  const id = await insertRule(db, toColumns(input));
+  await refreshCustomsRules();
+  return getCustomsRule(id);
+}
+
+async function updateCustomsRule(id, input) {
+  const existing = await getCustomsRule(id);
+  if (!existing) return null;
+
+  const cols = toColumns({ ...existing, ...input });
+  const db = await getDB();
+  await db.run(`
+    UPDATE customs_rules
+    SET priority = ?, product_type = ?, title_pattern = ?, hs_prefix = ?, hs_code = ?,
+        description = ?, country_of_origin = ?, enabled = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `, [cols.priority, cols.product_type, cols.title_pattern, cols.hs_prefix, cols.hs_code, cols.description, cols.country_of_origin, cols.enabled, id]);
+  await refreshCustomsRules();
+  return getCustomsRule(id);
+}
+
+async function deleteCustomsRule(id) {
+  const db = await getDB();
+  const result = await db.run('DELETE FROM customs_rules WHERE id = ?', id);
+  await refreshCustomsRules();
+  return result.changes > 0;
+}
+
+module.exports = {
+  seedDefaultCustomsRules,
+  listCustomsRules,
+  getCustomsRule,
+  refreshCustomsRules,
+  createCustomsRule,
+  updateCustomsRule,
+  deleteCustomsRule
+};
@@ -1,36 +1,97 @@
-// utils/customs-rules.js - CORRECTED VERSION WITH B5 NOTEBOOK HANDLING
-
-// Title keywords for product identification
-const INSERT_KEYWORDS = /\b(inserts)\b/i;  // Check this FIRST
-const PLANNER_KEYWORDS = /\b(planner)\b/i;
-const NOTEBOOK_KEYWORDS = /\b(notebook|sketchbook)\b/i;
-const STICKY_KEYWORDS = /\b(sticky|stickies|sticky\s*notes?|post-?its?)\b/i;
-const NOTEPAD_KEYWORDS = /\b(notepad)\b/i;
-const STICKER_KEYWORDS = [
-  /monthly\s+tabs?/i,
-  /\bstickers?\b/i,
-  /time\s*management/i,
-  /square\s*bullets?/i,
-  /\bfinance\b/i,
-  /\bwellness\b/i,
-  /wildflowers?/i,
-  /botanical\s+stickers?/i,
-  /sticker\s*sheet/i,
-  /shaded\s+box(es)?/i,        // Add this
-  /lists?\s*-\s*top\s*three/i,  // Add this
-  /\bhighlight(s)?\b/i          // Add this for "Highlight Stickers"
+// utils/customs-rules.js - Customs rule evaluation
+// Rules live in the customs_rules table (see utils/customs-rules-store.js); the
+// defaults below are seeded into it on first run and used until the table loads.
+
+// Rules are evaluated in ascending priority; the first rule whose conditions all match wins.
+//   titlePattern - case-insensitive regex tested against the item title / description
+//   hsPrefix     - prefix of the current HS code (after fixMalformedHS + normHS)
+//   hsCode       - when set, the HS code is overridden with this value
+const DEFAULT_CUSTOMS_RULES = [
+  // Title rules - INSERTS before planners, stickers before everything
+  { priority: 10,  productType: 'sticker',     hsCode: '4911998000', description: 'Paper sticker',
+    titlePattern: 'monthly\\s+tabs?|\\bstickers?\\b|time\\s*management|square\\s*bullets?|\\bfinance\\b|\\bwellness\\b|wildflowers?|botanical\\s+stickers?|sticker\\s*sheet|shaded\\s+box(es)?|lists?\\s*-\\s*top\\s*three|\\bhighlight(s)?\\b' },
+  { priority: 20,  productType: 'insert',      hsCode: '4820900000', description: 'Planner inserts (loose refills)', titlePattern: '\\binserts\\b' },
+  { priority: 30,  productType: 'sticky',      hsCode: '4820102020', description: 'Sticky notepad', titlePattern: '\\b(sticky|stickies|sticky\\s*notes?|post-?its?)\\b' },
+  { priority: 40,  productType: 'planner',     hsCode: '4820102010', description: 'Planner agenda (bound diary)', titlePattern: '\\bplanner\\b' },
+  { priority: 50,  productType: 'tape',        hsCode: '4811412100', description: 'Decorative tape for journaling', titlePattern: '\\bmt\\s+washi\\b' },
+  { priority: 60,  productType: 'notebook-b5', hsCode: '4820102030', description: 'Notebook (sewn journal, B5 size)', titlePattern: '\\b(notebook|sketchbook)\\b.*\\bB5\\b|\\bB5\\b.*\\b(notebook|sketchbook)\\b' },
+  { priority: 70,  productType: 'notebook',    hsCode: '4820102060', description: 'Notebook (bound journal)', titlePattern: '\\b(notebook|sketchbook)\\b' },
+  { priority: 80,  productType: 'notepad',     hsCode: '4820102020', description: 'Notepad', titlePattern: '\\bnotepad\\b' },
+  { priority: 90,  productType: 'pen',         hsCode: '9608100000', description: 'Gel ink pen', titlePattern: '\\bpen\\b' },
+  { priority: 100, productType: 'elastic',     hsCode: '6307909800', description: 'Elastic for notebook', titlePattern: '\\belastic\\b' },
+  { priority: 110, productType: 'charm',       hsCode: '7117909000', description: 'Charm for notebook ribbon', titlePattern: '\\bcharm\\b' },
+  { priority: 120, productType: 'clip',        hsCode: '8305903010', description: 'Office paper clips', titlePattern: '\\bclip' },
+  { priority: 130, productType: 'tape',        hsCode: '4811412100', description: 'Decorative tape for journaling', titlePattern: '\\btape\\b' },
+  { priority: 140, productType: 'pocket',      hsCode: '4811412100', description: 'Paper pocket for notebook', titlePattern: '\\bpocket\\b' },
+  { priority: 150, productType: 'jewelry',     hsCode: '7113115000', description: 'Sterling silver jewellery', titlePattern: '(bracelet|pendant|stud|earring|jewellery|jewelry)' },
+
+  // HS rules - only reached when no title rule matched; keep the description, never override the HS
+  { priority: 500, productType: 'planner',     hsPrefix: '4820102010', description: 'Planner agenda (bound diary)' },
+  { priority: 505, productType: 'notebook',    hsPrefix: '4820102060', description: 'Notebook (bound journal)' },
+  { priority: 510, productType: 'notebook-b5', hsPrefix: '4820102030', description: 'Notebook (sewn journal, B5 size)' },
+  { priority: 515, productType: 'sticky',      hsPrefix: '4820102020', description: 'Sticky notepad', titlePattern: 'sticky|stickies' },
+  { priority: 520, productType: 'notepad',     hsPrefix: '4820102020', description: 'Notepad' },
+  { priority: 525, productType: 'notebook',    hsPrefix: '48201020',   description: 'Notebook (bound journal)' },
+  { priority: 530, productType: 'insert',      hsPrefix: '4820900000', description: 'Planner inserts (loose refills)' },
+  { priority: 535, productType: 'sticker',     hsPrefix: '4911',       description: 'Paper sticker' },
+  { priority: 540, productType: 'pen',         hsPrefix: '960810',     description: 'Gel ink pen' },
+  { priority: 545, productType: 'pen-refill',  hsPrefix: '960860',     description: 'Refills for ballpoint pen' },
+  { priority: 550, productType: 'clip',        hsPrefix: '8305',       description: 'Office paper clips' },
+  { priority: 555, productType: 'elastic',     hsPrefix: '630790',     description: 'Elastic for notebook' },
+  { priority: 560, productType: 'pocket',      hsPrefix: '481141',     description: 'Paper pocket for notebook', titlePattern: 'pocket' },
+  { priority: 565, productType: 'tape',        hsPrefix: '481141',     description: 'Decorative tape for journaling' },
+  { priority: 570, productType: 'jewelry',     hsPrefix: '711311',     description: 'Sterling silver jewellery bracelets', titlePattern: 'bracelets?' },
+  { priority: 575, productType: 'jewelry',     hsPrefix: '711311',     description: 'Sterling silver jewellery pendants', titlePattern: 'pendants?' },
+  { priority: 580, productType: 'jewelry',     hsPrefix: '711311',     description: 'Sterling silver jewellery studs', titlePattern: 'studs?' },
+  { priority: 585, productType: 'jewelry',     hsPrefix: '711311',     description: 'Sterling silver jewellery earrings', titlePattern: 'earrings?' },
+  { priority: 590, productType: 'jewelry',     hsPrefix: '711311',     description: 'Sterling silver jewellery' },
+  { priority: 595, productType: 'charm',       hsPrefix: '7117',       description: 'Charm for notebook ribbon' },
 ];
 
-function titleForcesSticker(title) {
+// Compiled, enabled rules in evaluation order
+let activeRules = compileRules(DEFAULT_CUSTOMS_RULES);
+
+function compileRules(rules) {
+  const out = [];
+  for (const r of rules || []) {
+    if (r.enabled === false) continue;
+    let rx = null;
+    if (r.titlePattern) {
+      try { rx = new RegExp(r.titlePattern, 'i'); }
+      catch (e) { console.error(`[Customs Rules] Skipping rule ${r.id ?? r.productType}: bad pattern (${e.message})`); continue; }
+    }
+    out.push({ ...r, hsPrefix: normHS(r.hsPrefix), hsCode: normHS(r.hsCode), rx });
+  }
+  return out.sort((a, b) => (a.priority - b.priority) || ((a.id || 0) - (b.id || 0)));
+}
+
+// Replace the in-memory rule set (called by the store after every load/change)
+function setCustomsRules(rules) {
+  activeRules = compileRules(rules);
+  return activeRules.length;
+}
+
+// First rule matching this title and (normalized) HS code
+function matchCustomsRule(title, hsKey = '', { titleOnly = false } = {}) {
   const t = String(title || '');
-  return STICKER_KEYWORDS.some(rx => rx.test(t));
+  for (const r of activeRules) {
+    if (!r.rx && !r.hsPrefix) continue;
+    if (r.hsPrefix && (titleOnly || !hsKey.startsWith(r.hsPrefix))) continue;
+    if (r.rx && !r.rx.test(t)) continue;
+    return r;
+  }
+  return null;
+}
+
+function titleForcesSticker(title) {
+  return identifyProductFromTitle(title) === 'sticker';
 }
 
 // Fix ONLY obviously malformed codes (missing digits, etc)
 // Don't assume what product type it should be
 function fixMalformedHS(code) {
   const cleaned = String(code || '').replace(/[^0-9]/g, '');
-  
+
   // Only fix structural issues, not product type issues
   if (cleaned.length === 8 && cleaned.startsWith('2048')) {
     // Missing leading 4 for paper products
@@ -44,80 +105,22 @@ function fixMalformedHS(code) {
     // Missing last 2 digits - don't assume which product!
     return cleaned + '00'; // Generic suffix
   }
-  
+
   return cleaned;
 }
 
-// Determine product type from title
+// Determine product type from title (title rules only)
 function identifyProductFromTitle(title) {
-  const t = String(title || '').toLowerCase();
-  
-  // Check in order of specificity - INSERTS FIRST!
-  if (titleForcesSticker(title)) return 'sticker';
-  if (INSERT_KEYWORDS.test(t)) return 'insert';  
-  if (STICKY_KEYWORDS.test(t)) return 'sticky';
-  if (PLANNER_KEYWORDS.test(t)) return 'planner';
-  if (/\bmt\s+washi\b/i.test(title)) return 'tape';
-  
-  // Special handling for notebooks with B5
-  if (NOTEBOOK_KEYWORDS.test(t)) {
-    // Check if it's a B5 notebook specifically
-    if (/\bB5\b/i.test(title)) {
-      return 'notebook-b5';
-    }
-    return 'notebook';
-  }
-  
-  if (NOTEPAD_KEYWORDS.test(t)) return 'notepad';
-  
-  // Check for other specific products
-  if (/\bpen\b/.test(t)) return 'pen';
-  if (/\belastic\b/.test(t)) return 'elastic';
-  if (/\bcharm\b/.test(t)) return 'charm';
-  if (/\bclip/.test(t)) return 'clip';
-  if (/\btape\b/.test(t)) return 'tape';
-  if (/\bpocket\b/.test(t)) return 'pocket';
-  if (/(bracelet|pendant|stud|earring|jewellery|jewelry)/.test(t)) return 'jewelry';
-  
-  return null;
+  const rule = matchCustomsRule(title, '', { titleOnly: true });
+  return rule ? (rule.productType || null) : null;
 }
 
-// Map product type to correct HS and description
+// Map product type to correct HS and description (first title rule for that type)
 function getCorrectHSAndDescription(productType) {
-  switch(productType) {
-    case 'sticker':
-      return { hs: '4911998000', desc: 'Paper sticker' };
-    case 'sticky':
-      return { hs: '4820102020', desc: 'Sticky notepad' };
-    case 'planner':
-      return { hs: '4820102010', desc: 'Planner agenda (bound diary)' };
-    case 'notebook-b5': 
-      return { hs: '4820102030', desc: 'Notebook (sewn journal, B5 size)' };
-    case 'notebook':
-      return { hs: '4820102060', desc: 'Notebook (bound journal)' };
-    case 'notepad':
-      return { hs: '4820102020', desc: 'Notepad' };
-    case 'insert':
-      return { hs: '4820900000', desc: 'Planner inserts (loose refills)' };
-    case 'pen':
-      return { hs: '9608100000', desc: 'Gel ink pen' };
-    case 'elastic':
-      return { hs: '6307909800', desc: 'Elastic for notebook' };
-    case 'charm':
-      return { hs: '7117909000', desc: 'Charm for notebook ribbon' };
-    case 'clip':
-      return { hs: '8305903010', desc: 'Office paper clips' };
-    case 'tape':
-      return { hs: '4811412100', desc: 'Decorative tape for journaling' };
-    case 'pocket':
-      return { hs: '4811412100', desc: 'Paper pocket for notebook' };
-    case 'jewelry':
-      return { hs: '7113115000', desc: 'Sterling silver jewellery' };
-    case 'tape': 
-      return { hs:'4811412100', desc: 'Decorative tape for journaling'};
-    default:
-      return null;
-  }
+  if (!productType) return null;
+  const rule = activeRules.find(r => r.productType === productType && r.hsCode && !r.hsPrefix);
+  if (!rule) return null;
+  return { hs: rule.hsCode, desc: rule.description, country: rule.countryOfOrigin || undefined };
 }
 
 // normalize HS to digits
@@ -128,10 +131,10 @@ function normHS(code) {
 // robust getter for the HS field on a ShipStation customs item
 function getHS(ci) {
   const raw =
-    ci?.harmonizedTariffCode ?? 
-    ci?.harmonizedCode ??       
-    ci?.hsCode ??               
-    ci?.tariffCode ??           
+    ci?.harmonizedTariffCode ??
+    ci?.harmonizedCode ??
+    ci?.hsCode ??
+    ci?.tariffCode ??
     '';
   return String(raw);
 }
@@ -139,106 +142,46 @@ function getHS(ci) {
 // MAIN PICKER
 function pickCustomsDescription(harmonizedCode, titleOrDesc) {
   const title = String(titleOrDesc || '');
-  
-  // FIRST: Identify product from title - this takes priority!
-  const productType = identifyProductFromTitle(title);
-  
-  if (productType) {
-    // We know what it is from the title, so use the correct HS
-    const correct = getCorrectHSAndDescription(productType);
-    if (correct) {
-      // Always override with the correct HS for this product type
-      return { 
-        desc: correct.desc, 
-        overrideHS: correct.hs,  // Always override when identified by title
-        rule: `title-${productType}` 
-      };
-    }
+  const key = normHS(fixMalformedHS(harmonizedCode));
+
+  const rule = matchCustomsRule(title, key);
+  if (!rule) {
+    // Last resort - use the title as description
+    return { desc: title, rule: 'fallback' };
   }
-  
-  // If we couldn't identify from title, try to use the HS code
-  const fixedHS = fixMalformedHS(harmonizedCode);
-  const key = normHS(fixedHS);
-  
-  // Check exact match with fixed HS
-  const exact = HS_DESCRIPTION_RULES[key];
-  if (exact) return { desc: exact(title), rule: 'exact' };
-  
-  // Try prefix matching
-  const fuzzy = pickByPrefix(key, title);
-  if (fuzzy) return { desc: fuzzy, rule: 'prefix' };
-  
-  // Last resort - use the title as description
-  return { desc: title, rule: 'fallback' };
-}
 
-// Your existing HS_DESCRIPTION_RULES...
-const HS_DESCRIPTION_RULES = {
-  '4820102010': () => 'Planner agenda (bound diary)',
-  '4820102060': () => 'Notebook (bound journal)',
-  '4820102030': () => 'Notebook (sewn journal, B5 size)',
-  '4820102020': (title='') => {
-    const t = String(title).toLowerCase();
-    return (t.includes('sticky') || t.includes('stickies')) ? 'Sticky notepad' : 'Notepad';
-  },
-  '4911998000': () => 'Paper sticker',
-  '9608100000': () => 'Gel ink pen',
-  '4820900000': () => 'Planner inserts (loose refills)',
-  '8305903010': () => 'Office paper clips',
-  '6307909800': () => 'Elastic for notebook',
-  '7117909000': () => 'Charm for notebook ribbon',
-  '9608600000': () => 'Refills for ballpoint pen',
-  '4811412100': (title='') => {
-    const t = String(title).toLowerCase();
-    return t.includes('pocket') ? 'Paper pocket for notebook' : 'Decorative tape for journaling';
-  },
-  '7113115000': (title='') => {
-    const t = String(title).toLowerCase();
-    if (/(bracelet|bracelets)/.test(t)) return 'Sterling silver jewellery bracelets';
-    if (/(pendant|pendants)/.test(t))   return 'Sterling silver jewellery pendants';
-    if (/(stud|studs)/.test(t))         return 'Sterling silver jewellery studs';
-    if (/(earring|earrings)/.test(t))   return 'Sterling silver jewellery earrings';
-    return 'Sterling silver jewellery';
-  },
-};
+  const label = rule.hsPrefix
+    ? (key === rule.hsPrefix ? 'exact' : 'prefix')
+    : `title-${rule.productType || rule.id}`;
 
-// Keep the prefix function for backward compatibility
-function pickByPrefix(h, title='') {
-  const t = String(title).toLowerCase();
-
-  if (h.startsWith('48201020')) {
-    const last4 = h.slice(-4);
-    if (last4 === '2010') return 'Planner agenda (bound diary)';
-    if (last4 === '2060') return 'Notebook (bound journal)';
-    if (last4 === '2030') return 'Notebook (sewn journal, B5 size)';
-    if (last4 === '2020') return (t.includes('sticky') || t.includes('stickies')) ? 'Sticky notepad' : 'Notepad';
-    return 'Notebook (bound journal)';
-  }
-  if (h.startsWith('4911')) return 'Paper sticker';
-  if (h.startsWith('960810')) return 'Gel ink pen';
-  if (h.startsWith('960860')) return 'Refills for ballpoint pen';
-  if (h.startsWith('8305')) return 'Office paper clips';
-  if (h.startsWith('630790')) return 'Elastic for notebook';
-  if (h.startsWith('481141')) return t.includes('pocket') ? 'Paper pocket for notebook' : 'Decorative tape for journaling';
-  if (h.startsWith('711311')) {
-    if (/(bracelet|bracelets)/.test(t)) return 'Sterling silver jewellery bracelets';
-    if (/(pendant|pendants)/.test(t))   return 'Sterling silver jewellery pendants';
-    if (/(stud|studs)/.test(t))         return 'Sterling silver jewellery studs';
-    if (/(earring|earrings)/.test(t))   return 'Sterling silver jewellery earrings';
-    return 'Sterling silver jewellery';
-  }
-  if (h.startsWith('7117')) return 'Charm for notebook ribbon';
-  return null;
+  return {
+    desc: rule.description,
+    overrideHS: rule.hsCode || undefined,
+    country: rule.countryOfOrigin || undefined,
+    rule: label,
+    ruleId: rule.id,
+    productType: rule.productType || undefined
+  };
+}
+
+// Description for an HS code when the title didn't identify the product
+function pickByPrefix(h, title = '') {
+  const t = String(title || '');
+  const key = normHS(h);
+  const rule = activeRules.find(r => r.hsPrefix && key.startsWith(r.hsPrefix) && (!r.rx || r.rx.test(t)));
+  return rule ? rule.description : null;
 }
 
 module.exports = {
+  DEFAULT_CUSTOMS_RULES,
+  setCustomsRules,
+  matchCustomsRule,
   titleForcesSticker,
-  HS_DESCRIPTION_RULES,
   normHS,
   getHS,
   pickByPrefix,
   pickCustomsDescription,
   fixMalformedHS,
   identifyProductFromTitle,
-  getCorrectHSAndDescription  // Add this line
-};
\ No newline at end of file
+  getCorrectHSAndDescription
+};
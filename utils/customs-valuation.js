@@ -0,0 +1,246 @@
+// utils/customs-valuation.js - Declared customs value policy
+// Works out the per-unit `value` each customs line should declare: from the customs line itself or
+// from the order lines it covers (optionally net of discount adjustments), split across bundle
+// components, held above per-product-type floors and reconciled to what the customer paid.
+const { getDB } = require('./database');
+const { _scoreNameMatch } = require('./fuzzy-matching');
+
+const SETTINGS_KEY = 'customs_valuation_policy';
+
+//   valueSource    - 'customs' keeps each customs line's value; 'line' uses the linked order line's unit price;
+//                    'line-discounted' uses the unit price after its share of discount adjustments
+//   prorateBundles - when several customs lines link to one order line, split that line's price across them
+//   floors         - minimum per-unit value by product type ('default' for anything else); only applied to
+//                    values the policy computes, so customs values kept as entered are never raised
+//   reconcile      - scale values so the customs total matches the merchandise paid
+//                    (amountPaid - shipping - tax) when it is off by more than the tolerance
+const DEFAULT_VALUATION_POLICY = {
+  valueSource: 'customs',
+  prorateBundles: false,
+  floors: { default: 1.00 },
+  reconcile: false,
+  tolerancePct: 5,
+  toleranceAbs: 1.00
+};
+
+const VALUE_SOURCES = ['customs', 'line', 'line-discounted'];
+const LINK_MIN_SCORE = 0.45;
+
+let activePolicy = { ...DEFAULT_VALUATION_POLICY };
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+const money = n => Math.round(Number(n) * 100) / 100;
+const toBool = v => v === true || v === 1 || v === 'true' || v === '1' || v === 'on';
+
+// Validate + normalize policy input (merged over the current policy)
+function normalizePolicy(input = {}, base = DEFAULT_VALUATION_POLICY) {
+  const merged = { ...base, ...input };
+
+  const valueSource = String(merged.valueSource || '').trim();
+  if (!VALUE_SOURCES.includes(valueSource)) throw badRequest(`valueSource must be one of: ${VALUE_SOURCES.join(', ')}`);
+
+  const floors = {};
+  for (const [type, raw] of Object.entries(merged.floors || {})) {
+    const key = String(type).trim().toLowerCase();
+    if (!key || raw === '' || raw == null) continue;
+    const n = Number(raw);
+    if (!Number.isFinite(n) || n < 0) throw badRequest(`Floor for "${key}" must be a non-negative number`);
+    floors[key] = money(n);
+  }
+  if (floors.default == null) floors.default = DEFAULT_VALUATION_POLICY.floors.default;
+
+  const tolerancePct = Number(merged.tolerancePct);
+  const toleranceAbs = Number(merged.toleranceAbs);
+  if (!Number.isFinite(tolerancePct) || tolerancePct < 0) throw badRequest('tolerancePct must be a non-negative number');
+  if (!Number.isFinite(toleranceAbs) || toleranceAbs < 0) throw badRequest('toleranceAbs must be a non-negative number');
+
+  return {
+    valueSource,
+    prorateBundles: toBool(merged.prorateBundles),
+    floors,
+    reconcile: toBool(merged.reconcile),
+    tolerancePct,
+    toleranceAbs: money(toleranceAbs)
+  };
+}
+
+function getValuationPolicy() {
+  return { ...activePolicy, floors: { ...activePolicy.floors } };
+}
+
+// Reload the stored policy into memory (defaults until one is saved)
+async function loadValuationPolicy() {
+  const db = await getDB();
+  const row = await db.get('SELECT value FROM app_settings WHERE key = ?', SETTINGS_KEY);
+  let stored = {};
+  try { stored = row?.value ? JSON.parse(row.value) : {}; }
+  catch { console.error('[Customs Valuation] Stored policy is not valid JSON; using defaults'); }
+  try { activePolicy = normalizePolicy(stored); }
+  catch (e) { console.error(`[Customs Valuation] Stored policy rejected (${e.message}); using defaults`); activePolicy = { ...DEFAULT_VALUATION_POLICY }; }
+  return getValuationPolicy();
+}
+
+async function saveValuationPolicy(input) {
+  const policy = normalizePolicy(input, activePolicy);
+  const db = await getDB();
+  await db.run(`
+    INSERT INTO app_settings (key, value) VALUES (?, ?)
+    ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP
+  `, [SETTINGS_KEY, JSON.stringify(policy)]);
+  activePolicy = policy;
+  return getValuationPolicy();
+}
+
+// Order lines with their gross/net totals; discount adjustments are spread by gross share
+function orderLines(order) {
+  const items = Array.isArray(order.items) ? order.items : [];
+  const lines = [], adjustments = [];
+  items.forEach((it, idx) => {
+    const qty = Math.max(1, Number(it.quantity) || 1);
+    const gross = (Number(it.unitPrice) || 0) * qty;
+    if (it.adjustment) adjustments.push(gross);
+    else lines.push({ idx, item: it, qty, gross, net: gross });
+  });
+
+  const discount = -adjustments.filter(v => v < 0).reduce((a, b) => a + b, 0);
+  const grossTotal = lines.reduce((a, l) => a + l.gross, 0);
+  if (discount > 0 && grossTotal > 0) {
+    lines.forEach(l => { l.net = Math.max(0, l.gross - discount * (l.gross / grossTotal)); });
+  }
+  return { lines, discount: money(discount) };
+}
+
+// Link each customs line to an order line: orderItemId, then SKU, then best name match.
+// Several customs lines may link to one order line (a bundle).
+function linkCustomsToLines(customsItems, lines) {
+  return customsItems.map(ci => {
+    const byId = ci?.orderItemId != null && lines.find(l => String(l.item.orderItemId ?? l.item.itemId) === String(ci.orderItemId));
+    if (byId) return byId;
+    const sku = String(ci?.sku || '').trim();
+    const bySku = sku && lines.find(l => String(l.item.sku || '').trim() === sku);
+    if (bySku) return bySku;
+
+    let best = null;
+    for (const l of lines) {
+      const { score } = _scoreNameMatch(ci?.description || '', l.item.name || '');
+      if (score >= LINK_MIN_SCORE && (!best || score > best.score)) best = { line: l, score };
+    }
+    return best?.line || null;
+  });
+}
+
+/**
+ * Apply the policy to an order's customs lines.
+ * `productTypes[i]` is the rule product type for customs line i (used for floors and bundle weights).
+ * Returns { items, plan, summary }: items carry the new `value`; plan[i] is
+ * { index, value, valueNew, basis } where basis says how the value was arrived at.
+ */
+function valueCustomsItems(order, customsItems = [], { productTypes = [], policy = activePolicy } = {}) {
+  const { lines, discount } = orderLines(order);
+  const links = linkCustomsToLines(customsItems, lines);
+  const floorFor = i => {
+    const type = String(productTypes[i] || '').toLowerCase();
+    return policy.floors[type] ?? policy.floors.default ?? 0;
+  };
+  const qtyOf = ci => Math.max(1, Math.floor(Number(ci?.quantity) || 1));
+
+  const plan = customsItems.map((ci, i) => {
+    const current = Number(ci?.value);
+    return {
+      index: i,
+      value: Number.isFinite(current) ? money(current) : null,
+      valueNew: Number.isFinite(current) ? current : null, // a missing value stays missing unless the policy sets one
+      basis: ['customs']
+    };
+  });
+
+  if (policy.valueSource !== 'customs') {
+    const useNet = policy.valueSource === 'line-discounted';
+    // customs lines grouped by the order line they cover
+    const groups = new Map();
+    links.forEach((line, i) => {
+      if (!line) return;
+      if (!groups.has(line)) groups.set(line, []);
+      groups.get(line).push(i);
+    });
+
+    for (const [line, members] of groups) {
+      const total = useNet ? line.net : line.gross;
+      const basis = useNet && line.net !== line.gross ? 'line-discounted' : 'line';
+
+      if (members.length === 1 || !policy.prorateBundles) {
+        // Without proration each customs line declares the order line's unit price
+        members.forEach(i => {
+          plan[i].valueNew = members.length === 1 ? total / qtyOf(customsItems[i]) : total / line.qty;
+          plan[i].basis = [basis];
+        });
+        continue;
+      }
+
+      // Bundle: split the line total by floor (or current value) weight, equally when neither is set
+      const weights = members.map(i => qtyOf(customsItems[i]) * (floorFor(i) || Number(customsItems[i]?.value) || 0));
+      const sum = weights.reduce((a, b) => a + b, 0);
+      members.forEach((i, k) => {
+        const share = sum > 0 ? weights[k] / sum : 1 / members.length;
+        plan[i].valueNew = (total * share) / qtyOf(customsItems[i]);
+        plan[i].basis = [basis, `bundle of ${members.length}`];
+      });
+    }
+  }
+
+  const applyFloors = () => plan.forEach(p => {
+    if (p.basis[0] === 'customs' && !p.basis.includes('reconciled')) return;
+    const floor = floorFor(p.index);
+    if (p.valueNew < floor) {
+      p.valueNew = floor;
+      if (!p.basis.includes('floor')) p.basis.push('floor');
+    }
+  });
+  applyFloors();
+
+  const customsTotal = key => plan.reduce((a, p, i) => a + (p[key] || 0) * qtyOf(customsItems[i]), 0);
+  const planned = customsTotal('valueNew');
+  const merchandise = money((Number(order.amountPaid) || 0) - (Number(order.shippingAmount) || 0) - (Number(order.taxAmount) || 0));
+  let reconciled = false;
+
+  if (policy.reconcile && merchandise > 0 && planned > 0) {
+    const tolerance = Math.max(policy.toleranceAbs, merchandise * policy.tolerancePct / 100);
+    if (Math.abs(planned - merchandise) > tolerance) {
+      const factor = merchandise / planned;
+      plan.forEach(p => { p.valueNew = (p.valueNew || 0) * factor; p.basis.push('reconciled'); });
+      applyFloors(); // floors still win over the paid total
+      reconciled = true;
+    }
+  }
+
+  plan.forEach(p => { if (p.valueNew != null) p.valueNew = money(p.valueNew); });
+  const items = customsItems.map((ci, i) => (plan[i].valueNew === plan[i].value ? ci : { ...ci, value: plan[i].valueNew }));
+
+  return {
+    items,
+    plan: plan.map(p => ({ ...p, basis: p.basis.join(' + '), changed: p.valueNew !== p.value })),
+    summary: {
+      valueSource: policy.valueSource,
+      discount,
+      merchandiseTotal: merchandise,
+      customsTotal: money(customsTotal('value')),
+      customsTotalNew: money(customsTotal('valueNew')),
+      reconciled
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_VALUATION_POLICY,
+  VALUE_SOURCES,
+  normalizePolicy,
+  getValuationPolicy,
+  loadValuationPolicy,
+  saveValuationPolicy,
+  valueCustomsItems
+};
@@ -3,13 +3,37 @@ const sqlite3 = require('sqlite3').verbose();
 const { open } = require('sqlite');
 const path = require('path');
 
-let db;
+const DB_FILE = path.join(__dirname, '../vip_cache.db');
+// Methods that send SQL; on the shared handle they wait while a transaction holds the connection
+const GATED_METHODS = new Set(['run', 'get', 'all', 'each', 'exec', 'prepare']);
 
-async function initDB() {
+let db;        // the one connection
+let shared;    // what getDB() hands out: db, gated by withTransaction
+let initPromise;
+let txQueue = Promise.resolve();
+let txRunning = null; // resolves when the running transaction ends
+let inFlight = 0;     // statements on the shared handle that haven't finished
+let onDrained = null;
+
+// Open + migrate once; concurrent callers share the same promise
+function initDB() {
+  if (!initPromise) initPromise = openDB();
+  return initPromise;
+}
+
+async function openDB() {
   db = await open({
-    filename: path.join(__dirname, '../vip_cache.db'),
+    filename: DB_FILE,
     driver: sqlite3.Database
   });
+  shared = new Proxy(db, {
+    get(target, prop) {
+      const value = target[prop];
+      if (typeof value !== 'function') return value;
+      if (!GATED_METHODS.has(prop)) return value.bind(target);
+      return (...args) => gated(() => value.apply(target, args));
+    }
+  });
 
   // Create tables
   await db.exec(`
@@ -41,19 +65,309 @@ async function initDB() {
       synced_at TEXT DEFAULT CURRENT_TIMESTAMP
     );
     
+    CREATE TABLE IF NOT EXISTS customs_rules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      priority INTEGER NOT NULL DEFAULT 100,
+      product_type TEXT,
+      title_pattern TEXT,
+      hs_prefix TEXT,
+      hs_code TEXT,
+      description TEXT NOT NULL,
+      country_of_origin TEXT,
+      enabled INTEGER DEFAULT 1,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+    
+    CREATE TABLE IF NOT EXISTS order_audit (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      user_id INTEGER,
+      session_id TEXT,
+      source TEXT,
+      batch_id TEXT,
+      order_id INTEGER,
+      order_number TEXT,
+      original_customs TEXT,
+      original_item_skus TEXT,
+      payload TEXT,
+      ok INTEGER,
+      response_status INTEGER,
+      error_message TEXT,
+      rollback_of INTEGER
+    );
+    
+    CREATE TABLE IF NOT EXISTS order_snapshots (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      audit_id INTEGER,
+      order_id INTEGER,
+      taken_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      order_json TEXT
+    );
+    
+    CREATE TABLE IF NOT EXISTS jobs (
+      id TEXT PRIMARY KEY,
+      type TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'queued',
+      params TEXT,
+      user_id INTEGER,
+      session_id TEXT,
+      progress_done INTEGER DEFAULT 0,
+      progress_total INTEGER DEFAULT 0,
+      progress_failed INTEGER DEFAULT 0,
+      message TEXT,
+      checkpoint TEXT,
+      result TEXT,
+      result_file TEXT,
+      error_message TEXT,
+      cancel_requested INTEGER DEFAULT 0,
+      attempts INTEGER DEFAULT 0,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      started_at TEXT,
+      finished_at TEXT,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+    
+    CREATE TABLE IF NOT EXISTS app_settings (
+      key TEXT PRIMARY KEY,
+      value TEXT,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+    
+    CREATE TABLE IF NOT EXISTS duty_thresholds (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      country TEXT NOT NULL UNIQUE,
+      threshold REAL NOT NULL,
+      near_pct REAL DEFAULT 10,
+      note TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+    
+    CREATE TABLE IF NOT EXISTS hts_codes (
+      code TEXT PRIMARY KEY,
+      description TEXT,
+      indent INTEGER,
+      status TEXT NOT NULL DEFAULT 'active',
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+    
+    CREATE TABLE IF NOT EXISTS hts_imports (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      imported_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      user_id INTEGER,
+      source TEXT,
+      total INTEGER,
+      added INTEGER,
+      retired INTEGER
+    );
+    
+    CREATE TABLE IF NOT EXISTS shopify_variants (
+      variant_id INTEGER PRIMARY KEY,
+      product_id INTEGER,
+      sku TEXT,
+      product_title TEXT,
+      variant_title TEXT,
+      hs_code TEXT,
+      country_of_origin TEXT,
+      synced_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+    
+    CREATE TABLE IF NOT EXISTS sku_catalog (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      source TEXT NOT NULL,
+      source_id TEXT NOT NULL,
+      product_id TEXT,
+      sku TEXT NOT NULL,
+      name TEXT,
+      norm_name TEXT,
+      synced_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(source, source_id)
+    );
+    
+    CREATE TABLE IF NOT EXISTS sku_catalog_tokens (
+      token TEXT NOT NULL,
+      entry_id INTEGER NOT NULL
+    );
+    
+    CREATE TABLE IF NOT EXISTS sku_aliases (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name_key TEXT NOT NULL UNIQUE,
+      name TEXT NOT NULL,
+      sku TEXT NOT NULL,
+      created_by INTEGER,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+    
+    CREATE TABLE IF NOT EXISTS fuzzy_dictionary (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      kind TEXT NOT NULL CHECK (kind IN ('synonym', 'stopword', 'distinctive')),
+      term TEXT NOT NULL,
+      value TEXT,
+      weight REAL,
+      source TEXT NOT NULL DEFAULT 'user',
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(kind, term)
+    );
+    
+    CREATE TABLE IF NOT EXISTS webhook_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      received_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      resource_type TEXT,
+      resource_url TEXT,
+      job_id TEXT,
+      status TEXT NOT NULL DEFAULT 'received',
+      orders_total INTEGER DEFAULT 0,
+      error_message TEXT,
+      finished_at TEXT
+    );
+    
+    CREATE TABLE IF NOT EXISTS webhook_orders (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      event_id INTEGER NOT NULL,
+      order_id INTEGER,
+      order_number TEXT,
+      outcome TEXT NOT NULL,
+      reason TEXT,
+      changes INTEGER DEFAULT 0,
+      audit_id INTEGER,
+      details TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+    
+    CREATE TABLE IF NOT EXISTS review_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      order_id INTEGER NOT NULL,
+      order_number TEXT,
+      status TEXT NOT NULL DEFAULT 'pending',
+      source TEXT,
+      source_ref TEXT,
+      profile TEXT,
+      ship_to TEXT,
+      modify_date TEXT,
+      current_customs TEXT,
+      proposed_customs TEXT,
+      duty TEXT,
+      items TEXT,
+      audit_id INTEGER,
+      error_message TEXT,
+      reviewed_by INTEGER,
+      reviewed_at TEXT,
+      applied_at TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+    
+    CREATE TABLE IF NOT EXISTS review_lines (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      review_id INTEGER NOT NULL,
+      line_index INTEGER NOT NULL,
+      decision TEXT NOT NULL DEFAULT 'pending',
+      change TEXT,
+      UNIQUE(review_id, line_index)
+    );
+    
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      email TEXT NOT NULL UNIQUE,
+      name TEXT,
+      password_hash TEXT NOT NULL,
+      role TEXT NOT NULL DEFAULT 'viewer',
+      disabled INTEGER NOT NULL DEFAULT 0,
+      last_login_at TEXT,
+      created_by INTEGER,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- Sign-in attempts (kept 30 days) and per-IP / per-email failure counters for lockouts (utils/login-throttle.js)
+    CREATE TABLE IF NOT EXISTS login_attempts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      email TEXT,
+      ip TEXT,
+      ok INTEGER NOT NULL,
+      outcome TEXT NOT NULL,
+      user_agent TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS login_throttle (
+      key TEXT PRIMARY KEY,
+      failures INTEGER NOT NULL DEFAULT 0,
+      last_failure_at INTEGER NOT NULL,
+      locked_until INTEGER
+    );
+    
     CREATE INDEX IF NOT EXISTS idx_spent ON customers(total_spent);
     CREATE INDEX IF NOT EXISTS idx_customer_orders ON customer_orders(customer_id);
+    CREATE INDEX IF NOT EXISTS idx_customs_rules_priority ON customs_rules(priority);
+    CREATE INDEX IF NOT EXISTS idx_order_audit_number ON order_audit(order_number);
+    CREATE INDEX IF NOT EXISTS idx_order_audit_created ON order_audit(created_at);
+    CREATE INDEX IF NOT EXISTS idx_order_snapshots_audit ON order_snapshots(audit_id);
+    CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status, created_at);
+    CREATE INDEX IF NOT EXISTS idx_shopify_variants_sku ON shopify_variants(sku);
+    CREATE INDEX IF NOT EXISTS idx_sku_catalog_norm ON sku_catalog(norm_name);
+    CREATE INDEX IF NOT EXISTS idx_sku_catalog_product ON sku_catalog(product_id);
+    CREATE INDEX IF NOT EXISTS idx_sku_catalog_tokens ON sku_catalog_tokens(token);
+    CREATE INDEX IF NOT EXISTS idx_webhook_orders_event ON webhook_orders(event_id);
+    CREATE INDEX IF NOT EXISTS idx_webhook_orders_outcome ON webhook_orders(outcome, created_at);
+    CREATE INDEX IF NOT EXISTS idx_review_items_status ON review_items(status, created_at);
+    CREATE INDEX IF NOT EXISTS idx_review_items_order ON review_items(order_id);
+    CREATE INDEX IF NOT EXISTS idx_login_attempts_created ON login_attempts(ok, created_at);
   `);
   
-  console.log('✅ Database initialized at', path.join(__dirname, '../vip_cache.db'));
+  console.log('✅ Database initialized at', DB_FILE);
   return db;
 }
 
 async function getDB() {
-  if (!db) {
-    await initDB();
+  await initDB();
+  return shared;
+}
+
+async function gated(send) {
+  while (txRunning) await txRunning;
+  inFlight++;
+  try {
+    return await send();
+  } finally {
+    if (--inFlight === 0 && onDrained) onDrained();
   }
-  return db;
 }
 
-module.exports = { initDB, getDB };
\ No newline at end of file
+/**
+ * Run fn(conn) inside BEGIN ... COMMIT (ROLLBACK if it throws). SQLite has one connection here, so
+ * transactions run one at a time, and while one is open every statement sent through getDB() (job
+ * progress, audit rows, reads) waits for it to finish instead of joining it and being rolled back with it.
+ * fn must send its SQL through `conn`, keep the transaction short, and not call withTransaction itself.
+ */
+function withTransaction(fn) {
+  const run = txQueue.then(async () => {
+    await initDB();
+    let finish;
+    txRunning = new Promise(resolve => { finish = resolve; });
+    try {
+      if (inFlight) await new Promise(resolve => { onDrained = resolve; });
+      onDrained = null;
+      await db.run('BEGIN TRANSACTION');
+      try {
+        const result = await fn(db);
+        await db.run('COMMIT');
+        return result;
+      } catch (error) {
+        await db.run('ROLLBACK');
+        throw error;
+      }
+    } finally {
+      txRunning = null;
+      finish();
+    }
+  });
+  txQueue = run.catch(() => {});
+  return run;
+}
+
+module.exports = { initDB, getDB, withTransaction };
\ No newline at end of file
@@ -0,0 +1,186 @@
+// utils/duty-thresholds.js - Per-destination de minimis / duty thresholds
+// Each row is keyed by an ISO-2 country or a customs profile id (e.g. EU covers every member state).
+// Amounts are in the currency customs values are declared in (USD for ShipStation).
+const { getDB, withTransaction } = require('./database');
+const { normCountry } = require('./shipstation-helpers');
+const { resolveCustomsProfile, getCustomsProfile } = require('./customs-profiles');
+
+const DEFAULT_DUTY_THRESHOLDS = [
+  { country: 'US', threshold: 0,   nearPct: 10, note: 'De minimis suspended for all origins since 2025-08-29; every parcel is dutiable' },
+  { country: 'GB', threshold: 170, nearPct: 10, note: '~£135 customs duty threshold' },
+  { country: 'EU', threshold: 160, nearPct: 10, note: '~€150 customs duty relief (all member states)' },
+  { country: 'AU', threshold: 650, nearPct: 10, note: '~A$1,000 low value threshold' },
+  { country: 'NZ', threshold: 600, nearPct: 10, note: '~NZ$1,000 de minimis' }
+];
+
+let thresholdsByKey = new Map(DEFAULT_DUTY_THRESHOLDS.map(t => [t.country, t]));
+
+function rowToThreshold(row) {
+  return {
+    id: row.id,
+    country: row.country,
+    threshold: row.threshold,
+    nearPct: row.near_pct,
+    note: row.note || '',
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// Validate + normalize user input into column values
+function toColumns(input = {}) {
+  const raw = String(input.country || '').trim().toUpperCase();
+  const country = getCustomsProfile(raw) && raw.length > 2 ? raw : normCountry(raw);
+  if (!country) throw badRequest('country is required (ISO-2 code or a customs profile id such as EU)');
+
+  const threshold = Number(input.threshold);
+  if (input.threshold === '' || !Number.isFinite(threshold) || threshold < 0) throw badRequest('threshold must be a non-negative number');
+
+  const nearPct = Number(input.nearPct ?? 10);
+  if (!Number.isFinite(nearPct) || nearPct < 0 || nearPct > 100) throw badRequest('nearPct must be between 0 and 100');
+
+  return {
+    country,
+    threshold: Math.round(threshold * 100) / 100,
+    near_pct: nearPct,
+    note: String(input.note || '').trim().slice(0, 255) || null
+  };
+}
+
+async function insertThreshold(db, cols) {
+  const result = await db.run(
+    'INSERT INTO duty_thresholds (country, threshold, near_pct, note) VALUES (?, ?, ?, ?)',
+    [cols.country, cols.threshold, cols.near_pct, cols.note]
+  );
+  return result.lastID;
+}
+
+function duplicateCountry(err, country) {
+  if (!/UNIQUE/.test(err.message)) return err;
+  const dup = new Error(`A threshold for ${country} already exists`);
+  dup.status = 409;
+  return dup;
+}
+
+// Seed the built-in defaults the first time the table is used
+async function seedDefaultDutyThresholds() {
+  const seeded = await withTransaction(async db => {
+    const { count } = await db.get('SELECT COUNT(*) as count FROM duty_thresholds');
+    if (count > 0) return false;
+    for (const t of DEFAULT_DUTY_THRESHOLDS) {
+      await insertThreshold(db, toColumns(t));
+    }
+    return true;
+  });
+  if (!seeded) return 0;
+  console.log(`[Duty Thresholds] Seeded ${DEFAULT_DUTY_THRESHOLDS.length} default thresholds`);
+  return DEFAULT_DUTY_THRESHOLDS.length;
+}
+
+async function listDutyThresholds() {
+  const db = await getDB();
+  const rows = await db.all('SELECT * FROM duty_thresholds ORDER BY country ASC');
+  return rows.map(rowToThreshold);
+}
+
+async function getDutyThreshold(id) {
+  const db = await getDB();
+  const row = await db.get('SELECT * FROM duty_thresholds WHERE id = ?', id);
+  return row ? rowToThreshold(row) : null;
+}
+
+// Reload the in-memory table used by assessDutyThreshold
+async function refreshDutyThresholds() {
+  await seedDefaultDutyThresholds();
+  const list = await listDutyThresholds();
+  thresholdsByKey = new Map(list.map(t => [t.country, t]));
+  return list;
+}
+
+async function createDutyThreshold(input) {
+  const cols = toColumns(input);
+  const db = await getDB();
+  let id;
+  try { id = await insertThreshold(db, cols); }
+  catch (e) { throw duplicateCountry(e, cols.country); }
+  await refreshDutyThresholds();
+  return getDutyThreshold(id);
+}
+
+async function updateDutyThreshold(id, input) {
+  const existing = await getDutyThreshold(id);
+  if (!existing) return null;
+
+  const cols = toColumns({ ...existing, ...input });
+  const db = await getDB();
+  try {
+    await db.run(`
+      UPDATE duty_thresholds SET country = ?, threshold = ?, near_pct = ?, note = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [cols.country, cols.threshold, cols.near_pct, cols.note, id]);
+  } catch (e) {
+    throw duplicateCountry(e, cols.country);
+  }
+  await refreshDutyThresholds();
+  return getDutyThreshold(id);
+}
+
+async function deleteDutyThreshold(id) {
+  const db = await getDB();
+  const result = await db.run('DELETE FROM duty_thresholds WHERE id = ?', id);
+  await refreshDutyThresholds();
+  return result.changes > 0;
+}
+
+// Sum of value x quantity over the order's customs lines
+function declaredCustomsTotal(order) {
+  const list = order?.internationalOptions?.customsItems || order?.customsItems || [];
+  const total = list.reduce((sum, ci) => sum + (Number(ci?.value) || 0) * Math.max(1, Number(ci?.quantity) || 1), 0);
+  return Math.round(total * 100) / 100;
+}
+
+/**
+ * Compare an order's declared customs total with its destination's threshold.
+ * `declaredTotal` defaults to the order's current customs lines.
+ * status: over | near (within nearPct below the threshold) | under | unknown (no threshold configured)
+ */
+function assessDutyThreshold(order, declaredTotal = declaredCustomsTotal(order)) {
+  const country = normCountry(order?.shipTo?.country || '');
+  const profile = resolveCustomsProfile(order);
+  const entry = thresholdsByKey.get(country) || (profile && thresholdsByKey.get(profile.id)) || null;
+  const total = Math.round((Number(declaredTotal) || 0) * 100) / 100;
+
+  if (!entry) {
+    return { country, declaredTotal: total, threshold: null, appliesTo: null, status: 'unknown', message: `No duty threshold configured for ${country || 'this destination'}` };
+  }
+
+  const { threshold, nearPct } = entry;
+  let status = 'under';
+  if (total > threshold) status = 'over';
+  else if (threshold > 0 && total >= threshold * (1 - nearPct / 100)) status = 'near';
+
+  const message =
+    status === 'over' ? `Declared ${total} is over the ${entry.country} threshold of ${threshold}` :
+    status === 'near' ? `Declared ${total} is within ${nearPct}% of the ${entry.country} threshold of ${threshold}` :
+    `Declared ${total} is under the ${entry.country} threshold of ${threshold}`;
+
+  return { country, declaredTotal: total, threshold, appliesTo: entry.country, status, message };
+}
+
+module.exports = {
+  DEFAULT_DUTY_THRESHOLDS,
+  listDutyThresholds,
+  getDutyThreshold,
+  refreshDutyThresholds,
+  createDutyThreshold,
+  updateDutyThreshold,
+  deleteDutyThreshold,
+  declaredCustomsTotal,
+  assessDutyThreshold
+};
@@ -0,0 +1,240 @@
+// utils/fuzzy-dictionary.js - Stored synonym / stopword / distinctive-token dictionary for fuzzy name matching
+// Entries are one of:
+//   synonym     - term -> canonical token (e.g. tabs -> sticker), applied by _tokens
+//   stopword    - token dropped by _tokens
+//   distinctive - token that adds `weight` to _scoreNameMatch when both names contain it
+// The scorer setting (which similarity algorithm, whether to fold accents) lives in app_settings.
+// First use seeds the built-in synonyms plus the collection, colour and motif names from public/sku-rules.js.
+// No stopwords are seeded, so matching scores stay as they were until an admin adds some.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { getDB, withTransaction } = require('./database');
+const {
+  DEFAULT_SYNONYMS,
+  DEFAULT_DISTINCTIVE,
+  DEFAULT_DISTINCTIVE_WEIGHT,
+  DEFAULT_SCORER_SETTINGS,
+  setFuzzyDictionary,
+  setFuzzyScorer,
+  getFuzzyScorer,
+  _norm
+} = require('./fuzzy-matching');
+const { SCORER_NAMES } = require('./fuzzy-scorers');
+
+const KINDS = ['synonym', 'stopword', 'distinctive'];
+const SCORER_SETTINGS_KEY = 'fuzzy_scorer';
+const FILLER_WORDS = ['and', 'the', 'with', 'for']; // joins words in names like "Fern and Moss"; not distinctive
+
+function rowToEntry(row) {
+  return {
+    id: row.id,
+    kind: row.kind,
+    term: row.term,
+    value: row.value || '',
+    weight: row.weight,
+    source: row.source,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// Terms are stored the way _norm leaves them so they line up with the tokens being compared
+function toColumns(input = {}) {
+  const kind = String(input.kind || '').trim().toLowerCase();
+  if (!KINDS.includes(kind)) throw badRequest(`kind must be one of: ${KINDS.join(', ')}`);
+
+  const term = _norm(input.term);
+  if (!term || term.includes(' ')) throw badRequest('term must be a single word (letters, digits or dashes)');
+
+  let value = null, weight = null;
+  if (kind === 'synonym') {
+    value = _norm(input.value);
+    if (!value || value.includes(' ')) throw badRequest('A synonym needs a single-word canonical value');
+    if (value === term) throw badRequest('A synonym must map to a different word');
+  }
+  if (kind === 'distinctive') {
+    weight = Number(input.weight ?? DEFAULT_DISTINCTIVE_WEIGHT);
+    if (!Number.isFinite(weight) || weight < 0 || weight > 0.5) throw badRequest('weight must be between 0 and 0.5');
+  }
+
+  return { kind, term, value, weight, source: input.source === 'seed' ? 'seed' : 'user' };
+}
+
+async function insertEntry(db, cols) {
+  const result = await db.run(
+    'INSERT INTO fuzzy_dictionary (kind, term, value, weight, source) VALUES (?, ?, ?, ?, ?)',
+    [cols.kind, cols.term, cols.value, cols.weight, cols.source]
+  );
+  return result.lastID;
+}
+
+function duplicateTerm(err, cols) {
+  if (!/UNIQUE/.test(err.message)) return err;
+  const dup = new Error(`"${cols.term}" is already a ${cols.kind}`);
+  dup.status = 409;
+  return dup;
+}
+
+// Single words from the collection / colour / motif tables the SKU generator uses
+function skuRuleWords() {
+  const file = path.join(__dirname, '../public/sku-rules.js');
+  const sandbox = { window: {} };
+  vm.runInNewContext(fs.readFileSync(file, 'utf8'), sandbox, { filename: file });
+  const rules = sandbox.window.SKU_RULES || {};
+
+  const words = new Set();
+  for (const table of [rules.collections, rules.colors, rules.motifs]) {
+    Object.keys(table || {}).forEach(phrase => {
+      _norm(phrase).split(' ').forEach(w => {
+        if (w.length >= 3 && !FILLER_WORDS.includes(w)) words.add(w);
+      });
+    });
+  }
+  return words;
+}
+
+function seedEntries() {
+  const entries = [];
+  Object.entries(DEFAULT_SYNONYMS).forEach(([term, value]) => entries.push({ kind: 'synonym', term, value }));
+
+  const synonymTerms = new Set(Object.keys(DEFAULT_SYNONYMS));
+  const distinctive = new Set(DEFAULT_DISTINCTIVE);
+  try {
+    skuRuleWords().forEach(w => distinctive.add(w));
+  } catch (e) {
+    console.error('[Fuzzy Dictionary] Could not read sku-rules.js:', e.message);
+  }
+  // A word that is rewritten by a synonym never reaches the scorer
+  distinctive.forEach(term => {
+    if (!synonymTerms.has(term)) entries.push({ kind: 'distinctive', term, weight: DEFAULT_DISTINCTIVE_WEIGHT });
+  });
+  return entries.map(e => ({ ...e, source: 'seed' }));
+}
+
+async function seedFuzzyDictionary() {
+  const entries = seedEntries();
+  const seeded = await withTransaction(async db => {
+    const { count } = await db.get('SELECT COUNT(*) as count FROM fuzzy_dictionary');
+    if (count > 0) return false;
+    for (const e of entries) await insertEntry(db, toColumns(e));
+    return true;
+  });
+  if (!seeded) return 0;
+  console.log(`[Fuzzy Dictionary] Seeded ${entries.length} entries`);
+  return entries.length;
+}
+
+async function listFuzzyDictionary() {
+  const db = await getDB();
+  const rows = await db.all('SELECT * FROM fuzzy_dictionary ORDER BY kind ASC, term ASC');
+  return rows.map(rowToEntry);
+}
+
+async function getFuzzyDictionaryEntry(id) {
+  const db = await getDB();
+  const row = await db.get('SELECT * FROM fuzzy_dictionary WHERE id = ?', id);
+  return row ? rowToEntry(row) : null;
+}
+
+// Reload the dictionary the fuzzy matcher uses
+async function refreshFuzzyDictionary() {
+  await seedFuzzyDictionary();
+  const entries = await listFuzzyDictionary();
+  const synonyms = new Map(), stopwords = new Set(), distinctive = new Map();
+  for (const e of entries) {
+    if (e.kind === 'synonym') synonyms.set(e.term, e.value);
+    else if (e.kind === 'stopword') stopwords.add(e.term);
+    else if (e.kind === 'distinctive') distinctive.set(e.term, e.weight || 0);
+  }
+  setFuzzyDictionary({ synonyms, stopwords, distinctive });
+  console.log(`[Fuzzy Dictionary] Loaded ${synonyms.size} synonyms, ${stopwords.size} stopwords, ${distinctive.size} distinctive tokens`);
+  return entries;
+}
+
+async function createFuzzyDictionaryEntry(input) {
+  const cols = toColumns({ ...input, source: 'user' });
+  const db = await getDB();
+  let id;
+  try { id = await insertEntry(db, cols); }
+  catch (e) { throw duplicateTerm(e, cols); }
+  await refreshFuzzyDictionary();
+  return getFuzzyDictionaryEntry(id);
+}
+
+async function updateFuzzyDictionaryEntry(id, input) {
+  const existing = await getFuzzyDictionaryEntry(id);
+  if (!existing) return null;
+
+  const cols = toColumns({ ...existing, ...input, source: 'user' });
+  const db = await getDB();
+  try {
+    await db.run(`
+      UPDATE fuzzy_dictionary SET kind = ?, term = ?, value = ?, weight = ?, source = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [cols.kind, cols.term, cols.value, cols.weight, cols.source, id]);
+  } catch (e) {
+    throw duplicateTerm(e, cols);
+  }
+  await refreshFuzzyDictionary();
+  return getFuzzyDictionaryEntry(id);
+}
+
+async function deleteFuzzyDictionaryEntry(id) {
+  const db = await getDB();
+  const result = await db.run('DELETE FROM fuzzy_dictionary WHERE id = ?', id);
+  await refreshFuzzyDictionary();
+  return result.changes > 0;
+}
+
+const toBool = v => v === true || v === 1 || v === 'true' || v === '1' || v === 'on';
+
+function normalizeScorerSettings(input = {}, base = DEFAULT_SCORER_SETTINGS) {
+  const merged = { ...base, ...input };
+  const scorer = String(merged.scorer || '').trim();
+  if (!SCORER_NAMES.includes(scorer)) throw badRequest(`scorer must be one of: ${SCORER_NAMES.join(', ')}`);
+  return { scorer, foldAccents: toBool(merged.foldAccents) };
+}
+
+// Reload the stored scorer setting (defaults until one is saved)
+async function loadFuzzyScorer() {
+  const db = await getDB();
+  const row = await db.get('SELECT value FROM app_settings WHERE key = ?', SCORER_SETTINGS_KEY);
+  let stored = {};
+  try { stored = row?.value ? JSON.parse(row.value) : {}; }
+  catch { console.error('[Fuzzy Dictionary] Stored scorer setting is not valid JSON; using defaults'); }
+  try { setFuzzyScorer(normalizeScorerSettings(stored)); }
+  catch (e) { console.error(`[Fuzzy Dictionary] Stored scorer setting rejected (${e.message}); using defaults`); setFuzzyScorer(DEFAULT_SCORER_SETTINGS); }
+  return getFuzzyScorer();
+}
+
+async function saveFuzzyScorer(input) {
+  const settings = normalizeScorerSettings(input, getFuzzyScorer());
+  const db = await getDB();
+  await db.run(`
+    INSERT INTO app_settings (key, value) VALUES (?, ?)
+    ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP
+  `, [SCORER_SETTINGS_KEY, JSON.stringify(settings)]);
+  setFuzzyScorer(settings);
+  return getFuzzyScorer();
+}
+
+module.exports = {
+  FUZZY_DICTIONARY_KINDS: KINDS,
+  FUZZY_SCORERS: SCORER_NAMES,
+  listFuzzyDictionary,
+  getFuzzyDictionaryEntry,
+  refreshFuzzyDictionary,
+  createFuzzyDictionaryEntry,
+  updateFuzzyDictionaryEntry,
+  deleteFuzzyDictionaryEntry,
+  getFuzzyScorer,
+  loadFuzzyScorer,
+  saveFuzzyScorer
+};
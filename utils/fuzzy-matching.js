@@ -1,27 +1,59 @@
 // Fuzzy name matching utilities for SKU resolution
+const { SCORERS, foldAccents } = require('./fuzzy-scorers');
+
+// Which similarity algorithm _scoreNameMatch uses, and whether _norm strips accents first;
+// replaced by the stored setting (utils/fuzzy-dictionary.js) once it loads
+const DEFAULT_SCORER_SETTINGS = { scorer: 'blend', foldAccents: false };
+let scorerSettings = { ...DEFAULT_SCORER_SETTINGS };
+
+function setFuzzyScorer(next) {
+  scorerSettings = { ...DEFAULT_SCORER_SETTINGS, ...next };
+}
+
+function getFuzzyScorer() {
+  return { ...scorerSettings };
+}
 
 function _norm(s) {
-  return String(s || '')
-    .toLowerCase()
+  const lower = String(s || '').toLowerCase();
+  return (scorerSettings.foldAccents ? foldAccents(lower) : lower)
     .replace(/&/g, ' and ')
     .replace(/[^a-z0-9\s-]/g, ' ')
     .replace(/\s+/g, ' ')
     .trim();
 }
 
+// Built-in dictionary; replaced by the stored one (utils/fuzzy-dictionary.js) once it loads
+const DEFAULT_SYNONYMS = {
+  tab: 'sticker', tabs: 'sticker', stickers: 'sticker',
+  'tab-sticker': 'sticker', 'tab-stickers': 'sticker', tabsticker: 'sticker', tabstickers: 'sticker',
+  wildflowers: 'wildflower', botanicals: 'botanical'
+};
+const DEFAULT_DISTINCTIVE = ['woodlands', 'enchanted', 'forest', 'botanical', 'sticker', 'monthly', 'tabs'];
+const DEFAULT_DISTINCTIVE_WEIGHT = 0.05;
+
+let dictionary = {
+  synonyms: new Map(Object.entries(DEFAULT_SYNONYMS)),
+  stopwords: new Set(),
+  distinctive: new Map(DEFAULT_DISTINCTIVE.map(w => [w, DEFAULT_DISTINCTIVE_WEIGHT]))
+};
+
+// { synonyms: Map(term -> canonical), stopwords: Set, distinctive: Map(token -> weight) }
+function setFuzzyDictionary(next) {
+  dictionary = next;
+}
+
 function _normalizeToken(tok) {
   if (!tok) return '';
-  if (/^tabs?$/.test(tok) || /^stickers?$/.test(tok) || /^tab[- ]?stickers?$/.test(tok)) return 'sticker';
-  if (/^wildflowers?$/.test(tok)) return 'wildflower';
-  if (/^botanicals?$/.test(tok)) return 'botanical';
-  return tok;
+  return dictionary.synonyms.get(tok) || tok;
 }
 
 function _tokens(name) {
-  return _norm(name).split(' ').map(_normalizeToken).filter(Boolean);
+  return _norm(name).split(' ').map(_normalizeToken).filter(t => t && !dictionary.stopwords.has(t));
 }
 
-function _scoreNameMatch(queryName, candidateName) {
+// `scorer` overrides the configured algorithm (the benchmark compares them side by side)
+function _scoreNameMatch(queryName, candidateName, { scorer = scorerSettings.scorer } = {}) {
   const tqArr = _tokens(queryName);
   const tcArr = _tokens(candidateName);
   const tq = new Set(tqArr);
@@ -34,10 +66,10 @@ function _scoreNameMatch(queryName, candidateName) {
   const jaccard  = inter.size / Math.max(1, union.size);
 
   let bonus = 0;
-  const distinctive = ['woodlands','enchanted','forest','botanical','sticker','monthly','tabs'];
-  distinctive.forEach(w => { if (tq.has(w) && tc.has(w)) bonus += 0.05; });
+  inter.forEach(w => { bonus += dictionary.distinctive.get(w) || 0; });
 
-  const score = Math.min(1, 0.7 * coverage + 0.25 * jaccard + bonus);
+  const base = (SCORERS[scorer] || SCORERS.blend)(tqArr, tcArr);
+  const score = Math.min(1, base + bonus);
   return { score, coverage, jaccard };
 }
 
@@ -55,6 +87,13 @@ function _nameVariants(name) {
 }
 
 module.exports = {
+  DEFAULT_SYNONYMS,
+  DEFAULT_DISTINCTIVE,
+  DEFAULT_DISTINCTIVE_WEIGHT,
+  setFuzzyDictionary,
+  DEFAULT_SCORER_SETTINGS,
+  setFuzzyScorer,
+  getFuzzyScorer,
   _norm,
   _normalizeToken,
   _tokens,
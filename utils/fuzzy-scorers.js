@@ -0,0 +1,126 @@
+// utils/fuzzy-scorers.js - Interchangeable similarity algorithms for fuzzy name matching
+// Each scorer takes the two names' token lists (already normalized, synonym-mapped and stopword-free
+// by fuzzy-matching._tokens) and returns a similarity in [0, 1]. _scoreNameMatch adds the
+// distinctive-token bonus on top of whichever one is selected.
+
+// Coverage of the query's tokens blended with Jaccard (the original scorer)
+function blend(tq, tc) {
+  const q = new Set(tq), c = new Set(tc);
+  let inter = 0;
+  q.forEach(t => { if (c.has(t)) inter++; });
+  const coverage = inter / Math.max(1, q.size);
+  const jaccard = inter / Math.max(1, new Set([...q, ...c]).size);
+  return 0.7 * coverage + 0.25 * jaccard;
+}
+
+function jaro(a, b) {
+  if (a === b) return 1;
+  if (!a.length || !b.length) return 0;
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatched = new Array(a.length).fill(false);
+  const bMatched = new Array(b.length).fill(false);
+
+  let matches = 0;
+  for (let i = 0; i < a.length; i++) {
+    const lo = Math.max(0, i - window), hi = Math.min(b.length - 1, i + window);
+    for (let j = lo; j <= hi; j++) {
+      if (bMatched[j] || a[i] !== b[j]) continue;
+      aMatched[i] = bMatched[j] = true;
+      matches++;
+      break;
+    }
+  }
+  if (!matches) return 0;
+
+  let transpositions = 0;
+  for (let i = 0, j = 0; i < a.length; i++) {
+    if (!aMatched[i]) continue;
+    while (!bMatched[j]) j++;
+    if (a[i] !== b[j]) transpositions++;
+    j++;
+  }
+  return (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+}
+
+// Jaro-Winkler over the joined names: forgiving of typos, rewards a shared prefix
+function jaroWinkler(tq, tc) {
+  const a = tq.join(' '), b = tc.join(' ');
+  const j = jaro(a, b);
+  let prefix = 0;
+  while (prefix < 4 && prefix < a.length && a[prefix] === b[prefix]) prefix++;
+  return j + prefix * 0.1 * (1 - j);
+}
+
+function trigrams(tokens) {
+  const grams = new Map();
+  for (const t of tokens) {
+    const padded = `  ${t} `;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      const g = padded.slice(i, i + 3);
+      grams.set(g, (grams.get(g) || 0) + 1);
+    }
+  }
+  return grams;
+}
+
+// Dice coefficient over per-word character trigrams: tolerant of typos and word order
+function trigram(tq, tc) {
+  const a = trigrams(tq), b = trigrams(tc);
+  let shared = 0, total = 0;
+  a.forEach((n, g) => { shared += Math.min(n, b.get(g) || 0); total += n; });
+  b.forEach(n => { total += n; });
+  return total ? (2 * shared) / total : 0;
+}
+
+// Similarity from the insertion/deletion edit distance (2 * LCS / combined length)
+function indelRatio(a, b) {
+  if (!a.length && !b.length) return 1;
+  let prev = new Array(b.length + 1).fill(0);
+  for (let i = 1; i <= a.length; i++) {
+    const row = new Array(b.length + 1).fill(0);
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = a[i - 1] === b[j - 1] ? prev[j - 1] + 1 : Math.max(prev[j], row[j - 1]);
+    }
+    prev = row;
+  }
+  return (2 * prev[b.length]) / (a.length + b.length);
+}
+
+// Token-set ratio: compares the shared words against each side's full word set, so extra
+// words on one side and word order barely matter
+function tokenSet(tq, tc) {
+  const q = [...new Set(tq)].sort(), c = [...new Set(tc)].sort();
+  const cSet = new Set(c), qSet = new Set(q);
+  const common = q.filter(t => cSet.has(t)).join(' ');
+  const withQ = [common, q.filter(t => !cSet.has(t)).join(' ')].filter(Boolean).join(' ');
+  const withC = [common, c.filter(t => !qSet.has(t)).join(' ')].filter(Boolean).join(' ');
+  if (!withQ || !withC) return 0;
+  return Math.max(
+    common ? indelRatio(common, withQ) : 0,
+    common ? indelRatio(common, withC) : 0,
+    indelRatio(withQ, withC)
+  );
+}
+
+const SCORERS = {
+  blend,
+  'jaro-winkler': jaroWinkler,
+  trigram,
+  'token-set': tokenSet
+};
+
+const LIGATURES = { 'ß': 'ss', 'æ': 'ae', 'œ': 'oe', 'ø': 'o', 'ł': 'l', 'đ': 'd', 'ð': 'd', 'þ': 'th' };
+
+// Strip diacritics (Luminé -> Lumine, Rivière -> Riviere); expects lowercase input
+function foldAccents(s) {
+  return String(s || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[ßæœøłđðþ]/g, c => LIGATURES[c]);
+}
+
+module.exports = {
+  SCORERS,
+  SCORER_NAMES: Object.keys(SCORERS),
+  foldAccents
+};
@@ -0,0 +1,205 @@
+// utils/hts-schedule.js - Local copy of the US HTS schedule, used to validate HS codes before we write them
+// Imported from the USITC CSV/JSON export (or any file with an HTS number column). Codes that a later
+// import no longer lists are kept as 'retired' so stale rule output and old product data get flagged.
+const { getDB, withTransaction } = require('./database');
+const { parseCSV } = require('./shipstation-helpers');
+const { normHS } = require('./customs-rules');
+
+// In-memory view used by the synchronous checks (buildCustomsPatch runs without awaiting)
+let codes = new Map();          // digits -> { description, status }
+let headings = new Set();       // 6-digit subheadings with at least one active code
+let retiredHeadings = new Set();
+let activeCount = 0;
+
+// Statuses that stop a write unless the caller overrides
+const BLOCKING_HS_STATUSES = ['invalid', 'retired'];
+
+const RETIRED_WORDS = ['retired', 'expired', 'deleted', 'inactive', 'obsolete'];
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// Column lookup that tolerates the USITC headers ("HTS Number", "htsno") and simpler files ("code")
+const FIELD_NAMES = {
+  code: ['htsno', 'htsnumber', 'hts', 'htscode', 'hscode', 'code'],
+  description: ['description', 'desc', 'articledescription'],
+  indent: ['indent'],
+  status: ['status']
+};
+
+function pickField(row, field) {
+  for (const [key, value] of Object.entries(row)) {
+    if (FIELD_NAMES[field].includes(key.toLowerCase().replace(/[^a-z]/g, ''))) return value;
+  }
+  return undefined;
+}
+
+// CSV or JSON text -> [{ code, description, indent, status }]; rows without an HTS number are headings-only text
+function parseHTSFile(text) {
+  const src = String(text || '').replace(/^\uFEFF/, '').trim();
+  if (!src) throw badRequest('The HTS file is empty');
+
+  let records;
+  if (src[0] === '[' || src[0] === '{') {
+    let data;
+    try { data = JSON.parse(src); }
+    catch (e) { throw badRequest(`Invalid HTS JSON: ${e.message}`); }
+    records = Array.isArray(data) ? data : Object.values(data).find(Array.isArray);
+    if (!records) throw badRequest('HTS JSON must be an array of rows (or an object holding one)');
+  } else {
+    records = parseCSV(src);
+  }
+
+  const rows = [];
+  for (const rec of records) {
+    if (!rec || typeof rec !== 'object') continue;
+    const code = normHS(pickField(rec, 'code'));
+    if (code.length < 4 || code.length > 10) continue;
+    const status = String(pickField(rec, 'status') || '').trim().toLowerCase();
+    const indent = Number(pickField(rec, 'indent'));
+    rows.push({
+      code,
+      description: String(pickField(rec, 'description') || '').trim().slice(0, 500),
+      indent: Number.isFinite(indent) ? indent : null,
+      status: RETIRED_WORDS.includes(status) ? 'retired' : 'active'
+    });
+  }
+  if (!rows.length) throw badRequest('No HTS numbers found (expected a column like "HTS Number", "htsno" or "code")');
+  return rows;
+}
+
+/**
+ * Replace the stored schedule with the rows in `text`. Codes missing from the new file
+ * are marked retired rather than deleted. Returns the import summary.
+ */
+async function importHTSSchedule(text, { source = '', req } = {}) {
+  const rows = parseHTSFile(text);
+  const db = await getDB();
+
+  let added = 0;
+  await withTransaction(async db => {
+    const before = new Set((await db.all('SELECT code FROM hts_codes')).map(r => r.code));
+    await db.run(`UPDATE hts_codes SET status = 'retired', updated_at = CURRENT_TIMESTAMP WHERE status = 'active'`);
+    const stmt = await db.prepare(`
+      INSERT INTO hts_codes (code, description, indent, status) VALUES (?, ?, ?, ?)
+      ON CONFLICT(code) DO UPDATE SET
+        description = excluded.description, indent = excluded.indent,
+        status = excluded.status, updated_at = CURRENT_TIMESTAMP
+    `);
+    try {
+      for (const r of rows) {
+        if (!before.has(r.code)) added++;
+        await stmt.run([r.code, r.description, r.indent, r.status]);
+      }
+    } finally {
+      await stmt.finalize();
+    }
+  });
+
+  const { retired } = await db.get(`SELECT COUNT(*) as retired FROM hts_codes WHERE status = 'retired'`);
+  const summary = { source: String(source || '').slice(0, 255), total: rows.length, added, retired };
+  await db.run(
+    'INSERT INTO hts_imports (user_id, source, total, added, retired) VALUES (?, ?, ?, ?, ?)',
+    [req?.session?.userId ?? null, summary.source, summary.total, summary.added, summary.retired]
+  );
+
+  await refreshHTSSchedule();
+  return summary;
+}
+
+// Reload the in-memory lookup from SQLite
+async function refreshHTSSchedule() {
+  const db = await getDB();
+  const rows = await db.all('SELECT code, description, status FROM hts_codes');
+
+  const nextCodes = new Map();
+  const nextHeadings = new Set();
+  const nextRetired = new Set();
+  let active = 0;
+  for (const r of rows) {
+    nextCodes.set(r.code, { description: r.description || '', status: r.status });
+    if (r.status === 'active') active++;
+    if (r.code.length < 6) continue;
+    if (r.status === 'active') nextHeadings.add(r.code.slice(0, 6));
+    else nextRetired.add(r.code.slice(0, 6));
+  }
+  nextHeadings.forEach(h => nextRetired.delete(h));
+
+  codes = nextCodes;
+  headings = nextHeadings;
+  retiredHeadings = nextRetired;
+  activeCount = active;
+  if (rows.length) console.log(`[HTS] Loaded ${active} active / ${rows.length - active} retired codes`);
+  return { active, retired: rows.length - active };
+}
+
+/**
+ * Check one HS code against the imported schedule.
+ * A US-HTS profile needs the exact 10-digit statistical code; other destinations use their own
+ * national codes, so only the shared 6-digit subheading is checked. Without a profile (product
+ * data), 10-digit codes are checked exactly and shorter ones by subheading.
+ * Returns { code, status, message, description, blocking } with status one of
+ * valid | invalid | retired | missing | unchecked (no schedule imported).
+ */
+function checkHSCode(hs, opts) {
+  const check = lookupHSCode(hs, opts);
+  check.blocking = BLOCKING_HS_STATUSES.includes(check.status);
+  return check;
+}
+
+function lookupHSCode(hs, { profile } = {}) {
+  const code = normHS(hs);
+  if (!code) return { code, status: 'missing', message: 'No HS code' };
+  if (!activeCount) return { code, status: 'unchecked', message: 'No HTS schedule imported' };
+
+  const exact = profile ? profile.tariff === 'US-HTS' : code.length >= 10;
+  if (exact) {
+    if (code.length !== 10) return { code, status: 'invalid', message: `US HTS codes have 10 digits (got ${code.length})` };
+    const entry = codes.get(code);
+    if (!entry) return { code, status: 'invalid', message: `${code} is not in the HTS schedule` };
+    if (entry.status === 'retired') {
+      return { code, status: 'retired', message: `${code} has been retired from the HTS schedule`, description: entry.description };
+    }
+    return { code, status: 'valid', message: 'OK', description: entry.description };
+  }
+
+  if (code.length < 6) return { code, status: 'invalid', message: `HS codes need at least 6 digits (got ${code.length})` };
+  const sub = code.slice(0, 6);
+  const description = codes.get(sub)?.description || '';
+  if (headings.has(sub)) return { code, status: 'valid', message: 'OK', description };
+  if (retiredHeadings.has(sub)) {
+    return { code, status: 'retired', message: `Subheading ${sub} has been retired from the HTS schedule`, description };
+  }
+  return { code, status: 'invalid', message: `Subheading ${sub} is not in the HTS schedule` };
+}
+
+async function getHTSStatus() {
+  const db = await getDB();
+  const counts = await db.get(`
+    SELECT SUM(status = 'active') as active, SUM(status = 'retired') as retired FROM hts_codes
+  `);
+  const lastImport = await db.get('SELECT * FROM hts_imports ORDER BY id DESC LIMIT 1');
+  return {
+    active: counts.active || 0,
+    retired: counts.retired || 0,
+    lastImport: lastImport ? {
+      importedAt: lastImport.imported_at,
+      source: lastImport.source,
+      total: lastImport.total,
+      added: lastImport.added,
+      retired: lastImport.retired
+    } : null
+  };
+}
+
+module.exports = {
+  BLOCKING_HS_STATUSES,
+  parseHTSFile,
+  importHTSSchedule,
+  refreshHTSSchedule,
+  checkHSCode,
+  getHTSStatus
+};
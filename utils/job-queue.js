@@ -0,0 +1,270 @@
+// utils/job-queue.js - Persisted background jobs with progress, cancellation and resumable checkpoints.
+// Jobs run one at a time per lane in this process. Long jobs (scans, exports, bulk updates) share the
+// 'default' lane; types registered with { priority: true } (webhook auto-fixes) get their own lane so they
+// never wait behind an hours-long scan. Both lanes share the ShipStation rate limiter, which serves calls
+// in arrival order, so a priority job's calls interleave with the long job's.
+const crypto = require('crypto');
+const { getDB } = require('./database');
+
+const handlers = new Map(); // type -> { handler, lane, permission }
+const FINISHED = ['completed', 'failed', 'cancelled'];
+const LANES = ['priority', 'default'];
+
+const draining = new Set();  // lanes with a drain loop running
+const running = new Map();   // job id -> { cancelRequested }
+
+class JobCancelledError extends Error {
+  constructor() {
+    super('Job cancelled');
+    this.name = 'JobCancelledError';
+  }
+}
+
+function parseJSON(text, fallback) {
+  try { return text ? JSON.parse(text) : fallback; }
+  catch { return fallback; }
+}
+
+function rowToJob(row, { withResult = false } = {}) {
+  const job = {
+    id: row.id,
+    type: row.type,
+    status: row.status,
+    params: parseJSON(row.params, {}),
+    userId: row.user_id,
+    userEmail: row.user_email || null,
+    progress: {
+      done: row.progress_done || 0,
+      total: row.progress_total || 0,
+      failed: row.progress_failed || 0
+    },
+    message: row.message || null,
+    resultFile: row.result_file || null,
+    error: row.error_message || null,
+    cancelRequested: !!row.cancel_requested,
+    attempts: row.attempts || 0,
+    createdAt: row.created_at,
+    startedAt: row.started_at || null,
+    finishedAt: row.finished_at || null,
+    updatedAt: row.updated_at
+  };
+  if (withResult) job.result = parseJSON(row.result, null);
+  return job;
+}
+
+function httpError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Register the function that runs a job type. It is called as handler(ctx) where ctx has
+ * { id, params, checkpoint, req, progress(), saveCheckpoint(), throwIfCancelled() } and
+ * resolves to { result, file, message } (all optional). A resumed job gets its last checkpoint.
+ * priority: run in the priority lane, next to whatever long job is running (keep these jobs short).
+ * permission: what starting the job took (see utils/permissions.js), or params => permission when that
+ * depends on the job; its owner needs it still to cancel, resume or read the job.
+ */
+function registerJobType(type, handler, { priority = false, permission = null } = {}) {
+  handlers.set(type, { handler, lane: priority ? 'priority' : 'default', permission });
+}
+
+// The permission a job was started under (null when any signed-in user may start it)
+function jobPermission(job) {
+  const { permission } = handlers.get(job.type) || {};
+  return (typeof permission === 'function' ? permission(job.params) : permission) || null;
+}
+
+const priorityTypes = () => [...handlers].filter(([, h]) => h.lane === 'priority').map(([type]) => type);
+
+function drainAll() {
+  LANES.forEach(lane => drainQueue(lane).catch(console.error));
+}
+
+async function enqueueJob(type, params = {}, { req } = {}) {
+  if (!handlers.has(type)) throw httpError(`Unknown job type: ${type}`, 400);
+  const db = await getDB();
+  const id = crypto.randomUUID();
+  await db.run(
+    'INSERT INTO jobs (id, type, params, user_id, session_id, message) VALUES (?, ?, ?, ?, ?, ?)',
+    [id, type, JSON.stringify(params), req?.session?.userId ?? null, req?.sessionID || null, 'Queued']
+  );
+  setImmediate(drainAll);
+  return getJob(id);
+}
+
+async function getJob(id, opts) {
+  const db = await getDB();
+  const row = await db.get('SELECT * FROM jobs WHERE id = ?', String(id));
+  return row ? rowToJob(row, opts) : null;
+}
+
+async function listJobs({ type, status, limit = 25 } = {}) {
+  const db = await getDB();
+  const where = [], params = [];
+  if (type)   { where.push('j.type = ?');   params.push(String(type)); }
+  if (status) { where.push('j.status = ?'); params.push(String(status)); }
+  params.push(Math.max(1, Math.min(200, Number(limit) || 25)));
+
+  const rows = await db.all(`
+    SELECT j.*, u.email as user_email FROM jobs j
+    LEFT JOIN users u ON u.id = j.user_id
+    ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+    ORDER BY j.created_at DESC, j.rowid DESC
+    LIMIT ?
+  `, params);
+  return rows.map(r => rowToJob(r));
+}
+
+// Queued jobs are cancelled at once; a running job stops at its next throwIfCancelled()
+async function cancelJob(id) {
+  const db = await getDB();
+  const job = await getJob(id);
+  if (!job) return null;
+  if (FINISHED.includes(job.status)) throw httpError(`Job is already ${job.status}`, 409);
+
+  if (job.status === 'queued') {
+    await db.run(`
+      UPDATE jobs SET status = 'cancelled', message = 'Cancelled before start',
+             finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?`, job.id);
+  } else {
+    await db.run('UPDATE jobs SET cancel_requested = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?', job.id);
+    if (running.has(job.id)) running.get(job.id).cancelRequested = true;
+  }
+  return getJob(id);
+}
+
+// Put a failed or cancelled job back on the queue; it continues from its last checkpoint
+async function resumeJob(id) {
+  const db = await getDB();
+  const job = await getJob(id);
+  if (!job) return null;
+  if (job.status !== 'failed' && job.status !== 'cancelled') {
+    throw httpError(`Only failed or cancelled jobs can be resumed (job is ${job.status})`, 409);
+  }
+  await db.run(`
+    UPDATE jobs SET status = 'queued', cancel_requested = 0, error_message = NULL,
+           finished_at = NULL, message = 'Queued (resume)', updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?`, job.id);
+  setImmediate(drainAll);
+  return getJob(id);
+}
+
+async function runJob(row) {
+  const db = await getDB();
+  const { handler } = handlers.get(row.type) || {};
+  if (!handler) {
+    await db.run(`
+      UPDATE jobs SET status = 'failed', error_message = ?, finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?`, [`No handler registered for ${row.type}`, row.id]);
+    return;
+  }
+
+  const state = { cancelRequested: !!row.cancel_requested };
+  running.set(row.id, state);
+  await db.run(`
+    UPDATE jobs SET status = 'running', attempts = attempts + 1, started_at = COALESCE(started_at, CURRENT_TIMESTAMP),
+           updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?`, row.id);
+
+  const ctx = {
+    id: row.id,
+    params: parseJSON(row.params, {}),
+    checkpoint: parseJSON(row.checkpoint, null),
+    // Request-shaped owner of the job, for code that records who made a change
+    req: { session: { userId: row.user_id }, sessionID: row.session_id },
+
+    async progress({ done, total, failed, message } = {}) {
+      const sets = [], params = [];
+      if (done != null)    { sets.push('progress_done = ?');   params.push(done); }
+      if (total != null)   { sets.push('progress_total = ?');  params.push(total); }
+      if (failed != null)  { sets.push('progress_failed = ?'); params.push(failed); }
+      if (message != null) { sets.push('message = ?');         params.push(String(message)); }
+      if (!sets.length) return;
+      await db.run(`UPDATE jobs SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [...params, row.id]);
+    },
+
+    async saveCheckpoint(data) {
+      ctx.checkpoint = data;
+      await db.run('UPDATE jobs SET checkpoint = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [JSON.stringify(data), row.id]);
+    },
+
+    throwIfCancelled() {
+      if (state.cancelRequested) throw new JobCancelledError();
+    }
+  };
+
+  try {
+    const out = (await handler(ctx)) || {};
+    await db.run(`
+      UPDATE jobs SET status = 'completed', result = ?, result_file = ?, message = COALESCE(?, message),
+             finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?`,
+      [JSON.stringify(out.result ?? null), out.file || null, out.message || null, row.id]);
+  } catch (err) {
+    if (err instanceof JobCancelledError) {
+      await db.run(`
+        UPDATE jobs SET status = 'cancelled', message = 'Cancelled', finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?`, row.id);
+    } else {
+      const msg = err.response?.data?.message || err.response?.data?.Message || err.message || String(err);
+      console.error(`[Job ${row.id}] ${row.type} failed:`, msg);
+      await db.run(`
+        UPDATE jobs SET status = 'failed', error_message = ?, finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?`, [typeof msg === 'string' ? msg : JSON.stringify(msg), row.id]);
+    }
+  } finally {
+    running.delete(row.id);
+  }
+}
+
+async function drainQueue(lane) {
+  if (draining.has(lane)) return;
+  draining.add(lane);
+  try {
+    const db = await getDB();
+    for (;;) {
+      // The default lane takes everything else, including types nothing handles any more (they fail)
+      const types = priorityTypes();
+      if (lane === 'priority' && !types.length) break;
+      const row = await db.get(`
+        SELECT * FROM jobs WHERE status = 'queued'
+          AND type ${lane === 'priority' ? '' : 'NOT '}IN (${types.map(() => '?').join(', ')})
+        ORDER BY created_at ASC, rowid ASC LIMIT 1
+      `, types);
+      if (!row) break;
+      await runJob(row);
+    }
+  } finally {
+    draining.delete(lane);
+  }
+}
+
+// Call once at startup, after every job type is registered. Jobs that were running
+// when the process stopped are re-queued and pick up from their last checkpoint.
+async function startJobWorker() {
+  const db = await getDB();
+  await db.run(`
+    UPDATE jobs SET status = 'cancelled', message = 'Cancelled', finished_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP
+    WHERE status = 'running' AND cancel_requested = 1`);
+  const { changes } = await db.run(`
+    UPDATE jobs SET status = 'queued', message = 'Resuming after restart', updated_at = CURRENT_TIMESTAMP
+    WHERE status = 'running'`);
+  if (changes) console.log(`[Jobs] Re-queued ${changes} interrupted job(s)`);
+  drainAll();
+}
+
+module.exports = {
+  JobCancelledError,
+  registerJobType,
+  jobPermission,
+  enqueueJob,
+  getJob,
+  listJobs,
+  cancelJob,
+  resumeJob,
+  startJobWorker
+};
@@ -0,0 +1,135 @@
+// utils/login-throttle.js - Brute-force protection for POST /api/login
+// Failed sign-ins are counted per client IP and per submitted email, whether or not that account exists, so a
+// lockout says nothing about which emails are real. After LOCK_AFTER failures each further one doubles the
+// lockout (30s, 1m, 2m, ... up to an hour); a counter starts over after a day without failures. Attempts are
+// counted before the password is checked, so a burst of parallel requests can't all slip past the limit; a
+// successful sign-in hands its count back and clears the account's counter.
+const { getDB } = require('./database');
+
+const LOCK_AFTER = { email: 5, ip: 20 }; // an office behind one NAT address shares the IP counter
+const BASE_LOCK_MS = 30 * 1000;
+const MAX_LOCK_MS = 60 * 60 * 1000;
+const FORGET_AFTER_MS = 24 * 60 * 60 * 1000;
+const KEEP_ATTEMPTS_DAYS = 30;
+
+const normalizeEmail = email => String(email || '').trim().toLowerCase().slice(0, 320);
+
+function throttleKeys({ email, ip }) {
+  const keys = [{ key: `ip:${ip || 'unknown'}`, lockAfter: LOCK_AFTER.ip }];
+  const address = normalizeEmail(email);
+  if (address) keys.push({ key: `email:${address}`, lockAfter: LOCK_AFTER.email });
+  return keys;
+}
+
+const lockMs = (failures, lockAfter) =>
+  failures < lockAfter ? 0 : Math.min(MAX_LOCK_MS, BASE_LOCK_MS * 2 ** (failures - lockAfter));
+
+// Check-and-count runs one request at a time (the app is a single process on one SQLite connection)
+let queue = Promise.resolve();
+function serialized(fn) {
+  const run = queue.then(fn);
+  queue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Call before checking the password. Returns { locked: true, retryAfter } (seconds) while the IP or the
+ * email is locked out; otherwise counts the attempt as a failure up front and returns { locked: false }.
+ */
+function beginLoginAttempt({ email, ip }) {
+  return serialized(async () => {
+    const db = await getDB();
+    const now = Date.now();
+    const keys = throttleKeys({ email, ip });
+    const rows = await Promise.all(keys.map(k => db.get('SELECT * FROM login_throttle WHERE key = ?', k.key)));
+
+    const lockedUntil = Math.max(0, ...rows.map(r => r?.locked_until || 0));
+    if (lockedUntil > now) return { locked: true, retryAfter: Math.ceil((lockedUntil - now) / 1000) };
+
+    for (const [i, { key, lockAfter }] of keys.entries()) {
+      const row = rows[i];
+      const failures = row && now - row.last_failure_at < FORGET_AFTER_MS ? row.failures + 1 : 1;
+      const ms = lockMs(failures, lockAfter);
+      await db.run(`
+        INSERT INTO login_throttle (key, failures, last_failure_at, locked_until) VALUES (?, ?, ?, ?)
+        ON CONFLICT(key) DO UPDATE SET
+          failures = excluded.failures, last_failure_at = excluded.last_failure_at, locked_until = excluded.locked_until
+      `, [key, failures, now, ms ? now + ms : null]);
+    }
+    return { locked: false };
+  });
+}
+
+/**
+ * Call once the outcome is known. outcome: 'ok' | 'invalid' | 'locked'. Logs the attempt; on 'ok' takes back
+ * the failure beginLoginAttempt counted for the IP and clears the email's counter.
+ */
+async function finishLoginAttempt({ email, ip, userAgent, outcome }) {
+  const db = await getDB();
+  if (outcome === 'ok') {
+    const [ipKey, emailKey] = throttleKeys({ email, ip });
+    await serialized(async () => {
+      await db.run(`
+        UPDATE login_throttle SET failures = MAX(failures - 1, 0),
+          locked_until = CASE WHEN failures - 1 < ? THEN NULL ELSE locked_until END
+        WHERE key = ?
+      `, [ipKey.lockAfter, ipKey.key]);
+      if (emailKey) await db.run('DELETE FROM login_throttle WHERE key = ?', emailKey.key);
+    });
+  }
+
+  await db.run(
+    'INSERT INTO login_attempts (email, ip, ok, outcome, user_agent) VALUES (?, ?, ?, ?, ?)',
+    [normalizeEmail(email), ip || null, outcome === 'ok' ? 1 : 0, outcome, String(userAgent || '').slice(0, 300)]
+  );
+  if (outcome !== 'ok') {
+    await db.run(`DELETE FROM login_attempts WHERE created_at < datetime('now', '-${KEEP_ATTEMPTS_DAYS} days')`);
+  }
+}
+
+// Recent failed attempts (newest first), for the admin view
+async function listFailedLoginAttempts({ limit = 100 } = {}) {
+  const db = await getDB();
+  const rows = await db.all(
+    'SELECT * FROM login_attempts WHERE ok = 0 ORDER BY created_at DESC, id DESC LIMIT ?',
+    [Math.max(1, Math.min(1000, Number(limit) || 100))]
+  );
+  return rows.map(row => ({
+    id: row.id,
+    email: row.email,
+    ip: row.ip,
+    outcome: row.outcome,
+    userAgent: row.user_agent,
+    createdAt: row.created_at
+  }));
+}
+
+// IPs and emails locked out right now
+async function listLockouts() {
+  const db = await getDB();
+  const rows = await db.all(
+    'SELECT * FROM login_throttle WHERE locked_until > ? ORDER BY locked_until DESC',
+    [Date.now()]
+  );
+  return rows.map(row => ({
+    key: row.key,
+    failures: row.failures,
+    lastFailureAt: new Date(row.last_failure_at).toISOString(),
+    lockedUntil: new Date(row.locked_until).toISOString()
+  }));
+}
+
+// Lift a lockout early (admin); returns false when there was no counter for that key
+async function clearLockout(key) {
+  const db = await getDB();
+  const result = await serialized(() => db.run('DELETE FROM login_throttle WHERE key = ?', String(key)));
+  return result.changes > 0;
+}
+
+module.exports = {
+  beginLoginAttempt,
+  finishLoginAttempt,
+  listFailedLoginAttempts,
+  listLockouts,
+  clearLockout
+};
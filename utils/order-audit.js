@@ -0,0 +1,148 @@
+// utils/order-audit.js - Persistent log of every order write sent to ShipStation,
+// with a full before-snapshot of the order so the write can be rolled back
+const { getDB } = require('./database');
+
+function parseJSON(text, fallback) {
+  try { return text ? JSON.parse(text) : fallback; }
+  catch { return fallback; }
+}
+
+function rowToEntry(row) {
+  return {
+    id: row.id,
+    createdAt: row.created_at,
+    userId: row.user_id,
+    userEmail: row.user_email || null,
+    sessionId: row.session_id,
+    source: row.source,
+    batchId: row.batch_id || null,
+    rollbackOf: row.rollback_of || null,
+    orderId: row.order_id,
+    orderNumber: row.order_number,
+    originalCustomsItems: parseJSON(row.original_customs, []),
+    originalItemSkus: parseJSON(row.original_item_skus, []),
+    payload: parseJSON(row.payload, null),
+    ok: !!row.ok,
+    responseStatus: row.response_status,
+    errorMessage: row.error_message || null
+  };
+}
+
+/**
+ * Record one createorder call. `order` is the copy we loaded before writing (kept
+ * whole as the rollback snapshot), `result` is what tryPatchOrder returned.
+ */
+async function recordOrderWrite({ req, source, batchId, rollbackOf, order, payload, result }) {
+  const db = await getDB();
+  const items = Array.isArray(order?.items) ? order.items : [];
+  const originalSkus = items.map(it => ({
+    orderItemId: it.orderItemId ?? null,
+    lineItemKey: it.lineItemKey || null,
+    name: it.name || '',
+    sku: String(it.sku || '')
+  }));
+
+  const { lastID } = await db.run(`
+    INSERT INTO order_audit (user_id, session_id, source, batch_id, rollback_of, order_id, order_number,
+                             original_customs, original_item_skus, payload, ok, response_status, error_message)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    req?.session?.userId ?? null,
+    req?.sessionID || null,
+    source || null,
+    batchId || null,
+    rollbackOf || null,
+    order?.orderId ?? payload?.orderId ?? null,
+    order?.orderNumber != null ? String(order.orderNumber) : (payload?.orderNumber || null),
+    JSON.stringify(order?.internationalOptions?.customsItems || []),
+    JSON.stringify(originalSkus),
+    JSON.stringify(payload || null),
+    result?.ok ? 1 : 0,
+    result?.status || null,
+    result?.ok ? null : (result?.message || null)
+  ]);
+
+  if (order) {
+    await db.run(
+      'INSERT INTO order_snapshots (audit_id, order_id, order_json) VALUES (?, ?, ?)',
+      [lastID, order.orderId ?? null, JSON.stringify(order)]
+    );
+  }
+  return lastID;
+}
+
+// The order as it was right before the audited write
+async function getOrderSnapshot(auditId) {
+  const db = await getDB();
+  const row = await db.get('SELECT order_json FROM order_snapshots WHERE audit_id = ? ORDER BY id DESC LIMIT 1', auditId);
+  return row ? parseJSON(row.order_json, null) : null;
+}
+
+async function getAuditBatch(batchId) {
+  const db = await getDB();
+  const rows = await db.all('SELECT * FROM order_audit WHERE batch_id = ? ORDER BY id ASC', String(batchId));
+  return rows.map(rowToEntry);
+}
+
+// Successful writes to the same order made after the given audit entry
+async function findLaterWrites(orderId, afterAuditId) {
+  const db = await getDB();
+  const rows = await db.all(
+    'SELECT * FROM order_audit WHERE order_id = ? AND id > ? AND ok = 1 ORDER BY id ASC',
+    [orderId, afterAuditId]
+  );
+  return rows.map(rowToEntry);
+}
+
+// Search by order number and/or created_at range (ISO dates or datetimes)
+async function searchOrderAudit({ orderNumber, orderId, batchId, from, to, limit = 100 } = {}) {
+  const db = await getDB();
+  const where = [], params = [];
+
+  if (orderNumber) { where.push('a.order_number = ?'); params.push(String(orderNumber)); }
+  if (orderId)     { where.push('a.order_id = ?');     params.push(Number(orderId)); }
+  if (batchId)     { where.push('a.batch_id = ?');     params.push(String(batchId)); }
+  // created_at is stored as "YYYY-MM-DD HH:MM:SS" (UTC)
+  if (from) { where.push('a.created_at >= ?'); params.push(toSqlTime(from)); }
+  if (to)   { where.push('a.created_at <= ?'); params.push(toSqlTime(to, true)); }
+
+  const sql = `
+    SELECT a.*, u.email as user_email FROM order_audit a
+    LEFT JOIN users u ON u.id = a.user_id
+    ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+    ORDER BY a.created_at DESC, a.id DESC
+    LIMIT ?
+  `;
+  params.push(Math.max(1, Math.min(1000, Number(limit) || 100)));
+
+  const rows = await db.all(sql, params);
+  return rows.map(rowToEntry);
+}
+
+async function getOrderAuditEntry(id) {
+  const db = await getDB();
+  const row = await db.get('SELECT * FROM order_audit WHERE id = ?', id);
+  return row ? rowToEntry(row) : null;
+}
+
+// Date-only upper bounds include the whole day
+function toSqlTime(value, endOfDay = false) {
+  const s = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return `${s} ${endOfDay ? '23:59:59' : '00:00:00'}`;
+  const d = new Date(s);
+  if (Number.isNaN(d.getTime())) {
+    const err = new Error(`Invalid date: ${s}`);
+    err.status = 400;
+    throw err;
+  }
+  return d.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+module.exports = {
+  recordOrderWrite,
+  searchOrderAudit,
+  getOrderAuditEntry,
+  getOrderSnapshot,
+  getAuditBatch,
+  findLaterWrites
+};
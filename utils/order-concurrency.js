@@ -0,0 +1,78 @@
+// utils/order-concurrency.js - Detect edits made in ShipStation between loading an order and writing it back
+// createorder replaces the whole order, so a payload built from a stale copy would undo whatever a packer
+// changed meanwhile. Our writes only own the customs items and the item SKUs; everything else is compared
+// by hash against a fresh read. Other fields changed -> fine, the patch is merged into the fresh copy
+// (ShipStationAPI#patchOrder); the customs / SKUs / item lines themselves changed -> conflict.
+const crypto = require('crypto');
+
+// Writable order fields besides items and internationalOptions
+const ORDER_FIELDS = [
+  'orderKey', 'orderNumber', 'orderDate', 'paymentDate', 'shipByDate', 'orderStatus',
+  'customerUsername', 'customerEmail', 'customerId', 'billTo', 'shipTo',
+  'amountPaid', 'taxAmount', 'shippingAmount', 'customerNotes', 'internalNotes', 'gift', 'giftMessage',
+  'requestedShippingService', 'carrierCode', 'serviceCode', 'packageCode', 'confirmation', 'shipDate',
+  'weight', 'dimensions', 'insuranceOptions', 'advancedOptions', 'tagIds'
+];
+
+// JSON with sorted keys so key order from the API doesn't count as a change
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(k => value[k] !== undefined).map(k => `${JSON.stringify(k)}:${canonical(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+const hash = value => crypto.createHash('sha256').update(canonical(value)).digest('hex');
+const itemKey = (item, idx) => String(item?.orderItemId ?? item?.lineItemKey ?? `idx:${idx}`);
+
+// The parts of an order our writes don't own, keyed by a readable field name
+function unownedParts(order) {
+  const { customsItems, ...intlRest } = order.internationalOptions || {};
+  const parts = Object.fromEntries(ORDER_FIELDS.map(f => [f, order[f]]));
+  (order.items || []).forEach((item, idx) => {
+    const { sku, ...rest } = item;
+    parts[`items[${itemKey(item, idx)}]`] = rest;
+  });
+  parts.internationalOptions = intlRest;
+  return parts;
+}
+
+// The parts our writes own: customs lines, item SKUs and which item lines exist
+function ownedParts(order) {
+  return {
+    customsItems: order.internationalOptions?.customsItems || [],
+    itemSkus: (order.items || []).map((item, idx) => [itemKey(item, idx), String(item.sku || '')])
+  };
+}
+
+/**
+ * Compare the copy a payload was built from with a fresh read.
+ * Returns { unchanged, customsChanged, changedFields } where changedFields names the other fields
+ * that differ (e.g. 'internalNotes', 'items[123]').
+ */
+function compareOrderVersions(loaded, latest) {
+  if ((loaded.modifyDate || null) === (latest.modifyDate || null)) {
+    return { unchanged: true, customsChanged: false, changedFields: [] };
+  }
+  const before = unownedParts(loaded), after = unownedParts(latest);
+  const changedFields = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(f => hash(before[f]) !== hash(after[f]));
+  return {
+    unchanged: false,
+    customsChanged: hash(ownedParts(loaded)) !== hash(ownedParts(latest)),
+    changedFields
+  };
+}
+
+function conflictError(message, conflict) {
+  const err = new Error(message);
+  err.status = 409;
+  err.conflict = conflict;
+  return err;
+}
+
+module.exports = {
+  compareOrderVersions,
+  conflictError
+};
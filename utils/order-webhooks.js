@@ -0,0 +1,127 @@
+// utils/order-webhooks.js - ShipStation webhook deliveries and what happened to each order in them
+// A delivery (webhook_events) is recorded as soon as it is accepted; the job that processes it adds
+// one webhook_orders row per order: applied, queued (needs a human), skipped or failed.
+const crypto = require('crypto');
+const { getDB } = require('./database');
+
+const OUTCOMES = ['applied', 'queued', 'skipped', 'failed'];
+
+function parseJSON(text, fallback) {
+  try { return text ? JSON.parse(text) : fallback; }
+  catch { return fallback; }
+}
+
+function rowToEvent(row) {
+  return {
+    id: row.id,
+    receivedAt: row.received_at,
+    resourceType: row.resource_type,
+    resourceUrl: row.resource_url,
+    jobId: row.job_id || null,
+    status: row.status,
+    ordersTotal: row.orders_total || 0,
+    error: row.error_message || null,
+    finishedAt: row.finished_at || null
+  };
+}
+
+function rowToOutcome(row) {
+  return {
+    id: row.id,
+    eventId: row.event_id,
+    orderId: row.order_id,
+    orderNumber: row.order_number,
+    outcome: row.outcome,
+    reason: row.reason || null,
+    changes: row.changes || 0,
+    auditId: row.audit_id || null,
+    details: parseJSON(row.details, null),
+    createdAt: row.created_at
+  };
+}
+
+// Constant-time comparison against SHIPSTATION_WEBHOOK_SECRET (hashed so lengths always match)
+function webhookSecretMatches(provided, secret = process.env.SHIPSTATION_WEBHOOK_SECRET) {
+  if (!secret || !provided) return false;
+  const digest = s => crypto.createHash('sha256').update(String(s)).digest();
+  return crypto.timingSafeEqual(digest(provided), digest(secret));
+}
+
+async function recordWebhookEvent({ resourceType, resourceUrl }) {
+  const db = await getDB();
+  const { lastID } = await db.run(
+    'INSERT INTO webhook_events (resource_type, resource_url) VALUES (?, ?)',
+    [resourceType || null, resourceUrl || null]
+  );
+  return lastID;
+}
+
+async function updateWebhookEvent(id, { jobId, status, ordersTotal, error, finished = false }) {
+  const sets = [], params = [];
+  if (jobId !== undefined)       { sets.push('job_id = ?');        params.push(jobId); }
+  if (status !== undefined)      { sets.push('status = ?');        params.push(status); }
+  if (ordersTotal !== undefined) { sets.push('orders_total = ?');  params.push(ordersTotal); }
+  if (error !== undefined)       { sets.push('error_message = ?'); params.push(error); }
+  if (finished) sets.push('finished_at = CURRENT_TIMESTAMP');
+  if (!sets.length) return;
+  const db = await getDB();
+  await db.run(`UPDATE webhook_events SET ${sets.join(', ')} WHERE id = ?`, [...params, id]);
+}
+
+async function recordWebhookOrder(eventId, { orderId, orderNumber, outcome, reason, changes = 0, auditId, details }) {
+  if (!OUTCOMES.includes(outcome)) throw new Error(`Unknown webhook outcome: ${outcome}`);
+  const db = await getDB();
+  const { lastID } = await db.run(`
+    INSERT INTO webhook_orders (event_id, order_id, order_number, outcome, reason, changes, audit_id, details)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    eventId, orderId ?? null, orderNumber != null ? String(orderNumber) : null, outcome,
+    reason || null, changes, auditId || null, details ? JSON.stringify(details) : null
+  ]);
+  return lastID;
+}
+
+// Recent deliveries with their per-outcome counts
+async function listWebhookEvents({ limit = 25 } = {}) {
+  const db = await getDB();
+  const rows = await db.all(`
+    SELECT e.*,
+           SUM(o.outcome = 'applied') as applied, SUM(o.outcome = 'queued') as queued,
+           SUM(o.outcome = 'skipped') as skipped, SUM(o.outcome = 'failed') as failed
+    FROM webhook_events e
+    LEFT JOIN webhook_orders o ON o.event_id = e.id
+    GROUP BY e.id
+    ORDER BY e.id DESC
+    LIMIT ?
+  `, Math.max(1, Math.min(200, Number(limit) || 25)));
+  return rows.map(r => ({
+    ...rowToEvent(r),
+    outcomes: { applied: r.applied || 0, queued: r.queued || 0, skipped: r.skipped || 0, failed: r.failed || 0 }
+  }));
+}
+
+async function listWebhookOrders({ eventId, outcome, limit = 100 } = {}) {
+  const db = await getDB();
+  const where = [], params = [];
+  if (eventId) { where.push('event_id = ?'); params.push(Number(eventId)); }
+  if (outcome) { where.push('outcome = ?');  params.push(String(outcome)); }
+  params.push(Math.max(1, Math.min(1000, Number(limit) || 100)));
+
+  const rows = await db.all(`
+    SELECT * FROM webhook_orders
+    ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+    ORDER BY id DESC
+    LIMIT ?
+  `, params);
+  return rows.map(rowToOutcome);
+}
+
+module.exports = {
+  WEBHOOK_OUTCOMES: OUTCOMES,
+  webhookSecretMatches,
+  recordWebhookEvent,
+  updateWebhookEvent,
+  recordWebhookOrder,
+  listWebhookEvents,
+  listWebhookOrders
+};
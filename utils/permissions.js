@@ -0,0 +1,35 @@
+// utils/permissions.js - Roles and what each may do
+// Every signed-in user can read, preview (including dry runs) and export. Writes need a permission:
+// operators apply customs fixes and refresh caches, admins also edit Shopify variants, rules and users.
+
+const ROLES = ['viewer', 'operator', 'admin'];
+
+const PERMISSIONS = {
+  // ShipStation writes: single/bulk updates, rollbacks, review-queue decisions, SKU aliases
+  'orders:write': ['operator', 'admin'],
+  // Re-pull Shopify / ShipStation data into the local caches (VIP customers, variant and SKU catalogs)
+  'cache:refresh': ['operator', 'admin'],
+  // Edit Shopify variants (SKU, HS code, country of origin)
+  'shopify:write': ['admin'],
+  // Customs rules, valuation policy, duty thresholds, fuzzy dictionary/scorer, HTS import
+  'rules:edit': ['admin'],
+  // Cancel, resume or read the results of other users' background jobs (everyone manages their own)
+  'jobs:manage': ['admin'],
+  'users:manage': ['admin']
+};
+
+function can(user, permission) {
+  return !!user && !user.disabled && (PERMISSIONS[permission] || []).includes(user.role);
+}
+
+// Permission names granted to a role (sent to the browser so pages can hide what they can't do)
+function permissionsFor(role) {
+  return Object.keys(PERMISSIONS).filter(p => PERMISSIONS[p].includes(role));
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  can,
+  permissionsFor
+};
@@ -0,0 +1,232 @@
+// utils/review-queue.js - Persisted review queue for proposed customs changes
+// Scans (and webhook orders that can't be auto-applied) queue one entry per order with one line per
+// proposed customs line change. Reviewers approve or reject each line; applying writes only the approved
+// lines, and is refused (status 'stale') when ShipStation's modifyDate moved since the proposal was made.
+//
+//   pending  - some lines still undecided        applied - written to ShipStation
+//   approved - decided, at least one approved    failed  - the write failed (can be retried)
+//   rejected - every line rejected               stale   - order changed since; refresh to re-propose
+const { getDB, withTransaction } = require('./database');
+
+const STATUSES = ['pending', 'approved', 'rejected', 'applied', 'failed', 'stale'];
+const DECISIONS = ['pending', 'approved', 'rejected'];
+// Entries still waiting on a reviewer or a write; a new proposal for the order replaces these
+const OPEN_STATUSES = ['pending', 'approved', 'failed', 'stale'];
+
+function parseJSON(text, fallback) {
+  try { return text ? JSON.parse(text) : fallback; }
+  catch { return fallback; }
+}
+
+function httpError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function rowToLine(row) {
+  return { index: row.line_index, decision: row.decision, change: parseJSON(row.change, {}) };
+}
+
+function rowToItem(row, lines = []) {
+  return {
+    id: row.id,
+    orderId: row.order_id,
+    orderNumber: row.order_number,
+    status: row.status,
+    source: row.source,
+    sourceRef: row.source_ref || null,
+    profile: row.profile,
+    shipTo: parseJSON(row.ship_to, null),
+    modifyDate: row.modify_date,
+    currentCustoms: parseJSON(row.current_customs, []),
+    proposedCustoms: parseJSON(row.proposed_customs, []),
+    duty: parseJSON(row.duty, null),
+    items: parseJSON(row.items, []),
+    auditId: row.audit_id || null,
+    error: row.error_message || null,
+    reviewedBy: row.reviewed_by,
+    reviewedAt: row.reviewed_at || null,
+    appliedAt: row.applied_at || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    lines
+  };
+}
+
+function deriveStatus(lines) {
+  if (lines.some(l => l.decision === 'pending')) return 'pending';
+  return lines.some(l => l.decision === 'approved') ? 'approved' : 'rejected';
+}
+
+async function insertLines(db, reviewId, diff) {
+  for (const change of diff) {
+    await db.run(
+      'INSERT INTO review_lines (review_id, line_index, change) VALUES (?, ?, ?)',
+      [reviewId, change.index, JSON.stringify(change)]
+    );
+  }
+}
+
+// Order snapshot columns shared by insert and refresh
+function proposalColumns(order, patch) {
+  return [
+    String(order.orderNumber ?? ''),
+    patch.profile || null,
+    JSON.stringify(order.shipTo || null),
+    order.modifyDate || null,
+    JSON.stringify(order.internationalOptions?.customsItems || []),
+    JSON.stringify(patch.patchedOrder?.internationalOptions?.customsItems || []),
+    JSON.stringify(patch.duty || null),
+    JSON.stringify((order.items || []).map(i => ({ name: i.name, sku: i.sku, quantity: i.quantity })))
+  ];
+}
+
+// conn: the transaction's connection when called from inside withTransaction
+async function getReviewItem(id, conn = null) {
+  const db = conn || await getDB();
+  const row = await db.get('SELECT * FROM review_items WHERE id = ?', id);
+  if (!row) return null;
+  const lines = await db.all('SELECT * FROM review_lines WHERE review_id = ? ORDER BY line_index ASC', row.id);
+  return rowToItem(row, lines.map(rowToLine));
+}
+
+/**
+ * Queue `patch` (a buildCustomsPatch result with changes) for `order`. An open entry for the same order
+ * and modifyDate is kept as is (decisions included); one for an older modifyDate is replaced. An order
+ * whose last proposal was rejected is not re-queued until it changes. Returns { id, created }.
+ */
+async function queueOrderForReview(order, patch, { source, sourceRef } = {}) {
+  return withTransaction(async db => {
+    const latest = await db.get(
+      'SELECT * FROM review_items WHERE order_id = ? ORDER BY id DESC LIMIT 1',
+      order.orderId
+    );
+    const sameVersion = latest && latest.modify_date === (order.modifyDate || null);
+    if (latest && sameVersion && (OPEN_STATUSES.includes(latest.status) || latest.status === 'rejected')) {
+      return { id: latest.id, created: false };
+    }
+
+    let id;
+    if (latest && OPEN_STATUSES.includes(latest.status)) {
+      id = latest.id;
+      await db.run(`
+        UPDATE review_items SET order_number = ?, profile = ?, ship_to = ?, modify_date = ?, current_customs = ?,
+               proposed_customs = ?, duty = ?, items = ?, status = 'pending', source = ?, source_ref = ?, error_message = NULL,
+               reviewed_by = NULL, reviewed_at = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [...proposalColumns(order, patch), source || null, sourceRef || null, id]);
+      await db.run('DELETE FROM review_lines WHERE review_id = ?', id);
+    } else {
+      ({ lastID: id } = await db.run(`
+        INSERT INTO review_items (order_id, order_number, profile, ship_to, modify_date, current_customs,
+                                  proposed_customs, duty, items, source, source_ref)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [order.orderId, ...proposalColumns(order, patch), source || null, sourceRef || null]));
+    }
+    await insertLines(db, id, patch.diff || []);
+    return { id, created: !latest || !OPEN_STATUSES.includes(latest.status) };
+  });
+}
+
+async function listReviewItems({ status, orderNumber, limit = 100 } = {}) {
+  const db = await getDB();
+  const where = [], params = [];
+  if (status)      { where.push('status = ?');       params.push(String(status)); }
+  if (orderNumber) { where.push('order_number = ?'); params.push(String(orderNumber)); }
+  params.push(Math.max(1, Math.min(500, Number(limit) || 100)));
+
+  const rows = await db.all(`
+    SELECT * FROM review_items
+    ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+    ORDER BY id DESC
+    LIMIT ?
+  `, params);
+  if (!rows.length) return [];
+
+  const lines = await db.all(
+    `SELECT * FROM review_lines WHERE review_id IN (${rows.map(() => '?').join(',')}) ORDER BY line_index ASC`,
+    rows.map(r => r.id)
+  );
+  const byReview = new Map();
+  lines.forEach(l => {
+    if (!byReview.has(l.review_id)) byReview.set(l.review_id, []);
+    byReview.get(l.review_id).push(rowToLine(l));
+  });
+  return rows.map(r => rowToItem(r, byReview.get(r.id) || []));
+}
+
+// Status counts for the queue filter
+async function countReviewItems() {
+  const db = await getDB();
+  const rows = await db.all('SELECT status, COUNT(*) as n FROM review_items GROUP BY status');
+  return Object.fromEntries(STATUSES.map(s => [s, rows.find(r => r.status === s)?.n || 0]));
+}
+
+/**
+ * Set `decision` on the given line indexes (every line when `lines` is omitted) and re-derive the
+ * entry's status. Applied and stale entries can't be re-decided.
+ */
+async function decideReviewLines(id, { decision, lines } = {}, { req } = {}) {
+  if (!DECISIONS.includes(decision)) throw httpError(`decision must be one of: ${DECISIONS.join(', ')}`, 400);
+
+  // Read and write in one transaction so a re-queue from a scan can't swap the lines in between
+  return withTransaction(async db => {
+    const item = await getReviewItem(id, db);
+    if (!item) return null;
+    if (item.status === 'applied') throw httpError('This order has already been applied', 409);
+    if (item.status === 'stale') throw httpError('The order changed since this proposal; refresh it first', 409);
+
+    const indexes = lines == null ? item.lines.map(l => l.index) : [].concat(lines).map(Number);
+    const unknown = indexes.filter(i => !item.lines.some(l => l.index === i));
+    if (unknown.length) throw httpError(`No proposed change for line(s) ${unknown.join(', ')}`, 400);
+
+    for (const index of indexes) {
+      await db.run('UPDATE review_lines SET decision = ? WHERE review_id = ? AND line_index = ?', [decision, item.id, index]);
+    }
+    const decided = item.lines.map(l => (indexes.includes(l.index) ? { ...l, decision } : l));
+    await db.run(`
+      UPDATE review_items SET status = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [deriveStatus(decided), req?.session?.userId ?? null, item.id]);
+    return getReviewItem(id, db);
+  });
+}
+
+// Record the outcome of an apply attempt: applied (with its audit id), failed or stale
+async function setReviewResult(id, { status, auditId, error }) {
+  if (!['applied', 'failed', 'stale'].includes(status)) throw new Error(`Not an apply result: ${status}`);
+  const db = await getDB();
+  await db.run(`
+    UPDATE review_items SET status = ?, audit_id = COALESCE(?, audit_id), error_message = ?,
+           applied_at = CASE WHEN ? = 'applied' THEN CURRENT_TIMESTAMP ELSE applied_at END,
+           updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `, [status, auditId || null, error || null, status, id]);
+  return getReviewItem(id);
+}
+
+async function deleteReviewItem(id) {
+  const db = await getDB();
+  await db.run('DELETE FROM review_lines WHERE review_id = ?', id);
+  const result = await db.run('DELETE FROM review_items WHERE id = ?', id);
+  return result.changes > 0;
+}
+
+// The order's customs items with only the approved lines swapped for their proposed version
+function mergeApprovedLines(item, customsItems) {
+  const approved = new Set(item.lines.filter(l => l.decision === 'approved').map(l => l.index));
+  return customsItems.map((ci, index) => (approved.has(index) && item.proposedCustoms[index] ? item.proposedCustoms[index] : ci));
+}
+
+module.exports = {
+  REVIEW_STATUSES: STATUSES,
+  queueOrderForReview,
+  getReviewItem,
+  listReviewItems,
+  countReviewItems,
+  decideReviewLines,
+  setReviewResult,
+  deleteReviewItem,
+  mergeApprovedLines
+};
@@ -0,0 +1,121 @@
+// utils/rule-simulation.js - Replay the active customs rules against an exported CSV (offline)
+const {
+  identifyProductFromTitle,
+  pickCustomsDescription,
+  normHS
+} = require('./customs-rules');
+const { parseCSV } = require('./shipstation-helpers');
+const { getCustomsProfile, applyCustomsProfile } = require('./customs-profiles');
+
+const ORPHAN_MARKER = '>>> UNMATCHED CUSTOMS <<<';
+const REQUIRED_COLUMNS = ['itemName', 'currentCustomsHS', 'suggestedDesc', 'suggestedHS'];
+
+// Same suggestion the export routes compute, but from the rules active right now.
+// `profileId` is the row's customsProfile column (older exports without it were US-only).
+function suggestForRow(row, profileId = '') {
+  const itemName = String(row.itemName || '');
+  const currentHS = String(row.currentCustomsHS || '');
+  const productType = identifyProductFromTitle(itemName);
+
+  // Unidentified items with no matched customs line get no suggestion in the export either
+  if (!productType && !row.currentCustomsDesc && !currentHS) {
+    return { productType: '', rule: 'no-customs', ruleId: undefined, desc: '', hs: '' };
+  }
+
+  // Identified items are keyed on their own title; otherwise fall back to the customs description + HS
+  const pick = pickCustomsDescription(currentHS, productType ? itemName : (row.currentCustomsDesc || itemName));
+  const adapted = applyCustomsProfile(getCustomsProfile(profileId || 'US'), {
+    hs: pick.overrideHS || currentHS,
+    desc: pick.desc,
+    productType: productType || pick.productType
+  });
+  return {
+    productType: productType || pick.productType || '',
+    rule: pick.rule,
+    ruleId: pick.ruleId,
+    desc: String(adapted.desc || ''),
+    hs: normHS(adapted.hs)
+  };
+}
+
+/**
+ * Compare each exported row's suggestedDesc/suggestedHS with what the current rules
+ * would suggest. Returns totals, the changed rows and per rule/product-type groups.
+ */
+function simulateRulesOnCSV(csvText, { maxRowsPerGroup = 25 } = {}) {
+  const rows = parseCSV(csvText);
+  if (rows.length) {
+    const missing = REQUIRED_COLUMNS.filter(c => !(c in rows[0]));
+    if (missing.length) {
+      const err = new Error(`CSV is missing column(s): ${missing.join(', ')}`);
+      err.status = 400;
+      throw err;
+    }
+  }
+
+  const groups = new Map();
+  const changes = [];
+  let evaluated = 0, skipped = 0, orderNumber = '', orderId = '', profileId = '';
+
+  rows.forEach((row, idx) => {
+    // Only the first row of each order carries the order columns
+    if (row.orderNumber) orderNumber = row.orderNumber;
+    if (row.orderId) orderId = row.orderId;
+    if (row.orderNumber) profileId = row.customsProfile || '';
+
+    if (!row.itemName || row.itemName === ORPHAN_MARKER) { skipped++; return; }
+    evaluated++;
+
+    const next = suggestForRow(row, profileId);
+    const prevDesc = String(row.suggestedDesc || '').trim();
+    const prevHS = normHS(row.suggestedHS);
+    const descChanged = prevDesc !== next.desc.trim();
+    const hsChanged = prevHS !== next.hs;
+
+    const key = `${next.rule}|${next.ruleId ?? ''}|${next.productType}`;
+    if (!groups.has(key)) {
+      groups.set(key, { rule: next.rule, ruleId: next.ruleId, productType: next.productType, rows: 0, changed: 0, hsChanged: 0, descChanged: 0, samples: [] });
+    }
+    const g = groups.get(key);
+    g.rows++;
+    if (!descChanged && !hsChanged) return;
+
+    g.changed++;
+    if (hsChanged) g.hsChanged++;
+    if (descChanged) g.descChanged++;
+
+    const change = {
+      line: idx + 2, // 1-based, after the header
+      orderId,
+      orderNumber,
+      itemName: row.itemName,
+      itemSku: row.itemSku || '',
+      currentCustomsDesc: row.currentCustomsDesc || '',
+      currentCustomsHS: row.currentCustomsHS || '',
+      previousProductType: row.productTypeDetected || '',
+      productType: next.productType,
+      rule: next.rule,
+      suggestedDesc: prevDesc,
+      suggestedDescNew: next.desc,
+      suggestedHS: prevHS,
+      suggestedHSNew: next.hs
+    };
+    changes.push(change);
+    if (g.samples.length < maxRowsPerGroup) g.samples.push(change);
+  });
+
+  const byGroup = Array.from(groups.values())
+    .sort((a, b) => (b.changed - a.changed) || (b.rows - a.rows));
+
+  return {
+    totalRows: rows.length,
+    evaluatedRows: evaluated,
+    skippedRows: skipped,
+    changedRows: changes.length,
+    affectedOrders: new Set(changes.map(c => c.orderId || c.orderNumber)).size,
+    groups: byGroup,
+    changes
+  };
+}
+
+module.exports = { simulateRulesOnCSV, suggestForRow };
@@ -19,15 +19,30 @@ function normCountry(c) {
   return s.length > 2 ? s.slice(0,2) : s;
 }
 
+// Error for a write that would send invalid/retired HS codes; callers can retry with allowInvalidHS
+function invalidHSError(problems) {
+  const list = problems.map(p => `${p.code} (${p.message})`).join('; ');
+  const err = new Error(`Invalid HS code${problems.length === 1 ? '' : 's'}: ${list}. Fix the code or pass allowInvalidHS to write anyway.`);
+  err.status = 422;
+  err.invalidHS = problems;
+  return err;
+}
+
 /**
  * IMPORTANT: keep any explicit `sku` we set on a customs item (including empty string).
  * Previously we dropped `sku`, which prevented us from detaching product linkage.
+ * `checkHS(code)` (see utils/hts-schedule) rejects blocking codes unless allowInvalidHS is set.
  */
-function sanitizeCustomsItems(list = [], getHS) {
-  return list.map(ci => {
+function sanitizeCustomsItems(list = [], getHS, { checkHS, allowInvalidHS = false } = {}) {
+  const invalid = [];
+  const items = list.map((ci, idx) => {
     const qtyRaw = Number(ci?.quantity);
     const valRaw = Number(ci?.value);
     const hs = String(getHS(ci) || '').replace(/[^0-9]/g, '');
+    if (hs && checkHS) {
+      const check = checkHS(hs);
+      if (check?.blocking) invalid.push({ index: idx, ...check });
+    }
 
     const out = {
       description: String(ci?.description ?? '').slice(0, 255),
@@ -43,6 +58,9 @@ function sanitizeCustomsItems(list = [], getHS) {
 
     return out;
   });
+
+  if (invalid.length && !allowInvalidHS) throw invalidHSError(invalid);
+  return items;
 }
 
 // Ensure required intl defaults are present when we send a patch
@@ -78,14 +96,46 @@ function csvCell(v) {
 }
 function csvLine(arr) { return arr.map(csvCell).join(','); }
 
+// Parse CSV text (as written by csvLine) into an array of objects keyed by the header row
+function parseCSV(text) {
+  const rows = [];
+  let row = [], cell = '', quoted = false;
+  const src = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell); cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row);
+      row = []; cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length) { row.push(cell); rows.push(row); }
+
+  const [headers = [], ...body] = rows.filter(r => r.some(c => c !== ''));
+  return body.map(r => Object.fromEntries(headers.map((h, idx) => [h.trim(), r[idx] ?? ''])));
+}
+
 module.exports = {
   OPEN_STATUSES,
   isOpen,
   isUS,
   normCountry,
+  invalidHSError,
   sanitizeCustomsItems,
   ensureIntlDefaults,
   formatShipStationError,
   csvCell,
-  csvLine
+  csvLine,
+  parseCSV
 };
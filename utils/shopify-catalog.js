@@ -0,0 +1,110 @@
+// utils/shopify-catalog.js - Local cache of Shopify variants with their inventory-item customs fields
+// The merchant maintains HS code + country of origin per variant in Shopify (see the product manager);
+// the ShipStation customs pipeline looks order-line SKUs up here before falling back to title rules.
+const { getDB, withTransaction } = require('./database');
+const { normHS } = require('./customs-rules');
+const { normCountry } = require('./shipstation-helpers');
+
+const SYNC_TYPE = 'shopify_variants';
+
+// In-memory view used by buildCustomsPatch (synchronous)
+let bySku = new Map();   // SKU (upper-case) -> variant entry
+
+const skuKey = sku => String(sku || '').trim().toUpperCase();
+
+function rowToVariant(row) {
+  return {
+    variantId: row.variant_id,
+    productId: row.product_id,
+    sku: row.sku || '',
+    productTitle: row.product_title || '',
+    variantTitle: row.variant_title || '',
+    hs: row.hs_code || '',
+    country: row.country_of_origin || '',
+    syncedAt: row.synced_at
+  };
+}
+
+/**
+ * Replace the cached catalog with `products` as returned by
+ * ShopifyAPI.getAllProductsWithInventory(). Returns the sync summary.
+ */
+async function saveShopifyCatalog(products = []) {
+  let variants = 0;
+  await withTransaction(async db => {
+    await db.run('DELETE FROM shopify_variants');
+    const stmt = await db.prepare(`
+      INSERT OR REPLACE INTO shopify_variants
+        (variant_id, product_id, sku, product_title, variant_title, hs_code, country_of_origin)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    try {
+      for (const p of products) {
+        for (const v of p.variants || []) {
+          await stmt.run([
+            v.id, p.id, String(v.sku || '').trim() || null, p.title || '', v.title || '',
+            normHS(v.harmonized_system_code) || null,
+            normCountry(v.country_code_of_origin || '') || null
+          ]);
+          variants++;
+        }
+      }
+    } finally {
+      await stmt.finalize();
+    }
+    await db.run('INSERT INTO sync_log (sync_type) VALUES (?)', SYNC_TYPE);
+  });
+
+  await refreshShopifyCatalog();
+  return getShopifyCatalogStatus();
+}
+
+// Reload the SKU lookup from SQLite. When several variants share a SKU the one carrying an HS code wins.
+async function refreshShopifyCatalog() {
+  const db = await getDB();
+  const rows = await db.all(`
+    SELECT * FROM shopify_variants WHERE sku IS NOT NULL
+    ORDER BY (hs_code IS NULL), variant_id
+  `);
+
+  const next = new Map();
+  for (const row of rows) {
+    const key = skuKey(row.sku);
+    if (!next.has(key)) next.set(key, rowToVariant(row));
+  }
+  bySku = next;
+  if (rows.length) console.log(`[Shopify Catalog] Loaded ${next.size} SKUs`);
+  return next.size;
+}
+
+// Cached variant for a SKU, or null
+function lookupShopifyVariant(sku) {
+  const key = skuKey(sku);
+  return key ? bySku.get(key) || null : null;
+}
+
+async function getShopifyCatalogStatus() {
+  const db = await getDB();
+  const counts = await db.get(`
+    SELECT COUNT(*) as variants,
+           SUM(sku IS NOT NULL) as withSku,
+           SUM(hs_code IS NOT NULL) as withHS,
+           SUM(country_of_origin IS NOT NULL) as withOrigin
+    FROM shopify_variants
+  `);
+  const last = await db.get('SELECT synced_at FROM sync_log WHERE sync_type = ? ORDER BY id DESC LIMIT 1', SYNC_TYPE);
+  return {
+    variants: counts.variants || 0,
+    withSku: counts.withSku || 0,
+    withHS: counts.withHS || 0,
+    withOrigin: counts.withOrigin || 0,
+    lastSyncedAt: last?.synced_at || null
+  };
+}
+
+module.exports = {
+  saveShopifyCatalog,
+  refreshShopifyCatalog,
+  lookupShopifyVariant,
+  getShopifyCatalogStatus
+};
@@ -0,0 +1,94 @@
+// utils/sku-aliases.js - Operator-confirmed name -> SKU aliases
+// Confirming or correcting a proposed SKU in the preview stores the product name (an order line name or
+// a customs description) against the SKU. fillMissingSkus and syncCustomsSkus check these before any
+// catalog lookup or fuzzy match, so a correction applies to every later order with the same name.
+const { getDB } = require('./database');
+const { _norm } = require('./fuzzy-matching');
+
+let aliasesByKey = new Map();
+
+function rowToAlias(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    sku: row.sku,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// Validate + normalize user input into column values
+function toColumns(input = {}) {
+  const name = String(input.name || '').trim().slice(0, 255);
+  const nameKey = _norm(name);
+  if (!nameKey) throw badRequest('name is required');
+
+  const sku = String(input.sku || '').trim();
+  if (!sku) throw badRequest('sku is required');
+  if (sku.length > 100) throw badRequest('sku must be at most 100 characters');
+
+  return { name, name_key: nameKey, sku };
+}
+
+async function listSkuAliases() {
+  const db = await getDB();
+  const rows = await db.all('SELECT * FROM sku_aliases ORDER BY name COLLATE NOCASE ASC');
+  return rows.map(rowToAlias);
+}
+
+async function getSkuAlias(id) {
+  const db = await getDB();
+  const row = await db.get('SELECT * FROM sku_aliases WHERE id = ?', id);
+  return row ? rowToAlias(row) : null;
+}
+
+// Reload the in-memory lookup used by the resolvers. Keys are re-normalized rather than read from
+// name_key so they follow the current accent-folding setting.
+async function refreshSkuAliases() {
+  const db = await getDB();
+  const rows = await db.all('SELECT * FROM sku_aliases ORDER BY updated_at ASC');
+  aliasesByKey = new Map(rows.map(r => [_norm(r.name), rowToAlias(r)]));
+  return aliasesByKey.size;
+}
+
+// Confirm or correct: one alias per normalized name, so saving again replaces the SKU
+async function saveSkuAlias(input, { req } = {}) {
+  const cols = toColumns(input);
+  const db = await getDB();
+  await db.run(`
+    INSERT INTO sku_aliases (name_key, name, sku, created_by) VALUES (?, ?, ?, ?)
+    ON CONFLICT(name_key) DO UPDATE SET name = excluded.name, sku = excluded.sku, updated_at = CURRENT_TIMESTAMP
+  `, [cols.name_key, cols.name, cols.sku, req?.session?.userId ?? null]);
+  await refreshSkuAliases();
+  const row = await db.get('SELECT * FROM sku_aliases WHERE name_key = ?', cols.name_key);
+  return rowToAlias(row);
+}
+
+async function deleteSkuAlias(id) {
+  const db = await getDB();
+  const result = await db.run('DELETE FROM sku_aliases WHERE id = ?', id);
+  await refreshSkuAliases();
+  return result.changes > 0;
+}
+
+// Alias for a product name, or null
+function lookupSkuAlias(name) {
+  const key = _norm(name);
+  return key ? aliasesByKey.get(key) || null : null;
+}
+
+module.exports = {
+  listSkuAliases,
+  getSkuAlias,
+  refreshSkuAliases,
+  saveSkuAlias,
+  deleteSkuAlias,
+  lookupSkuAlias
+};
@@ -0,0 +1,183 @@
+// utils/sku-catalog.js - Local SKU catalog (ShipStation products + Shopify variants) for SKU resolution
+// fillMissingSkus used to search ShipStation once per name variant for every SKU-less line; it now
+// resolves against this table and its token index (built with the same _tokens the scorer uses).
+const { getDB, withTransaction } = require('./database');
+const { saveShopifyCatalog } = require('./shopify-catalog');
+const { _norm, _tokens, _scoreNameMatch, _nameVariants } = require('./fuzzy-matching');
+
+const SYNC_TYPE = 'sku_catalog';
+const FUZZY_MIN_SCORE = 0.55;
+const MAX_CANDIDATES = 200;
+
+let inFlight = null;
+
+// Shopify names follow ShipStation's "Product - Variant" shape so both sides score alike
+function shopifyVariantName(row) {
+  const variant = String(row.variant_title || '').trim();
+  return variant && variant !== 'Default Title' ? `${row.product_title} - ${variant}` : String(row.product_title || '');
+}
+
+async function fetchShipStationProducts(shipstation) {
+  const products = [];
+  for (let page = 1; ; page++) {
+    const res = await shipstation.listProducts({ page, pageSize: 500 });
+    products.push(...res.products);
+    if (page >= res.pages || !res.products.length) break;
+  }
+  return products;
+}
+
+// Replaces the whole catalog through the shared write lock (withTransaction), so job progress, audit rows
+// and review writes arriving meanwhile neither join this transaction nor collide with it. Names are
+// normalized and tokenized up front to keep the lock short. A source listing one product twice keeps its
+// last copy, so every token row points at an entry that exists.
+async function rebuildCatalog(entries) {
+  const unique = new Map(entries.map(e => [`${e.source}:${e.sourceId}`, e]));
+  const rows = [...unique.values()].map(e => ({ ...e, normName: _norm(e.name), tokens: [...new Set(_tokens(e.name))] }));
+  await withTransaction(async db => {
+    await db.run('DELETE FROM sku_catalog_tokens');
+    await db.run('DELETE FROM sku_catalog');
+    const insertEntry = await db.prepare(`
+      INSERT INTO sku_catalog (source, source_id, product_id, sku, name, norm_name) VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    const insertToken = await db.prepare('INSERT INTO sku_catalog_tokens (token, entry_id) VALUES (?, ?)');
+    try {
+      for (const e of rows) {
+        const { lastID } = await insertEntry.run([e.source, e.sourceId, e.productId, e.sku, e.name, e.normName]);
+        for (const token of e.tokens) await insertToken.run([token, lastID]);
+      }
+    } finally {
+      await insertEntry.finalize();
+      await insertToken.finalize();
+    }
+    await db.run('INSERT INTO sync_log (sync_type) VALUES (?)', SYNC_TYPE);
+  });
+  return rows.length;
+}
+
+/**
+ * Pull every ShipStation product and (when `shopify` is given) refresh the Shopify variant cache,
+ * then rebuild the catalog from both. A Shopify failure keeps the previously cached variants;
+ * a ShipStation failure leaves the catalog untouched. Concurrent calls share one run.
+ */
+function syncSkuCatalog({ shipstation, shopify } = {}) {
+  if (!inFlight) {
+    inFlight = runSync({ shipstation, shopify }).finally(() => { inFlight = null; });
+  }
+  return inFlight;
+}
+
+async function runSync({ shipstation, shopify }) {
+  const started = Date.now();
+  let shopifyError = null;
+  if (shopify) {
+    try {
+      await saveShopifyCatalog(await shopify.getAllProductsWithInventory());
+    } catch (e) {
+      shopifyError = e.message;
+      console.error('[SKU Catalog] Shopify refresh failed, using cached variants:', e.message);
+    }
+  }
+
+  const ssProducts = await fetchShipStationProducts(shipstation);
+  const db = await getDB();
+  const variants = await db.all('SELECT * FROM shopify_variants WHERE sku IS NOT NULL');
+
+  const entries = [];
+  for (const p of ssProducts) {
+    const sku = String(p.sku || '').trim();
+    if (!sku || p.productId == null) continue;
+    entries.push({ source: 'shipstation', sourceId: String(p.productId), productId: String(p.productId), sku, name: p.name || '' });
+  }
+  for (const v of variants) {
+    entries.push({ source: 'shopify', sourceId: String(v.variant_id), productId: null, sku: v.sku, name: shopifyVariantName(v) });
+  }
+
+  const synced = await rebuildCatalog(entries);
+  console.log(`[SKU Catalog] Synced ${synced} entries in ${Date.now() - started}ms`);
+  return { ...(await getSkuCatalogStatus()), syncing: false, shopifyError };
+}
+
+/**
+ * Resolve a SKU for an order line: ShipStation productId, then exact normalized name,
+ * then the best fuzzy name among entries sharing tokens with the name (or its variants).
+ * Returns { sku, source, matchedName, confidence } or null.
+ */
+async function resolveSkuFromCatalog(item) {
+  const db = await getDB();
+  const name = String(item?.name || '');
+
+  if (item?.productId != null && item.productId !== '') {
+    const row = await db.get(`SELECT * FROM sku_catalog WHERE source = 'shipstation' AND product_id = ?`, String(item.productId));
+    if (row) return { sku: row.sku, source: 'productId', matchedName: row.name || null, confidence: 1.0 };
+  }
+  if (!name.trim()) return null;
+
+  const exact = await db.get(`
+    SELECT * FROM sku_catalog WHERE norm_name = ? ORDER BY (source = 'shipstation') DESC, id LIMIT 1
+  `, _norm(name));
+  if (exact) return { sku: exact.sku, source: 'name-exact', matchedName: exact.name || null, confidence: 1.0 };
+
+  const tokens = [...new Set(_nameVariants(name).flatMap(_tokens))];
+  if (!tokens.length) return null;
+  const rows = await db.all(`
+    SELECT c.* FROM sku_catalog c
+    JOIN (
+      SELECT entry_id, COUNT(*) as hits FROM sku_catalog_tokens
+      WHERE token IN (${tokens.map(() => '?').join(',')})
+      GROUP BY entry_id ORDER BY hits DESC LIMIT ${MAX_CANDIDATES}
+    ) t ON t.entry_id = c.id
+  `, tokens);
+
+  let best = null;
+  for (const row of rows) {
+    const { score } = _scoreNameMatch(name, row.name || '');
+    if (!best || score > best.score) best = { row, score };
+  }
+  if (!best || best.score < FUZZY_MIN_SCORE) return null;
+  return { sku: best.row.sku, source: 'name-fuzzy', matchedName: best.row.name || null, confidence: Number(best.score.toFixed(2)) };
+}
+
+async function getSkuCatalogStatus() {
+  const db = await getDB();
+  const counts = await db.get(`
+    SELECT COUNT(*) as entries,
+           SUM(source = 'shipstation') as shipstation,
+           SUM(source = 'shopify') as shopify
+    FROM sku_catalog
+  `);
+  const last = await db.get('SELECT synced_at FROM sync_log WHERE sync_type = ? ORDER BY id DESC LIMIT 1', SYNC_TYPE);
+  return {
+    entries: counts.entries || 0,
+    shipstation: counts.shipstation || 0,
+    shopify: counts.shopify || 0,
+    lastSyncedAt: last?.synced_at || null,
+    syncing: !!inFlight
+  };
+}
+
+// Resync in the background whenever the catalog is older than `hours` (checked every 15 minutes)
+function scheduleSkuCatalogSync({ shipstation, shopify, hours }) {
+  if (!(hours > 0)) return null;
+  const check = async () => {
+    try {
+      const { lastSyncedAt } = await getSkuCatalogStatus();
+      // sync_log timestamps are SQLite UTC ("YYYY-MM-DD HH:MM:SS")
+      const age = lastSyncedAt ? Date.now() - Date.parse(`${lastSyncedAt.replace(' ', 'T')}Z`) : Infinity;
+      if (age >= hours * 3600e3) await syncSkuCatalog({ shipstation, shopify });
+    } catch (e) {
+      console.error('[SKU Catalog] Scheduled sync failed:', e.message);
+    }
+  };
+  const timer = setInterval(check, 15 * 60e3);
+  timer.unref();
+  setTimeout(check, 60e3).unref();
+  return timer;
+}
+
+module.exports = {
+  syncSkuCatalog,
+  resolveSkuFromCatalog,
+  getSkuCatalogStatus,
+  scheduleSkuCatalogSync
+};
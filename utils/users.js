@@ -0,0 +1,141 @@
+// utils/users.js - Login accounts (bcrypt-hashed passwords)
+// Sessions carry users.id; auth-middleware re-reads the user on every request, so disabling an
+// account ends its sessions at once. The first admin is created with scripts/create-admin.js.
+const bcrypt = require('bcryptjs');
+const { getDB } = require('./database');
+const { ROLES } = require('./permissions');
+
+const BCRYPT_ROUNDS = 12;
+const MIN_PASSWORD_LENGTH = 10;
+// Compared against when the email is unknown, so a miss takes as long as a wrong password
+const DUMMY_HASH = '$2a$12$CEILmgrhiWR8bJISfZ6Ux.W.jmdjbW00eKj4JXAFHHyz12E/mECha';
+
+function rowToUser(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    name: row.name || '',
+    role: row.role,
+    disabled: !!row.disabled,
+    lastLoginAt: row.last_login_at || null,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function httpError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function normalizeEmail(email) {
+  const value = String(email || '').trim().toLowerCase();
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) throw httpError('A valid email is required', 400);
+  return value;
+}
+
+function normalizeRole(role) {
+  if (!ROLES.includes(role)) throw httpError(`Role must be one of: ${ROLES.join(', ')}`, 400);
+  return role;
+}
+
+async function hashPassword(password) {
+  const value = String(password || '');
+  if (value.length < MIN_PASSWORD_LENGTH) throw httpError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400);
+  if (value.length > 72) throw httpError('Password must be at most 72 characters', 400); // bcrypt's limit
+  return bcrypt.hash(value, BCRYPT_ROUNDS);
+}
+
+async function listUsers() {
+  const db = await getDB();
+  const rows = await db.all('SELECT * FROM users ORDER BY email ASC');
+  return rows.map(rowToUser);
+}
+
+async function getUser(id) {
+  const db = await getDB();
+  const row = await db.get('SELECT * FROM users WHERE id = ?', id);
+  return row ? rowToUser(row) : null;
+}
+
+async function findUserByEmail(email) {
+  const db = await getDB();
+  const row = await db.get('SELECT * FROM users WHERE email = ?', String(email || '').trim().toLowerCase());
+  return row ? rowToUser(row) : null;
+}
+
+async function countUsers() {
+  const db = await getDB();
+  const { n } = await db.get('SELECT COUNT(*) as n FROM users');
+  return n;
+}
+
+async function createUser({ email, name, password, role = 'viewer' }, { req } = {}) {
+  const address = normalizeEmail(email);
+  normalizeRole(role);
+  const hash = await hashPassword(password);
+  const db = await getDB();
+  if (await db.get('SELECT id FROM users WHERE email = ?', address)) throw httpError(`A user with email ${address} already exists`, 409);
+
+  const { lastID } = await db.run(
+    'INSERT INTO users (email, name, password_hash, role, created_by) VALUES (?, ?, ?, ?, ?)',
+    [address, String(name || '').trim().slice(0, 120), hash, role, req?.session?.userId ?? null]
+  );
+  return getUser(lastID);
+}
+
+// Refuses to leave the system without an enabled admin
+async function assertAdminRemains(db, id) {
+  const { n } = await db.get("SELECT COUNT(*) as n FROM users WHERE role = 'admin' AND disabled = 0 AND id != ?", id);
+  if (!n) throw httpError('At least one enabled admin must remain', 409);
+}
+
+// Change name, role or disabled flag
+async function updateUser(id, input = {}) {
+  const existing = await getUser(id);
+  if (!existing) return null;
+
+  const name = input.name !== undefined ? String(input.name || '').trim().slice(0, 120) : existing.name;
+  const role = input.role !== undefined ? normalizeRole(input.role) : existing.role;
+  const disabled = input.disabled !== undefined ? !!input.disabled : existing.disabled;
+
+  const db = await getDB();
+  if (existing.role === 'admin' && !existing.disabled && (role !== 'admin' || disabled)) await assertAdminRemains(db, id);
+  await db.run(
+    'UPDATE users SET name = ?, role = ?, disabled = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [name, role, disabled ? 1 : 0, id]
+  );
+  return getUser(id);
+}
+
+async function setUserPassword(id, password) {
+  const hash = await hashPassword(password);
+  const db = await getDB();
+  const result = await db.run('UPDATE users SET password_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [hash, id]);
+  return result.changes > 0;
+}
+
+// The enabled user with these credentials, or null
+async function verifyCredentials(email, password) {
+  const db = await getDB();
+  const row = await db.get('SELECT * FROM users WHERE email = ?', String(email || '').trim().toLowerCase());
+  const ok = await bcrypt.compare(String(password || ''), row?.password_hash || DUMMY_HASH);
+  if (!row || !ok || row.disabled) return null;
+
+  await db.run('UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?', row.id);
+  return rowToUser(row);
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  listUsers,
+  getUser,
+  findUserByEmail,
+  countUsers,
+  createUser,
+  updateUser,
+  setUserPassword,
+  verifyCredentials
+};
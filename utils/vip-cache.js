@@ -1,5 +1,5 @@
 // utils/vip-cache.js
-const { getDB } = require('./database');
+const { getDB, withTransaction } = require('./database');
 
 async function getVIPCustomersFast(minSpent = 1000) {
   const db = await getDB();
@@ -53,68 +53,65 @@ async function getVIPCustomersFast(minSpent = 1000) {
 }
 
 async function saveVIPCustomers(customers) {
-  const db = await getDB();
-  
   console.log(`[DB] Saving ${customers.length} VIP customers to database...`);
   const startTime = Date.now();
   
-  await db.run('BEGIN TRANSACTION');
-  
   try {
-    // Clear old data
-    await db.run('DELETE FROM customers');
-    await db.run('DELETE FROM customer_orders');
-    
-    // Insert customers
-    for (const customer of customers) {
-      await db.run(`
-        INSERT INTO customers (id, email, first_name, last_name, total_spent, orders_count, tags, created_at, data)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `, [
-        customer.id,
-        customer.email,
-        customer.first_name,
-        customer.last_name,
-        customer.total_spent,
-        customer.orders_count,
-        customer.tags,
-        customer.created_at,
-        JSON.stringify(customer)
-      ]);
-      
-      // Insert unfulfilled orders
-      if (customer.unfulfilled_orders && customer.unfulfilled_orders.length > 0) {
-        for (const order of customer.unfulfilled_orders) {
-          await db.run(`
-            INSERT INTO customer_orders (id, customer_id, order_data, unfulfilled, total_price, created_at)
-            VALUES (?, ?, ?, ?, ?, ?)
-          `, [
-            order.id,
-            customer.id,
-            JSON.stringify(order),
-            1,
-            order.total_price || 0,
-            order.created_at
-          ]);
-        }
-      }
-    }
-    
-    // Log sync
-    await db.run('INSERT INTO sync_log (sync_type) VALUES ("customers")');
-    
-    await db.run('COMMIT');
+    await withTransaction(db => writeVIPCustomers(db, customers));
     
     const elapsed = Math.round((Date.now() - startTime) / 1000);
     console.log(`[DB] Saved to database in ${elapsed}s`);
     
   } catch (error) {
-    await db.run('ROLLBACK');
     console.error('[DB] Save failed:', error);
     throw error;
   }
 }
 
+async function writeVIPCustomers(db, customers) {
+  // Clear old data
+  await db.run('DELETE FROM customers');
+  await db.run('DELETE FROM customer_orders');
+  
+  // Insert customers
+  for (const customer of customers) {
+    await db.run(`
+      INSERT INTO customers (id, email, first_name, last_name, total_spent, orders_count, tags, created_at, data)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      customer.id,
+      customer.email,
+      customer.first_name,
+      customer.last_name,
+      customer.total_spent,
+      customer.orders_count,
+      customer.tags,
+      customer.created_at,
+      JSON.stringify(customer)
+    ]);
+    
+    // Insert unfulfilled orders
+    if (customer.unfulfilled_orders && customer.unfulfilled_orders.length > 0) {
+      for (const order of customer.unfulfilled_orders) {
+        await db.run(`
+          INSERT INTO customer_orders (id, customer_id, order_data, unfulfilled, total_price, created_at)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `, [
+          order.id,
+          customer.id,
+          JSON.stringify(order),
+          1,
+          order.total_price || 0,
+          order.created_at
+        ]);
+      }
+    }
+  }
+  
+  // Log sync
+  await db.run('INSERT INTO sync_log (sync_type) VALUES ("customers")');
+}
+
 // Get sync status
 async function getSyncStatus() {
   const db = await getDB();